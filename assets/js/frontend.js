@@ -15,6 +15,20 @@
  *     In Free, autoApply is always false (enforced server-side),
  *     so the debounce function is never called.
  *
+ * Extension API:
+ *   Controllers are exposed on window.wff (see the registry at the
+ *   bottom of this file). Each wrapper dispatches bubbling events:
+ *   - wff:beforeFetch    detail.params is mutable; cancel to skip the request.
+ *   - wff:afterFetch     detail.response is the raw JSON; cancel to skip rendering.
+ *   - wff:afterRender    After products and pagination are in the DOM.
+ *   - wff:filtersCleared After "Clear all" resets the form.
+ *   - wff:fetchError     detail.error after retries are used up; results stay as they were.
+ *   - wff:addedToCart    detail.productId and detail.cart (Store API cart).
+ *
+ *   Analytics (Pro): wff_filter_applied, wff_filter_removed,
+ *   wff_sort_changed, wff_page_changed and wff_no_results are pushed to
+ *   window.dataLayer and to sinks from window.wff.registerAnalyticsSink().
+ *
  * @package WooFastFilter
  */
 
@@ -42,6 +56,255 @@
 		};
 	}
 
+	/**
+	 * Format a price the way wc_price() does.
+	 *
+	 * Follows the store's currency position, decimals and separators
+	 * (wffConfig.currency).
+	 *
+	 * @param {number} value    Price.
+	 * @param {Object} currency Currency settings, see get_currency_settings().
+	 * @return {string} Formatted price, e.g. "$1,234.50" or "1.234,50 €".
+	 */
+	function formatPrice( value, currency ) {
+		currency = currency || {};
+
+		var decimals = parseInt( currency.decimals, 10 );
+		var decimalSeparator = currency.decimalSeparator !== undefined ? currency.decimalSeparator : '.';
+		var thousandSeparator = currency.thousandSeparator !== undefined ? currency.thousandSeparator : ',';
+		var symbol = currency.symbol !== undefined ? currency.symbol : '$';
+		var number = Number( value ) || 0;
+		var parts = Math.abs( number ).toFixed( isNaN( decimals ) ? 2 : decimals ).split( '.' );
+		var amount = parts[ 0 ].replace( /\B(?=(\d{3})+(?!\d))/g, thousandSeparator );
+
+		if ( parts[ 1 ] && ! ( currency.trimZeros && /^0+$/.test( parts[ 1 ] ) ) ) {
+			amount += decimalSeparator + parts[ 1 ];
+		}
+
+		switch ( currency.position ) {
+			case 'right':
+				amount = amount + symbol;
+				break;
+			case 'left_space':
+				amount = symbol + '\u00a0' + amount;
+				break;
+			case 'right_space':
+				amount = amount + '\u00a0' + symbol;
+				break;
+			default:
+				amount = symbol + amount;
+		}
+
+		return ( number < 0 ? '-' : '' ) + amount;
+	}
+
+	/**
+	 * Fetch JSON with a timeout and automatic retries.
+	 *
+	 * Each attempt gets its own AbortController, aborted when the
+	 * timeout passes or when the caller's signal aborts. Network errors,
+	 * timeouts and 5xx responses are retried with exponential backoff
+	 * (0.5s, 1s, 2s, ... plus jitter); other HTTP errors fail at once.
+	 * An abort by the caller rejects with an AbortError and is never
+	 * retried.
+	 *
+	 * @param {string}      url               Request URL.
+	 * @param {Object}      init              fetch() options, without a signal.
+	 * @param {Object}      settings
+	 * @param {number}      settings.timeout  Milliseconds per attempt, 0 for none.
+	 * @param {number}      settings.retries  Retries after the first attempt.
+	 * @param {AbortSignal} settings.signal   Caller's signal, optional.
+	 * @return {Promise<Object>} Parsed JSON. Errors carry a status for HTTP failures.
+	 */
+	function fetchWithRetry( url, init, settings ) {
+		var signal = settings.signal;
+		var attempt = 0;
+
+		var abortError = function () {
+			var error = new Error( 'Request aborted' );
+			error.name = 'AbortError';
+			return error;
+		};
+
+		var wait = function ( delay ) {
+			return new Promise( function ( resolve, reject ) {
+				var timer = setTimeout( function () {
+					if ( signal ) {
+						signal.removeEventListener( 'abort', onAbort );
+					}
+					resolve();
+				}, delay );
+				var onAbort = function () {
+					clearTimeout( timer );
+					reject( abortError() );
+				};
+				if ( signal ) {
+					signal.addEventListener( 'abort', onAbort );
+				}
+			} );
+		};
+
+		var run = function () {
+			if ( signal && signal.aborted ) {
+				return Promise.reject( abortError() );
+			}
+
+			var controller = new AbortController();
+			var timedOut = false;
+			var timer = settings.timeout > 0 ? setTimeout( function () {
+				timedOut = true;
+				controller.abort();
+			}, settings.timeout ) : null;
+			var onAbort = function () {
+				controller.abort();
+			};
+			var cleanup = function () {
+				clearTimeout( timer );
+				if ( signal ) {
+					signal.removeEventListener( 'abort', onAbort );
+				}
+			};
+
+			if ( signal ) {
+				signal.addEventListener( 'abort', onAbort );
+			}
+
+			return fetch( url, Object.assign( {}, init, { signal: controller.signal } ) )
+				.then( function ( response ) {
+					if ( ! response.ok ) {
+						var httpError = new Error( 'Request failed: ' + response.status );
+						httpError.status = response.status;
+						throw httpError;
+					}
+					return response.json();
+				} )
+				.then( function ( data ) {
+					cleanup();
+					return data;
+				}, function ( error ) {
+					cleanup();
+
+					if ( signal && signal.aborted ) {
+						throw abortError();
+					}
+					if ( timedOut ) {
+						error = new Error( 'Request timed out' );
+						error.name = 'TimeoutError';
+					}
+
+					// fetch() rejects with a TypeError when the network fails.
+					var retryable = timedOut || error instanceof TypeError || error.status >= 500;
+					if ( ! retryable || attempt >= settings.retries ) {
+						throw error;
+					}
+
+					var delay = 500 * Math.pow( 2, attempt ) + Math.random() * 250;
+					attempt++;
+					return wait( delay ).then( run );
+				} );
+		};
+
+		return run();
+	}
+
+	/**
+	 * In-memory LRU cache for REST responses.
+	 *
+	 * Keyed on the full request URL, so any filter/sort/page combination
+	 * seen before can be rendered without a network round trip.
+	 * Map keeps insertion order: re-inserting on read makes the first
+	 * key the least recently used one.
+	 *
+	 * @param {number} maxEntries Maximum number of responses kept.
+	 * @param {number} ttl        Lifetime in milliseconds. 0 disables the cache.
+	 */
+	function ResponseCache( maxEntries, ttl ) {
+		this.maxEntries = maxEntries;
+		this.ttl = ttl;
+		this.entries = new Map();
+	}
+
+	ResponseCache.prototype = {
+		/**
+		 * Get a cached response, or null when missing or expired.
+		 */
+		get: function ( key ) {
+			var entry = this.entries.get( key );
+			if ( ! entry ) {
+				return null;
+			}
+
+			this.entries.delete( key );
+			if ( Date.now() > entry.expires ) {
+				return null;
+			}
+
+			this.entries.set( key, entry );
+			return entry.data;
+		},
+
+		/**
+		 * Store a response, evicting the least recently used one when full.
+		 */
+		set: function ( key, data ) {
+			if ( this.ttl <= 0 ) {
+				return;
+			}
+
+			this.entries.delete( key );
+			this.entries.set( key, { data: data, expires: Date.now() + this.ttl } );
+
+			if ( this.entries.size > this.maxEntries ) {
+				this.entries.delete( this.entries.keys().next().value );
+			}
+		},
+	};
+
+	/**
+	 * localStorage key for guests' saved filter presets, and how many
+	 * presets are kept (the same cap as the server uses for user meta).
+	 */
+	var PRESETS_STORAGE_KEY = 'wff_presets';
+	var MAX_PRESETS = 20;
+
+	/**
+	 * Cookies holding the shopper's page size and grid/list view. The
+	 * server reads them too (get_results_preferences()), so the first
+	 * page renders the way the shopper left it.
+	 */
+	var PER_PAGE_COOKIE = 'wff_per_page';
+	var VIEW_COOKIE = 'wff_view';
+
+	/**
+	 * /products params that don't change which products match. The
+	 * server ignores them for facet counts and the zero-result report.
+	 */
+	var NON_FILTER_PARAMS = [ 'page', 'per_page', 'orderby', 'order', 'render', 'details' ];
+
+	/**
+	 * Read a cookie.
+	 *
+	 * @param {string} name Cookie name.
+	 * @return {string} Value, or an empty string when not set.
+	 */
+	function readCookie( name ) {
+		var match = document.cookie.match( new RegExp( '(?:^|; )' + name + '=([^;]*)' ) );
+		return match ? decodeURIComponent( match[ 1 ] ) : '';
+	}
+
+	/**
+	 * Store a cookie for a year, site-wide.
+	 *
+	 * @param {string} name  Cookie name.
+	 * @param {string} value Value.
+	 */
+	function writeCookie( name, value ) {
+		document.cookie =
+			name + '=' + encodeURIComponent( value ) +
+			'; path=/; max-age=31536000; SameSite=Lax' +
+			( window.location.protocol === 'https:' ? '; Secure' : '' );
+	}
+
 	/**
 	 * Main filter controller.
 	 * One instance per .wff-wrapper on the page.
@@ -50,12 +313,65 @@
 		this.wrapper = wrapper;
 		this.config = window.wffConfig || {};
 		this.abortController = null;
+		this.facetsAbortController = null;
+		this.scrollObserver = null;
+		this.isLoading = false;
 		this.currentPage = 1;
+		this.pagination = null;
+
+		// Client-side response cache. TTL comes from PHP in seconds
+		// (filterable via wff_client_cache_ttl); 0 disables caching.
+		this.cache = new ResponseCache( 50, ( parseInt( this.config.cacheTtl, 10 ) || 0 ) * 1000 );
+		this.prefetching = {};
+		this.paginationVisible = false;
+
+		// Accessibility state: where focus returns when the panel closes,
+		// and whether the results take focus after the next render.
+		this.panelReturnFocus = null;
+		this.pendingFocus = null;
+		this.announceTimer = null;
+
+		// Whether the last failed request appended a page, for "Try again".
+		this.failedAppend = false;
+
+		// Pro feature — saved filter presets, and the one being renamed.
+		this.presets = [];
+		this.editingPreset = null;
+
+		// Pro feature — analytics events. trackedFilters holds the filters
+		// of the last request, to tell which were applied or removed.
+		this.analytics = !! this.config.analytics;
+		this.trackedFilters = {};
+		this.reportedNoResults = {};
+
+		// Search typeahead state.
+		this.suggestAbortController = null;
+		this.suggestionItems = [];
+		this.activeSuggestion = -1;
+
+		// Only the first block on a page keeps its state in the URL.
+		this.syncUrl = wrapper.dataset.syncUrl !== 'false';
+
+		// Pro feature — live facet counts. wp_localize_script passes
+		// booleans as "1" / "", so only truthiness is checked.
+		this.liveCounts = !! this.config.liveCounts;
 
 		// Read block attributes from data attributes.
 		this.autoApply = wrapper.dataset.autoApply === 'true';
 		this.showActive = wrapper.dataset.showActive === 'true';
 		this.layout = wrapper.dataset.layout || 'sidebar';
+		this.paginationMode = wrapper.dataset.paginationMode || 'numbers';
+		this.includeChildren = wrapper.dataset.includeChildren !== 'false';
+		this.resultsTarget = wrapper.dataset.resultsTarget || '';
+		this.perPage = parseInt( wrapper.dataset.perPage, 10 ) || 12;
+		// 'grid' or 'list'. The list view asks /products for details.
+		this.view = wrapper.dataset.view || 'grid';
+		this.detailsLoaded = this.view === 'list';
+
+		// Pro feature — archive mode renders into the theme's shop loop,
+		// which always takes theme loop markup.
+		this.archiveMode = wrapper.dataset.archiveMode === 'true';
+		this.cardMode = this.archiveMode || this.config.cardMode === 'html' ? 'html' : 'json';
 
 		// Cache DOM references for performance - avoids repeated querySelector calls.
 		this.dom = {
@@ -63,33 +379,233 @@
 			panel: wrapper.querySelector( '.wff-panel' ),
 			panelClose: wrapper.querySelector( '.wff-panel-close' ),
 			overlay: wrapper.querySelector( '.wff-overlay' ),
+			announcer: wrapper.querySelector( '.wff-announcer' ),
 			form: wrapper.querySelector( '.wff-form' ),
 			activeFilters: wrapper.querySelector( '.wff-active-filters' ),
 			activeTags: wrapper.querySelector( '.wff-active-tags' ),
 			clearAll: wrapper.querySelector( '.wff-clear-all' ),
+			presets: wrapper.querySelector( '.wff-presets' ),
+			presetList: wrapper.querySelector( '.wff-preset-list' ),
+			presetSave: wrapper.querySelector( '.wff-preset-save' ),
+			presetForm: wrapper.querySelector( '.wff-preset-form' ),
+			presetName: wrapper.querySelector( '.wff-preset-name' ),
+			presetCancel: wrapper.querySelector( '.wff-preset-cancel' ),
+			results: wrapper.querySelector( '.wff-results' ),
 			grid: wrapper.querySelector( '.wff-products-grid' ),
 			loading: wrapper.querySelector( '.wff-loading' ),
+			error: wrapper.querySelector( '.wff-error' ),
+			errorRetry: wrapper.querySelector( '.wff-error-retry' ),
 			noResults: wrapper.querySelector( '.wff-no-results' ),
 			noResultsReset: wrapper.querySelector( '.wff-no-results-reset' ),
 			pagination: wrapper.querySelector( '.wff-pagination' ),
 			resultsCount: wrapper.querySelector( '.wff-results-count' ),
 			sortSelect: wrapper.querySelector( '.wff-sort-select' ),
+			perPageSelect: wrapper.querySelector( '.wff-per-page-select' ),
+			viewButtons: Array.prototype.slice.call( wrapper.querySelectorAll( '.wff-view-btn' ) ),
+			cardTemplate: wrapper.querySelector( 'template.wff-card-template' ),
+			searchInput: wrapper.querySelector( '.wff-search-input' ),
+			suggestions: wrapper.querySelector( '.wff-suggestions' ),
 			priceMin: wrapper.querySelector( '.wff-price-input[name="min_price"]' ),
 			priceMax: wrapper.querySelector( '.wff-price-input[name="max_price"]' ),
-			rangeMin: wrapper.querySelector( '.wff-range-min' ),
-			rangeMax: wrapper.querySelector( '.wff-range-max' ),
+			priceSlider: wrapper.querySelector( '.wff-price-slider' ),
+			sliderFill: wrapper.querySelector( '.wff-slider-fill' ),
+			thumbMin: wrapper.querySelector( '.wff-slider-thumb-min' ),
+			thumbMax: wrapper.querySelector( '.wff-slider-thumb-max' ),
+			histogramBars: Array.prototype.slice.call( wrapper.querySelectorAll( '.wff-histogram-bar' ) ),
 		};
 
-		this.init();
+		// Price slider bounds, step and decimals, which follow the
+		// store's currency settings. Null without a price group.
+		var slider = this.dom.priceSlider;
+		this.price = slider ? {
+			min: parseFloat( slider.dataset.min ) || 0,
+			max: parseFloat( slider.dataset.max ) || 0,
+			step: parseFloat( slider.dataset.step ) || 1,
+			decimals: parseInt( slider.dataset.decimals, 10 ) || 0,
+		} : null;
+		this.priceDrag = null;
+
+		/**
+		 * Debounced fetch for auto-apply mode.
+		 * 300ms delay prevents excessive requests during rapid checkbox toggling.
+		 * Created per instance so blocks on the same page don't share a timer.
+		 *
+		 * Pro feature — only called when this.autoApply is true.
+		 * In Free, autoApply is always false (server-enforced), so this
+		 * method is never invoked.
+		 */
+		this.debouncedFetch = debounce( function () {
+			this.fetchProducts();
+		}, 300 );
 	}
 
 	WFFController.prototype = {
 		/**
 		 * Initialize event listeners and load initial products.
+		 *
+		 * Filter state is restored from the query string first, so
+		 * shared and bookmarked links open the same filtered view.
+		 *
+		 * The first page is normally server-rendered for the same query
+		 * string; in that case the markup is adopted as-is and no request
+		 * is made. The fallback fetch leaves the history entry untouched.
+		 *
+		 * Blocks that don't sync the URL keep the server-rendered
+		 * (unfiltered) state.
 		 */
 		init: function () {
+			if ( this.archiveMode ) {
+				this.mountArchive();
+			} else {
+				this.mountResults();
+			}
 			this.bindEvents();
-			this.fetchProducts();
+			if ( this.syncUrl ) {
+				this.restoreFromUrl();
+			}
+			this.loadPresets();
+
+			// Filters from a shared link weren't applied here, so they
+			// don't count as filter changes.
+			this.trackedFilters = this.getTrackedFilters( this.getFilterParams() );
+
+			// A page from a full-page cache may be rendered with another
+			// shopper's page size or view; refetch it then.
+			var initialPagination = this.restoreResultsPreferences() ? null : this.getInitialPagination();
+			if ( initialPagination ) {
+				this.hydrate( initialPagination );
+			} else {
+				this.fetchProducts( { history: false } );
+			}
+		},
+
+		/**
+		 * Move the results area into the block's results target.
+		 *
+		 * Lets a filter panel drive a grid elsewhere on the page, e.g. a
+		 * filter bar in the header. The target gets the wrapper's style
+		 * class so the results keep their theme variables. When the
+		 * target is missing, results stay inside the block.
+		 */
+		mountResults: function () {
+			if ( ! this.resultsTarget || ! this.dom.results ) {
+				return;
+			}
+
+			var target = document.getElementById( this.resultsTarget );
+			if ( ! target || this.wrapper.contains( target ) ) {
+				return;
+			}
+
+			var styleClass = Array.prototype.filter.call( this.wrapper.classList, function ( name ) {
+				return name.indexOf( 'wff-style-' ) === 0;
+			} );
+
+			target.classList.add.apply( target.classList, [ 'wff-results-target' ].concat( styleClass ) );
+			target.appendChild( this.dom.results );
+			this.wrapper.classList.add( 'wff-has-external-results' );
+		},
+
+		/**
+		 * Point the controller at the theme's shop loop (archive mode).
+		 *
+		 * The products list, result count, pagination and ordering
+		 * dropdown are found with wffConfig.archiveSelectors. A missing
+		 * result count, pagination or no-results notice is created next
+		 * to the list. When the archive was empty on load there is no
+		 * list yet, so one is added after the theme's no-results notice.
+		 */
+		mountArchive: function () {
+			var selectors = this.config.archiveSelectors || {};
+			var find = function ( key ) {
+				return selectors[ key ] ? document.querySelector( selectors[ key ] ) : null;
+			};
+			var grid = find( 'products' );
+			var notice = find( 'no_results' );
+
+			if ( ! grid ) {
+				if ( ! notice ) {
+					return;
+				}
+				grid = document.createElement( 'ul' );
+				grid.className = 'products columns-' + ( this.config.columns || 4 );
+				notice.parentNode.insertBefore( grid, notice.nextSibling );
+			}
+
+			if ( ! notice ) {
+				notice = document.createElement( 'div' );
+				notice.className = 'woocommerce-no-products-found';
+				notice.hidden = true;
+				notice.innerHTML = '<p class="woocommerce-info"></p>';
+				notice.firstChild.textContent = ( this.config.i18n && this.config.i18n.noProducts ) || 'No products found';
+				grid.parentNode.insertBefore( notice, grid );
+			}
+
+			// Error notice with "Try again", above the list.
+			var error = document.createElement( 'div' );
+			error.className = 'wff-error';
+			error.setAttribute( 'role', 'alert' );
+			error.hidden = true;
+			error.innerHTML = '<p></p><button type="button" class="wff-error-retry"></button>';
+			error.lastChild.textContent = ( this.config.i18n && this.config.i18n.tryAgain ) || 'Try again';
+			grid.parentNode.insertBefore( error, grid );
+
+			var count = find( 'result_count' );
+			if ( ! count ) {
+				count = document.createElement( 'p' );
+				count.className = 'woocommerce-result-count';
+				grid.parentNode.insertBefore( count, grid );
+			}
+
+			var pagination = find( 'pagination' );
+			if ( ! pagination ) {
+				pagination = document.createElement( 'nav' );
+				pagination.className = 'woocommerce-pagination';
+				pagination.setAttribute( 'aria-label', ( this.config.i18n && this.config.i18n.pagination ) || 'Products pagination' );
+				grid.parentNode.insertBefore( pagination, grid.nextSibling );
+			}
+
+			this.dom.grid = grid;
+			this.dom.noResults = notice;
+			this.dom.error = error;
+			this.dom.errorRetry = error.lastChild;
+			this.dom.resultsCount = count;
+			this.dom.pagination = pagination;
+			this.dom.sortSelect = find( 'ordering' );
+		},
+
+		/**
+		 * Read pagination metadata embedded by the server-rendered template.
+		 *
+		 * @return {Object|null} Pagination data, or null when the grid was not pre-rendered.
+		 */
+		getInitialPagination: function () {
+			// Archive mode has no results area; the wrapper holds the theme loop's pagination.
+			var source = this.archiveMode ? this.wrapper : this.dom.results;
+			var raw = source ? source.dataset.pagination : '';
+			if ( ! raw ) {
+				return null;
+			}
+
+			try {
+				return JSON.parse( raw );
+			} catch ( e ) {
+				return null;
+			}
+		},
+
+		/**
+		 * Adopt the server-rendered first page.
+		 *
+		 * Product cards are kept as they are. Pagination links are swapped
+		 * for the same buttons renderPagination() produces after a fetch.
+		 */
+		hydrate: function ( pagination ) {
+			this.currentPage = pagination.current_page;
+			this.pagination = pagination;
+			this.renderPagination( pagination );
+			this.updateResultsCount( pagination.total );
+			this.fetchFacets( this.getFilterParams() );
 		},
 
 		/**
@@ -124,7 +640,10 @@
 			if ( this.dom.form ) {
 				// Checkbox changes.
 				this.dom.form.addEventListener( 'change', function ( e ) {
-					if ( e.target.classList.contains( 'wff-checkbox' ) ) {
+					if ( e.target.classList.contains( 'wff-checkbox' ) || e.target.classList.contains( 'wff-rating-input' ) ) {
+						if ( e.target.name === 'categories[]' ) {
+							self.onCategoryChange( e.target );
+						}
 						self.currentPage = 1;
 						if ( self.autoApply ) {
 							self.debouncedFetch();
@@ -140,51 +659,66 @@
 					self.fetchProducts();
 					self.closePanel();
 				} );
+
+				// Rendered disabled in blocks that don't own the URL, whose
+				// plain submit would filter the block that does.
+				var applyButton = this.dom.form.querySelector( '.wff-apply-btn' );
+				if ( applyButton ) {
+					applyButton.disabled = false;
+				}
 			}
 
-			// Price inputs.
-			if ( this.dom.priceMin ) {
-				this.dom.priceMin.addEventListener( 'input', debounce( function () {
-					self.syncRangeFromInput( 'min' );
+			// Keyword search. Enter submits the form like the apply button.
+			if ( this.dom.searchInput ) {
+				this.dom.searchInput.addEventListener( 'input', debounce( function () {
+					self.fetchSuggestions( self.dom.searchInput.value.trim() );
 					if ( self.autoApply ) {
 						self.currentPage = 1;
 						self.debouncedFetch();
 					}
 					self.updateActiveFilters();
-				}, 500 ) );
+				}, 250 ) );
+
+				this.dom.searchInput.addEventListener( 'keydown', function ( e ) {
+					self.handleSearchKeydown( e );
+				} );
+
+				this.dom.searchInput.addEventListener( 'blur', function () {
+					self.closeSuggestions();
+				} );
 			}
 
-			if ( this.dom.priceMax ) {
-				this.dom.priceMax.addEventListener( 'input', debounce( function () {
-					self.syncRangeFromInput( 'max' );
-					if ( self.autoApply ) {
-						self.currentPage = 1;
-						self.debouncedFetch();
-					}
-					self.updateActiveFilters();
+			// Price inputs.
+			[ this.dom.priceMin, this.dom.priceMax ].forEach( function ( input ) {
+				if ( ! input ) {
+					return;
+				}
+				input.addEventListener( 'input', debounce( function () {
+					self.syncPriceSlider();
+					self.onPriceChange();
 				}, 500 ) );
-			}
+			} );
 
-			// Range sliders.
-			if ( this.dom.rangeMin ) {
-				this.dom.rangeMin.addEventListener( 'input', function () {
-					self.syncInputFromRange( 'min' );
-					if ( self.autoApply ) {
-						self.currentPage = 1;
-						self.debouncedFetch();
-					}
-					self.updateActiveFilters();
+			// Price slider: keyboard on each thumb, pointer on the whole
+			// slider so clicking the track moves the nearest thumb.
+			if ( this.dom.priceSlider ) {
+				[ this.dom.thumbMin, this.dom.thumbMax ].forEach( function ( thumb ) {
+					thumb.addEventListener( 'keydown', function ( e ) {
+						self.handleThumbKeydown( e, thumb.dataset.thumb );
+					} );
 				} );
-			}
 
-			if ( this.dom.rangeMax ) {
-				this.dom.rangeMax.addEventListener( 'input', function () {
-					self.syncInputFromRange( 'max' );
-					if ( self.autoApply ) {
-						self.currentPage = 1;
-						self.debouncedFetch();
-					}
-					self.updateActiveFilters();
+				this.dom.priceSlider.addEventListener( 'pointerdown', function ( e ) {
+					self.startPriceDrag( e );
+				} );
+				this.dom.priceSlider.addEventListener( 'pointermove', function ( e ) {
+					self.movePriceDrag( e );
+				} );
+				this.dom.priceSlider.addEventListener( 'pointerup', function ( e ) {
+					self.endPriceDrag( e );
+				} );
+				this.dom.priceSlider.addEventListener( 'pointercancel', function ( e ) {
+					self.endPriceDrag( e );
 				} );
 			}
 
@@ -195,6 +729,18 @@
 				} );
 			}
 
+			// "Try again" after a failed request.
+			if ( this.dom.errorRetry ) {
+				this.dom.errorRetry.addEventListener( 'click', function () {
+					self.retry();
+				} );
+			}
+
+			// Saved filter presets (Pro).
+			if ( this.dom.presets ) {
+				this.bindPresetEvents();
+			}
+
 			// No-results reset button.
 			if ( this.dom.noResultsReset ) {
 				this.dom.noResultsReset.addEventListener( 'click', function () {
@@ -204,51 +750,153 @@
 
 			// Sort.
 			if ( this.dom.sortSelect ) {
-				this.dom.sortSelect.addEventListener( 'change', function () {
+				this.dom.sortSelect.addEventListener( 'change', function ( e ) {
+					// Archive mode: keep WooCommerce's ordering script from
+					// submitting the theme's ordering form.
+					if ( self.archiveMode ) {
+						e.stopPropagation();
+					}
+					self.track( 'sort_changed', { sort: self.dom.sortSelect.value } );
 					self.currentPage = 1;
 					self.fetchProducts();
 				} );
 			}
 
-			// Collapsible groups.
+			// Page size.
+			if ( this.dom.perPageSelect ) {
+				this.dom.perPageSelect.addEventListener( 'change', function () {
+					self.setPerPage( parseInt( self.dom.perPageSelect.value, 10 ) );
+				} );
+			}
+
+			// Grid/list view.
+			this.dom.viewButtons.forEach( function ( button ) {
+				button.addEventListener( 'click', function () {
+					self.setView( button.dataset.view );
+				} );
+			} );
+
+			// Add to cart buttons on product cards. Delegated, so cards
+			// rendered later need no listeners of their own.
+			if ( this.dom.grid ) {
+				this.dom.grid.addEventListener( 'click', function ( e ) {
+					var button = e.target.closest( '.wff-add-to-cart[data-product-id]' );
+					if ( button ) {
+						e.preventDefault();
+						self.addToCart( button );
+					}
+				} );
+			}
+
+			// Collapsible groups. Legends act as buttons, so Enter and
+			// Space toggle them as well.
 			var legends = this.wrapper.querySelectorAll( '.wff-group-title' );
 			for ( var i = 0; i < legends.length; i++ ) {
 				legends[ i ].addEventListener( 'click', function () {
-					var expanded = this.getAttribute( 'aria-expanded' ) !== 'false';
+					self.toggleGroup( this );
+				} );
+				legends[ i ].addEventListener( 'keydown', function ( e ) {
+					if ( e.key === 'Enter' || e.key === ' ' ) {
+						e.preventDefault();
+						self.toggleGroup( this );
+					}
+				} );
+			}
+
+			// Category tree branches.
+			var treeToggles = this.wrapper.querySelectorAll( '.wff-tree-toggle' );
+			for ( var t = 0; t < treeToggles.length; t++ ) {
+				treeToggles[ t ].addEventListener( 'click', function () {
+					var expanded = this.getAttribute( 'aria-expanded' ) === 'true';
+					var branch = document.getElementById( this.getAttribute( 'aria-controls' ) );
 					this.setAttribute( 'aria-expanded', ! expanded );
-					var content = this.nextElementSibling;
-					if ( content ) {
-						content.hidden = expanded;
+					if ( branch ) {
+						branch.hidden = expanded;
+					}
+				} );
+			}
+
+			// "Show more" toggles of groups with a visible term limit.
+			var showMore = this.wrapper.querySelectorAll( '.wff-show-more' );
+			for ( var m = 0; m < showMore.length; m++ ) {
+				showMore[ m ].addEventListener( 'click', function () {
+					var expanded = this.getAttribute( 'aria-expanded' ) === 'true';
+					var overflow = this.closest( '.wff-group-content' ).querySelectorAll( '.wff-term-overflow' );
+					for ( var o = 0; o < overflow.length; o++ ) {
+						overflow[ o ].hidden = expanded;
 					}
+					this.setAttribute( 'aria-expanded', ! expanded );
+					this.textContent = expanded ? this.dataset.labelMore : this.dataset.labelLess;
+				} );
+			}
+
+			// Prefetch the next page when the shopper is about to paginate:
+			// hovering/focusing the controls or scrolling close to them.
+			if ( this.dom.pagination ) {
+				this.dom.pagination.addEventListener( 'mouseenter', function () {
+					self.prefetchNextPage();
 				} );
+				this.dom.pagination.addEventListener( 'focusin', function () {
+					self.prefetchNextPage();
+				} );
+
+				if ( 'IntersectionObserver' in window ) {
+					new IntersectionObserver( function ( entries ) {
+						self.paginationVisible = entries[ 0 ].isIntersecting;
+						if ( self.paginationVisible ) {
+							self.prefetchNextPage();
+						}
+					}, { rootMargin: '300px 0px' } ).observe( this.dom.pagination );
+				}
 			}
 
-			// Escape key closes panel.
-			document.addEventListener( 'keydown', function ( e ) {
+			// While this block's panel is open, Escape closes it and Tab
+			// stays inside it.
+			this.wrapper.addEventListener( 'keydown', function ( e ) {
+				if ( ! self.isPanelOpen() ) {
+					return;
+				}
 				if ( e.key === 'Escape' ) {
 					self.closePanel();
+				} else if ( e.key === 'Tab' ) {
+					self.trapFocus( e );
 				}
 			} );
-		},
 
-		/**
-		 * Debounced fetch for auto-apply mode.
-		 * 300ms delay prevents excessive requests during rapid checkbox toggling.
-		 *
-		 * Pro feature — only called when this.autoApply is true.
-		 * In Free, autoApply is always false (server-enforced), so this
-		 * method is never invoked.
-		 */
-		debouncedFetch: debounce( function () {
-			this.fetchProducts();
-		}, 300 ),
+			if ( ! this.syncUrl ) {
+				return;
+			}
+
+			// Back/forward navigation restores the filter state from the URL.
+			// Skipped when the filter state and page are unchanged (e.g.
+			// hash-only navigation). Archive mode keeps the page outside
+			// the query string, so it is compared separately.
+			window.addEventListener( 'popstate', function () {
+				var previous = self.getStateQuery() + '#' + self.currentPage;
+				self.restoreFromUrl();
+				if ( self.getStateQuery() + '#' + self.currentPage !== previous ) {
+					self.fetchProducts( { history: false } );
+				}
+			} );
+		},
 
 		/**
 		 * Open the filter panel (mobile/modal).
+		 *
+		 * While open, the panel is a modal dialog: focus moves into it
+		 * and is kept there until it closes.
 		 */
 		openPanel: function () {
 			if ( this.dom.panel ) {
+				this.panelReturnFocus = document.activeElement;
 				this.dom.panel.classList.add( 'is-open' );
+				this.dom.panel.setAttribute( 'role', 'dialog' );
+				this.dom.panel.setAttribute( 'aria-modal', 'true' );
+
+				var focusable = this.getPanelFocusable();
+				if ( focusable.length ) {
+					focusable[ 0 ].focus();
+				}
 			}
 			if ( this.dom.overlay ) {
 				this.dom.overlay.classList.add( 'is-visible' );
@@ -261,10 +909,17 @@
 
 		/**
 		 * Close the filter panel.
+		 *
+		 * Focus returns to the control that opened it. Also called after
+		 * every submit, so a panel that isn't open is left alone.
 		 */
 		closePanel: function () {
+			var wasOpen = this.isPanelOpen();
+
 			if ( this.dom.panel ) {
 				this.dom.panel.classList.remove( 'is-open' );
+				this.dom.panel.setAttribute( 'role', 'search' );
+				this.dom.panel.removeAttribute( 'aria-modal' );
 			}
 			if ( this.dom.overlay ) {
 				this.dom.overlay.classList.remove( 'is-visible' );
@@ -273,139 +928,111 @@
 				this.dom.mobileToggle.setAttribute( 'aria-expanded', 'false' );
 			}
 			document.body.style.overflow = '';
-		},
 
-		/**
-		 * Sync price range slider from number input.
-		 */
-		syncRangeFromInput: function ( type ) {
-			if ( type === 'min' && this.dom.rangeMin && this.dom.priceMin ) {
-				this.dom.rangeMin.value = this.dom.priceMin.value;
-			} else if ( type === 'max' && this.dom.rangeMax && this.dom.priceMax ) {
-				this.dom.rangeMax.value = this.dom.priceMax.value;
+			if ( wasOpen ) {
+				var target = this.panelReturnFocus || this.dom.mobileToggle;
+				this.panelReturnFocus = null;
+				if ( target && document.contains( target ) ) {
+					target.focus();
+				}
 			}
 		},
 
 		/**
-		 * Sync number input from price range slider.
+		 * Whether the panel is open as a drawer or modal.
 		 */
-		syncInputFromRange: function ( type ) {
-			if ( type === 'min' && this.dom.priceMin && this.dom.rangeMin ) {
-				var val = parseInt( this.dom.rangeMin.value, 10 );
-				var maxVal = parseInt( this.dom.rangeMax.value, 10 );
-				if ( val > maxVal ) {
-					this.dom.rangeMin.value = maxVal;
-					val = maxVal;
-				}
-				this.dom.priceMin.value = val;
-			} else if ( type === 'max' && this.dom.priceMax && this.dom.rangeMax ) {
-				var val2 = parseInt( this.dom.rangeMax.value, 10 );
-				var minVal = parseInt( this.dom.rangeMin.value, 10 );
-				if ( val2 < minVal ) {
-					this.dom.rangeMax.value = minVal;
-					val2 = minVal;
-				}
-				this.dom.priceMax.value = val2;
-			}
+		isPanelOpen: function () {
+			return !! ( this.dom.panel && this.dom.panel.classList.contains( 'is-open' ) );
 		},
 
 		/**
-		 * Collect current filter state from the form.
+		 * Get the visible, enabled controls inside the panel.
+		 *
+		 * @return {HTMLElement[]} In document order.
 		 */
-		getFilterParams: function () {
-			var params = {
-				page: this.currentPage,
-				per_page: 12,
-			};
+		getPanelFocusable: function () {
+			var candidates = this.dom.panel.querySelectorAll(
+				'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])'
+			);
 
-			// Categories.
-			var catCheckboxes = this.wrapper.querySelectorAll( 'input[name="categories[]"]:checked' );
-			if ( catCheckboxes.length > 0 ) {
-				params.categories = [];
-				for ( var i = 0; i < catCheckboxes.length; i++ ) {
-					params.categories.push( parseInt( catCheckboxes[ i ].value, 10 ) );
-				}
-			}
+			return Array.prototype.filter.call( candidates, function ( el ) {
+				return ! el.disabled && el.getClientRects().length > 0;
+			} );
+		},
 
-			// Attributes.
-			var attrGroups = this.wrapper.querySelectorAll( '[data-filter="attribute"]' );
-			var attributes = {};
-			var hasAttrs = false;
-			for ( var j = 0; j < attrGroups.length; j++ ) {
-				var taxonomy = attrGroups[ j ].dataset.taxonomy;
-				var checked = attrGroups[ j ].querySelectorAll( 'input:checked' );
-				if ( checked.length > 0 ) {
-					attributes[ taxonomy ] = [];
-					for ( var k = 0; k < checked.length; k++ ) {
-						attributes[ taxonomy ].push( parseInt( checked[ k ].value, 10 ) );
-					}
-					hasAttrs = true;
-				}
-			}
-			if ( hasAttrs ) {
-				params.attributes = attributes;
+		/**
+		 * Keep Tab and Shift+Tab inside the open panel.
+		 *
+		 * @param {KeyboardEvent} e Tab keydown event.
+		 */
+		trapFocus: function ( e ) {
+			var focusable = this.getPanelFocusable();
+			if ( ! focusable.length ) {
+				e.preventDefault();
+				return;
 			}
 
-			// Price.
-			if ( this.dom.priceMin && this.dom.priceMax ) {
-				var minDefault = parseInt( this.dom.priceMin.getAttribute( 'min' ), 10 );
-				var maxDefault = parseInt( this.dom.priceMax.getAttribute( 'max' ), 10 );
-				var minVal = parseInt( this.dom.priceMin.value, 10 );
-				var maxVal = parseInt( this.dom.priceMax.value, 10 );
+			var first = focusable[ 0 ];
+			var last = focusable[ focusable.length - 1 ];
+			var active = document.activeElement;
 
-				if ( minVal > minDefault ) {
-					params.min_price = minVal;
-				}
-				if ( maxVal < maxDefault ) {
-					params.max_price = maxVal;
-				}
+			if ( e.shiftKey && ( active === first || ! this.dom.panel.contains( active ) ) ) {
+				e.preventDefault();
+				last.focus();
+			} else if ( ! e.shiftKey && ( active === last || ! this.dom.panel.contains( active ) ) ) {
+				e.preventDefault();
+				first.focus();
 			}
+		},
 
-			// Sorting.
-			if ( this.dom.sortSelect ) {
-				var sortVal = this.dom.sortSelect.value;
-				if ( sortVal === 'price-asc' ) {
-					params.orderby = 'price';
-					params.order = 'ASC';
-				} else if ( sortVal === 'price-desc' ) {
-					params.orderby = 'price';
-					params.order = 'DESC';
-				} else if ( sortVal !== 'menu_order' ) {
-					params.orderby = sortVal;
-				}
+		/**
+		 * Expand or collapse a filter group.
+		 *
+		 * @param {HTMLElement} legend The group's .wff-group-title.
+		 */
+		toggleGroup: function ( legend ) {
+			var expanded = legend.getAttribute( 'aria-expanded' ) !== 'false';
+			legend.setAttribute( 'aria-expanded', ! expanded );
+			var content = legend.nextElementSibling;
+			if ( content ) {
+				content.hidden = expanded;
 			}
-
-			return params;
 		},
 
 		/**
-		 * Fetch products from the REST endpoint.
+		 * Fetch typeahead suggestions for the search field.
 		 *
-		 * Uses AbortController to cancel previous in-flight requests.
-		 * This prevents race conditions where an older request might
-		 * resolve after a newer one.
+		 * Terms shorter than 2 characters close the list. Responses go
+		 * through the same response cache as product requests.
 		 */
-		fetchProducts: function () {
+		fetchSuggestions: function ( term ) {
 			var self = this;
 
-			// Cancel any in-flight request.
-			if ( this.abortController ) {
-				this.abortController.abort();
+			if ( this.suggestAbortController ) {
+				this.suggestAbortController.abort();
+				this.suggestAbortController = null;
 			}
-			this.abortController = new AbortController();
 
-			// Show loading state.
-			this.setLoading( true );
+			if ( term.length < 2 ) {
+				this.closeSuggestions();
+				return;
+			}
 
-			var params = this.getFilterParams();
-			var url = this.buildUrl( this.config.restUrl + '/products', params );
+			var url = this.buildUrl( this.config.restUrl + '/suggest', { search: term } );
+			var cached = this.cache.get( url );
+			if ( cached ) {
+				this.renderSuggestions( cached );
+				return;
+			}
+
+			this.suggestAbortController = new AbortController();
 
 			fetch( url, {
 				method: 'GET',
 				headers: {
 					'X-WP-Nonce': this.config.nonce,
 				},
-				signal: this.abortController.signal,
+				signal: this.suggestAbortController.signal,
 			} )
 				.then( function ( response ) {
 					if ( ! response.ok ) {
@@ -414,400 +1041,2996 @@
 					return response.json();
 				} )
 				.then( function ( data ) {
-					self.renderProducts( data.products );
-					self.renderPagination( data.pagination );
-					self.updateResultsCount( data.pagination.total );
-					self.setLoading( false );
+					self.cache.set( url, data );
+					// Ignore responses that arrive after the field lost focus.
+					if ( document.activeElement === self.dom.searchInput ) {
+						self.renderSuggestions( data );
+					}
 				} )
 				.catch( function ( error ) {
-					// Ignore abort errors - they're expected.
 					if ( error.name !== 'AbortError' ) {
-						console.error( 'WFF fetch error:', error );
-						self.setLoading( false );
-						// Show fallback when grid is empty (e.g. first load failure).
-						if ( self.dom.grid && self.dom.grid.children.length === 0 && self.dom.noResults ) {
-							self.dom.noResults.hidden = false;
-						}
+						console.error( 'WFF suggestions error:', error );
 					}
 				} );
 		},
 
 		/**
-		 * Build URL with query parameters.
-		 * Handles nested objects (attributes) by serializing them.
+		 * Render the suggestions listbox.
+		 *
+		 * Options are selected with mousedown rather than click, so the
+		 * search field's blur handler doesn't close the list first.
 		 */
-		buildUrl: function ( base, params ) {
-			var url = new URL( base, window.location.origin );
+		renderSuggestions: function ( data ) {
+			var self = this;
+			var list = this.dom.suggestions;
+			if ( ! list ) return;
 
-			Object.keys( params ).forEach( function ( key ) {
-				var value = params[ key ];
-				if ( Array.isArray( value ) ) {
-					value.forEach( function ( v ) {
-						url.searchParams.append( key + '[]', v );
-					} );
-				} else if ( typeof value === 'object' && value !== null ) {
-					// Nested object (attributes).
-					Object.keys( value ).forEach( function ( subKey ) {
-						if ( Array.isArray( value[ subKey ] ) ) {
-							value[ subKey ].forEach( function ( v ) {
-								url.searchParams.append(
-									key + '[' + subKey + '][]',
-									v
-								);
-							} );
-						}
-					} );
-				} else {
-					url.searchParams.set( key, value );
+			var i18n = this.config.i18n || {};
+			var groups = [
+				{ type: 'category', label: i18n.suggestCategories || 'Categories', items: data.categories || [] },
+				{ type: 'product', label: i18n.suggestProducts || 'Products', items: data.products || [] },
+			];
+			var fragment = document.createDocumentFragment();
+
+			this.suggestionItems = [];
+			this.activeSuggestion = -1;
+
+			groups.forEach( function ( group ) {
+				if ( group.items.length === 0 ) {
+					return;
 				}
+
+				var heading = document.createElement( 'li' );
+				heading.className = 'wff-suggestions-group';
+				heading.setAttribute( 'role', 'presentation' );
+				heading.textContent = group.label;
+				fragment.appendChild( heading );
+
+				group.items.forEach( function ( item ) {
+					var option = document.createElement( 'li' );
+					var suggestion = { type: group.type, data: item, el: option };
+
+					option.className = 'wff-suggestion';
+					option.id = list.id + '-' + self.suggestionItems.length;
+					option.setAttribute( 'role', 'option' );
+					option.setAttribute( 'aria-selected', 'false' );
+					option.textContent = item.name;
+					option.addEventListener( 'mousedown', function ( e ) {
+						e.preventDefault();
+						self.selectSuggestion( suggestion );
+					} );
+
+					self.suggestionItems.push( suggestion );
+					fragment.appendChild( option );
+				} );
 			} );
 
-			return url.toString();
+			if ( this.suggestionItems.length === 0 ) {
+				this.closeSuggestions();
+				return;
+			}
+
+			list.innerHTML = '';
+			list.appendChild( fragment );
+			list.hidden = false;
+			this.dom.searchInput.setAttribute( 'aria-expanded', 'true' );
 		},
 
 		/**
-		 * Toggle loading state.
+		 * Close the suggestions listbox.
 		 */
-		setLoading: function ( isLoading ) {
-			if ( this.dom.loading ) {
-				this.dom.loading.hidden = ! isLoading;
-			}
-			if ( this.dom.grid ) {
-				this.dom.grid.style.opacity = isLoading ? '0.5' : '1';
-			}
-			if ( this.dom.noResults ) {
-				this.dom.noResults.hidden = true;
+		closeSuggestions: function () {
+			if ( ! this.dom.suggestions ) return;
+
+			this.dom.suggestions.hidden = true;
+			this.dom.suggestions.innerHTML = '';
+			this.suggestionItems = [];
+			this.activeSuggestion = -1;
+
+			if ( this.dom.searchInput ) {
+				this.dom.searchInput.setAttribute( 'aria-expanded', 'false' );
+				this.dom.searchInput.removeAttribute( 'aria-activedescendant' );
 			}
 		},
 
 		/**
-		 * Render products into the grid.
+		 * Keyboard navigation for the combobox.
 		 *
-		 * Uses DocumentFragment to batch DOM writes.
-		 * This triggers only one reflow instead of one per product card.
+		 * Arrows move the active option, Enter picks it (or submits the
+		 * search when none is active), Escape closes the list without
+		 * also closing the mobile panel.
 		 */
-		renderProducts: function ( products ) {
-			var grid = this.dom.grid;
-			if ( ! grid ) return;
+		handleSearchKeydown: function ( e ) {
+			var count = this.suggestionItems.length;
+			var isOpen = count > 0 && ! this.dom.suggestions.hidden;
 
-			// Show no results message.
-			if ( ! products || products.length === 0 ) {
-				grid.innerHTML = '';
-				if ( this.dom.noResults ) {
-					this.dom.noResults.hidden = false;
+			if ( e.key === 'ArrowDown' || e.key === 'ArrowUp' ) {
+				if ( ! isOpen ) return;
+				e.preventDefault();
+				var step = e.key === 'ArrowDown' ? 1 : -1;
+				this.setActiveSuggestion( ( this.activeSuggestion + step + count ) % count );
+			} else if ( e.key === 'Enter' ) {
+				if ( isOpen && this.activeSuggestion !== -1 ) {
+					e.preventDefault();
+					this.selectSuggestion( this.suggestionItems[ this.activeSuggestion ] );
+				} else {
+					this.closeSuggestions();
 				}
-				return;
-			}
-
-			if ( this.dom.noResults ) {
-				this.dom.noResults.hidden = true;
+			} else if ( e.key === 'Escape' && isOpen ) {
+				e.stopPropagation();
+				this.closeSuggestions();
 			}
+		},
 
-			// Build all cards in a DocumentFragment for performance.
-			var fragment = document.createDocumentFragment();
+		/**
+		 * Highlight a suggestion and point aria-activedescendant at it.
+		 */
+		setActiveSuggestion: function ( index ) {
+			this.activeSuggestion = index;
 
-			for ( var i = 0; i < products.length; i++ ) {
-				fragment.appendChild( this.createProductCard( products[ i ] ) );
+			for ( var i = 0; i < this.suggestionItems.length; i++ ) {
+				var isActive = i === index;
+				this.suggestionItems[ i ].el.classList.toggle( 'is-active', isActive );
+				this.suggestionItems[ i ].el.setAttribute( 'aria-selected', isActive ? 'true' : 'false' );
 			}
 
-			grid.innerHTML = '';
-			grid.appendChild( fragment );
+			this.dom.searchInput.setAttribute( 'aria-activedescendant', this.suggestionItems[ index ].el.id );
 		},
 
 		/**
-		 * Create a single product card element.
+		 * Act on a chosen suggestion.
+		 *
+		 * Products open their page. Categories become a category filter
+		 * replacing the typed term; categories not in the filter list
+		 * fall back to a keyword search for their name.
 		 */
-		createProductCard: function ( product ) {
-			var card = document.createElement( 'a' );
-			card.className = 'wff-product-card';
-			card.href = product.permalink;
-
-			var html = '';
+		selectSuggestion: function ( suggestion ) {
+			if ( suggestion.type === 'product' ) {
+				window.location.href = suggestion.data.permalink;
+				return;
+			}
 
-			// Image.
-			html += '<div class="wff-product-image">';
-			if ( product.image && product.image.src ) {
-				html +=
-					'<img src="' +
-					this.escAttr( product.image.src ) +
-					'"' +
-					( product.image.srcset
-						? ' srcset="' + this.escAttr( product.image.srcset ) + '"'
-						: '' ) +
-					' alt="' +
-					this.escAttr( product.image.alt || product.name ) +
-					'"' +
-					' loading="lazy" />';
+			var checkboxes = this.wrapper.querySelectorAll( 'input[name="categories[]"]' );
+			var checkbox = null;
+			for ( var i = 0; i < checkboxes.length; i++ ) {
+				if ( checkboxes[ i ].value === String( suggestion.data.id ) ) {
+					checkbox = checkboxes[ i ];
+				}
 			}
-			if ( product.on_sale ) {
-				html +=
-					'<span class="wff-product-badge wff-badge-sale">' +
-					this.escHtml( this.config.i18n && this.config.i18n.sale ? this.config.i18n.sale : 'Sale' ) +
-					'</span>';
-			} else if ( ! product.in_stock ) {
-				html +=
-					'<span class="wff-product-badge wff-badge-out">' +
-					this.escHtml( this.config.i18n && this.config.i18n.soldOut ? this.config.i18n.soldOut : 'Sold out' ) +
-					'</span>';
+
+			if ( checkbox ) {
+				checkbox.checked = true;
+				this.dom.searchInput.value = '';
+			} else {
+				this.dom.searchInput.value = suggestion.data.name;
 			}
-			html += '</div>';
 
-			// Name.
-			html +=
-				'<h3 class="wff-product-name">' +
-				this.escHtml( product.name ) +
-				'</h3>';
+			this.closeSuggestions();
+			this.currentPage = 1;
+			this.updateActiveFilters();
+			this.fetchProducts();
+		},
 
-			// Price.
-			if ( product.price && product.price.html ) {
-				html +=
-					'<div class="wff-product-price">' +
-					product.price.html +
-					'</div>';
+		/**
+		 * Apply a changed price (auto-apply) and refresh the active tags.
+		 */
+		onPriceChange: function () {
+			if ( this.autoApply ) {
+				this.currentPage = 1;
+				this.debouncedFetch();
 			}
+			this.updateActiveFilters();
+		},
 
-			// Rating.
-			if ( product.rating && product.rating.average > 0 ) {
-				html += '<div class="wff-product-rating">';
-				html +=
-					'<span class="wff-stars">' +
-					this.renderStars( product.rating.average ) +
-					'</span>';
-				html +=
-					'<span>(' + product.rating.count + ')</span>';
-				html += '</div>';
-			}
+		/**
+		 * Snap a price to the slider step, within the slider bounds.
+		 *
+		 * @param {number} value Price.
+		 * @return {number} Snapped price, rounded to the store's decimals.
+		 */
+		roundPrice: function ( value ) {
+			var price = this.price;
+			var snapped = price.min + Math.round( ( value - price.min ) / price.step ) * price.step;
 
-			card.innerHTML = html;
-			return card;
+			return parseFloat( Math.min( price.max, Math.max( price.min, snapped ) ).toFixed( price.decimals ) );
 		},
 
 		/**
-		 * Render star rating.
+		 * Read the selected price range from the number inputs.
+		 *
+		 * Empty or out-of-range inputs fall back to the slider bounds.
+		 *
+		 * @return {Object} { min, max }.
 		 */
-		renderStars: function ( rating ) {
-			var stars = '';
-			for ( var i = 1; i <= 5; i++ ) {
-				if ( i <= Math.round( rating ) ) {
-					stars += '\u2605'; // Filled star.
-				} else {
-					stars += '\u2606'; // Empty star.
-				}
-			}
-			return stars;
+		getPriceValues: function () {
+			var min = parseFloat( this.dom.priceMin.value );
+			var max = parseFloat( this.dom.priceMax.value );
+
+			min = isNaN( min ) ? this.price.min : Math.min( this.price.max, Math.max( this.price.min, min ) );
+			max = isNaN( max ) ? this.price.max : Math.min( this.price.max, Math.max( this.price.min, max ) );
+
+			return { min: Math.min( min, max ), max: Math.max( min, max ) };
 		},
 
 		/**
-		 * Render pagination controls.
+		 * Move one slider thumb and write the price to its number input.
+		 *
+		 * A thumb can't pass the other one.
+		 *
+		 * @param {string} type  'min' or 'max'.
+		 * @param {number} value New price.
+		 * @return {boolean} Whether the price changed.
 		 */
-		renderPagination: function ( pagination ) {
-			var container = this.dom.pagination;
-			if ( ! container ) return;
+		setPrice: function ( type, value ) {
+			var values = this.getPriceValues();
+			var input = type === 'min' ? this.dom.priceMin : this.dom.priceMax;
 
-			if ( pagination.total_pages <= 1 ) {
-				container.innerHTML = '';
-				return;
+			value = this.roundPrice( value );
+			value = type === 'min' ? Math.min( value, values.max ) : Math.max( value, values.min );
+
+			if ( value === parseFloat( input.value ) ) {
+				return false;
 			}
 
-			var self = this;
-			var fragment = document.createDocumentFragment();
+			input.value = value.toFixed( this.price.decimals );
+			this.syncPriceSlider();
+			return true;
+		},
+
+		/**
+		 * Update the slider thumbs, fill and histogram from the number inputs.
+		 */
+		syncPriceSlider: function () {
+			if ( ! this.dom.priceSlider ) {
+				return;
+			}
+
+			var price = this.price;
+			var values = this.getPriceValues();
+			var span = Math.max( price.max - price.min, price.step );
+			var percent = function ( value ) {
+				return ( ( value - price.min ) / span * 100 ) + '%';
+			};
+
+			this.updateThumb( this.dom.thumbMin, values.min, price.min, values.max );
+			this.updateThumb( this.dom.thumbMax, values.max, values.min, price.max );
+			this.dom.thumbMin.style.left = percent( values.min );
+			this.dom.thumbMax.style.left = percent( values.max );
+			this.dom.sliderFill.style.left = percent( values.min );
+			this.dom.sliderFill.style.right = ( ( price.max - values.max ) / span * 100 ) + '%';
+
+			this.dom.histogramBars.forEach( function ( bar ) {
+				bar.classList.toggle(
+					'is-in-range',
+					parseFloat( bar.dataset.max ) >= values.min && parseFloat( bar.dataset.min ) <= values.max
+				);
+			} );
+		},
+
+		/**
+		 * Update a thumb's ARIA slider values.
+		 *
+		 * @param {HTMLElement} thumb Thumb element.
+		 * @param {number}      value Current price.
+		 * @param {number}      min   Lowest price the thumb can take.
+		 * @param {number}      max   Highest price the thumb can take.
+		 */
+		updateThumb: function ( thumb, value, min, max ) {
+			var decimals = this.price.decimals;
+
+			thumb.setAttribute( 'aria-valuenow', value.toFixed( decimals ) );
+			thumb.setAttribute( 'aria-valuemin', min.toFixed( decimals ) );
+			thumb.setAttribute( 'aria-valuemax', max.toFixed( decimals ) );
+			thumb.setAttribute( 'aria-valuetext', this.formatPrice( value ) );
+		},
+
+		/**
+		 * Keyboard support for a slider thumb.
+		 *
+		 * Arrows move by a hundredth of the range, Page Up/Down (or
+		 * Shift + arrows) by a tenth, Home/End to the thumb's lowest and
+		 * highest price. Both sizes are rounded to the price step, which
+		 * alone (one cent, say) would take far too many presses.
+		 *
+		 * @param {KeyboardEvent} e    Keydown event.
+		 * @param {string}        type 'min' or 'max'.
+		 */
+		handleThumbKeydown: function ( e, type ) {
+			var price = this.price;
+			var values = this.getPriceValues();
+			var value = values[ type ];
+			var smallStep = Math.max( price.step, Math.round( ( price.max - price.min ) / 100 / price.step ) * price.step );
+			var largeStep = Math.max( price.step, Math.round( ( price.max - price.min ) / 10 / price.step ) * price.step );
+			var step = e.shiftKey ? largeStep : smallStep;
+
+			switch ( e.key ) {
+				case 'ArrowRight':
+				case 'ArrowUp':
+					value += step;
+					break;
+				case 'ArrowLeft':
+				case 'ArrowDown':
+					value -= step;
+					break;
+				case 'PageUp':
+					value += largeStep;
+					break;
+				case 'PageDown':
+					value -= largeStep;
+					break;
+				case 'Home':
+					value = type === 'min' ? price.min : values.min;
+					break;
+				case 'End':
+					value = type === 'min' ? values.max : price.max;
+					break;
+				default:
+					return;
+			}
+
+			e.preventDefault();
+			if ( this.setPrice( type, value ) ) {
+				this.onPriceChange();
+			}
+		},
+
+		/**
+		 * Convert a pointer position on the slider to a price.
+		 *
+		 * @param {PointerEvent} e Pointer event.
+		 * @return {number} Snapped price.
+		 */
+		getPointerPrice: function ( e ) {
+			var rect = this.dom.priceSlider.getBoundingClientRect();
+			var ratio = rect.width ? ( e.clientX - rect.left ) / rect.width : 0;
+
+			return this.roundPrice( this.price.min + Math.min( 1, Math.max( 0, ratio ) ) * ( this.price.max - this.price.min ) );
+		},
+
+		/**
+		 * Start dragging the thumb nearest to the pointer.
+		 *
+		 * When both thumbs sit on the same price, the one that can still
+		 * move towards the pointer is taken.
+		 *
+		 * @param {PointerEvent} e Pointerdown event.
+		 */
+		startPriceDrag: function ( e ) {
+			if ( e.button !== 0 ) {
+				return;
+			}
+
+			var value = this.getPointerPrice( e );
+			var values = this.getPriceValues();
+			var toMin = Math.abs( value - values.min );
+			var toMax = Math.abs( value - values.max );
+			var type = toMin < toMax || ( toMin === toMax && ( value < values.min || values.max >= this.price.max ) ) ? 'min' : 'max';
+
+			e.preventDefault();
+			this.priceDrag = { type: type, pointerId: e.pointerId };
+			this.dom.priceSlider.setPointerCapture( e.pointerId );
+			( type === 'min' ? this.dom.thumbMin : this.dom.thumbMax ).focus();
+			this.dom.priceSlider.classList.add( 'is-dragging' );
+
+			if ( this.setPrice( type, value ) ) {
+				this.onPriceChange();
+			}
+		},
+
+		/**
+		 * Move the dragged thumb.
+		 *
+		 * @param {PointerEvent} e Pointermove event.
+		 */
+		movePriceDrag: function ( e ) {
+			if ( ! this.priceDrag || e.pointerId !== this.priceDrag.pointerId ) {
+				return;
+			}
+
+			if ( this.setPrice( this.priceDrag.type, this.getPointerPrice( e ) ) ) {
+				this.onPriceChange();
+			}
+		},
+
+		/**
+		 * Stop dragging.
+		 *
+		 * @param {PointerEvent} e Pointerup or pointercancel event.
+		 */
+		endPriceDrag: function ( e ) {
+			if ( ! this.priceDrag || e.pointerId !== this.priceDrag.pointerId ) {
+				return;
+			}
+
+			this.priceDrag = null;
+			this.dom.priceSlider.classList.remove( 'is-dragging' );
+			if ( this.dom.priceSlider.hasPointerCapture( e.pointerId ) ) {
+				this.dom.priceSlider.releasePointerCapture( e.pointerId );
+			}
+		},
+
+		/**
+		 * Format a price with the store's currency settings.
+		 *
+		 * @param {number} value Price.
+		 * @return {string} Formatted price.
+		 */
+		formatPrice: function ( value ) {
+			return formatPrice( value, this.config.currency );
+		},
+
+		/**
+		 * Apply the page size and view saved in the shopper's cookies.
+		 *
+		 * The server renders with them already, except on pages served
+		 * from a full-page cache. A page size in the URL (submitted with
+		 * the form without JS, or from a shared link) wins and is saved.
+		 *
+		 * @return {boolean} Whether the rendered results don't match them.
+		 */
+		restoreResultsPreferences: function () {
+			var urlPerPage = this.syncUrl ? new URLSearchParams( window.location.search ).get( 'wff_per_page' ) : null;
+			var perPage = parseInt( urlPerPage || readCookie( PER_PAGE_COOKIE ), 10 );
+			var view = readCookie( VIEW_COOKIE );
+			var stale = false;
+
+			if ( this.dom.perPageSelect && this.dom.perPageSelect.querySelector( 'option[value="' + perPage + '"]' ) ) {
+				if ( urlPerPage ) {
+					writeCookie( PER_PAGE_COOKIE, String( perPage ) );
+				}
+				if ( perPage !== this.perPage ) {
+					this.perPage = perPage;
+					stale = true;
+				}
+			}
+
+			if ( this.dom.viewButtons.length && ( view === 'grid' || view === 'list' ) && view !== this.view ) {
+				this.view = view;
+				stale = stale || ( view === 'list' && ! this.detailsLoaded );
+			}
+
+			this.updateResultsControls();
+			return stale;
+		},
+
+		/**
+		 * Change the page size, save it and reload from the first page.
+		 *
+		 * @param {number} perPage Products per page.
+		 */
+		setPerPage: function ( perPage ) {
+			if ( ! perPage || perPage === this.perPage ) {
+				return;
+			}
+
+			this.perPage = perPage;
+			writeCookie( PER_PAGE_COOKIE, String( perPage ) );
+			this.currentPage = 1;
+			this.fetchProducts();
+		},
+
+		/**
+		 * Switch between the grid and list view and save the choice.
+		 *
+		 * Products loaded without list details are refetched (from the
+		 * first page in load more and infinite scroll modes).
+		 *
+		 * @param {string} view 'grid' or 'list'.
+		 */
+		setView: function ( view ) {
+			if ( ( view !== 'grid' && view !== 'list' ) || view === this.view ) {
+				return;
+			}
+
+			this.view = view;
+			writeCookie( VIEW_COOKIE, view );
+			this.updateResultsControls();
+
+			if ( view === 'list' && ! this.detailsLoaded ) {
+				if ( this.paginationMode !== 'numbers' ) {
+					this.currentPage = 1;
+				}
+				this.fetchProducts( { history: false } );
+			}
+		},
+
+		/**
+		 * Reflect the page size and view in the results header and grid.
+		 */
+		updateResultsControls: function () {
+			var view = this.view;
+
+			if ( this.dom.perPageSelect ) {
+				this.dom.perPageSelect.value = String( this.perPage );
+			}
+
+			this.dom.viewButtons.forEach( function ( button ) {
+				var active = button.dataset.view === view;
+				button.classList.toggle( 'is-active', active );
+				button.setAttribute( 'aria-pressed', active ? 'true' : 'false' );
+			} );
+
+			if ( this.dom.grid && this.cardMode === 'json' ) {
+				this.dom.grid.classList.toggle( 'wff-products-grid--list', view === 'list' );
+			}
+		},
+
+		/**
+		 * Collect current filter state from the form.
+		 */
+		getFilterParams: function () {
+			var params = {
+				page: this.currentPage,
+				per_page: this.perPage,
+			};
+
+			// Archive mode: stay within the category, tag or attribute archive.
+			if ( this.archiveMode && this.wrapper.dataset.archiveTerm ) {
+				params.archive_taxonomy = this.wrapper.dataset.archiveTaxonomy;
+				params.archive_term = parseInt( this.wrapper.dataset.archiveTerm, 10 );
+			}
+
+			// Theme loop markup for every product ('html' card mode).
+			if ( this.cardMode === 'html' ) {
+				params.render = 'html';
+			}
+
+			// Short description, SKU and stock quantity for the list view.
+			if ( this.view === 'list' ) {
+				params.details = 1;
+			}
+
+			// Categories. When a category includes its descendants, only
+			// the topmost checked category of each branch is sent.
+			var catCheckboxes = this.wrapper.querySelectorAll( 'input[name="categories[]"]:checked' );
+			if ( catCheckboxes.length > 0 ) {
+				params.categories = [];
+				for ( var i = 0; i < catCheckboxes.length; i++ ) {
+					if ( this.includeChildren && this.isParentCategoryChecked( catCheckboxes[ i ] ) ) {
+						continue;
+					}
+					params.categories.push( parseInt( catCheckboxes[ i ].value, 10 ) );
+				}
+			}
+
+			if ( ! this.includeChildren ) {
+				params.include_children = 0;
+			}
+
+			// Attributes.
+			var attrGroups = this.wrapper.querySelectorAll( '[data-filter="attribute"]' );
+			var attributes = {};
+			var hasAttrs = false;
+			for ( var j = 0; j < attrGroups.length; j++ ) {
+				var taxonomy = attrGroups[ j ].dataset.taxonomy;
+				var checked = attrGroups[ j ].querySelectorAll( 'input:checked' );
+				if ( checked.length > 0 ) {
+					attributes[ taxonomy ] = [];
+					for ( var k = 0; k < checked.length; k++ ) {
+						attributes[ taxonomy ].push( parseInt( checked[ k ].value, 10 ) );
+					}
+					hasAttrs = true;
+
+					// "Match all" groups (block setting). "any" is the server default.
+					if ( attrGroups[ j ].dataset.match === 'all' ) {
+						params.attribute_match = params.attribute_match || {};
+						params.attribute_match[ taxonomy ] = 'all';
+					}
+				}
+			}
+			if ( hasAttrs ) {
+				params.attributes = attributes;
+			}
+
+			// Keyword search.
+			if ( this.dom.searchInput && this.dom.searchInput.value.trim() ) {
+				params.search = this.dom.searchInput.value.trim();
+			}
+
+			// Availability.
+			if ( this.wrapper.querySelector( 'input[name="in_stock"]:checked' ) ) {
+				params.in_stock = 1;
+			}
+			if ( this.wrapper.querySelector( 'input[name="on_sale"]:checked' ) ) {
+				params.on_sale = 1;
+			}
+
+			// Minimum rating. "Any rating" has an empty value.
+			var rating = this.wrapper.querySelector( '.wff-rating-input:checked' );
+			if ( rating && rating.value ) {
+				params.min_rating = parseInt( rating.value, 10 );
+			}
+
+			// Price.
+			if ( this.dom.priceMin && this.dom.priceMax ) {
+				var minDefault = parseFloat( this.dom.priceMin.getAttribute( 'min' ) );
+				var maxDefault = parseFloat( this.dom.priceMax.getAttribute( 'max' ) );
+				var minVal = parseFloat( this.dom.priceMin.value );
+				var maxVal = parseFloat( this.dom.priceMax.value );
+
+				if ( minVal > minDefault ) {
+					params.min_price = minVal;
+				}
+				if ( maxVal < maxDefault ) {
+					params.max_price = maxVal;
+				}
+			}
+
+			// Sorting.
+			if ( this.dom.sortSelect ) {
+				var sortVal = this.dom.sortSelect.value;
+				// WooCommerce's own ordering dropdown (archive mode) uses "price".
+				if ( sortVal === 'price-asc' || sortVal === 'price' ) {
+					params.orderby = 'price';
+					params.order = 'ASC';
+				} else if ( sortVal === 'price-desc' ) {
+					params.orderby = 'price';
+					params.order = 'DESC';
+				} else if ( sortVal && sortVal !== 'menu_order' ) {
+					params.orderby = sortVal;
+				}
+			}
+
+			return params;
+		},
+
+		/**
+		 * Collect the shareable part of the filter state.
+		 *
+		 * Keys mirror the form field names so a filtered URL works the
+		 * same whether it was produced by JS or by a plain GET submit.
+		 * Sorting keeps the select value (e.g. "price-desc"), which is
+		 * also what WooCommerce's own catalog ordering expects.
+		 *
+		 * @return {Array} List of [ key, value ] pairs.
+		 */
+		getStateParams: function () {
+			var params = this.getFilterParams();
+			var pairs = [];
+
+			if ( params.categories ) {
+				params.categories.forEach( function ( id ) {
+					pairs.push( [ 'categories[]', id ] );
+				} );
+			}
+
+			if ( params.attributes ) {
+				Object.keys( params.attributes ).forEach( function ( taxonomy ) {
+					params.attributes[ taxonomy ].forEach( function ( id ) {
+						pairs.push( [ 'attributes[' + taxonomy + '][]', id ] );
+					} );
+				} );
+			}
+
+			// "search" is reserved by WordPress.
+			if ( params.search ) {
+				pairs.push( [ 'wff_search', params.search ] );
+			}
+
+			[ 'in_stock', 'on_sale', 'min_rating' ].forEach( function ( key ) {
+				if ( params[ key ] ) {
+					pairs.push( [ key, params[ key ] ] );
+				}
+			} );
+
+			if ( params.min_price !== undefined ) {
+				pairs.push( [ 'min_price', params.min_price ] );
+			}
+			if ( params.max_price !== undefined ) {
+				pairs.push( [ 'max_price', params.max_price ] );
+			}
+
+			if ( this.dom.sortSelect && this.dom.sortSelect.value !== 'menu_order' ) {
+				pairs.push( [ 'orderby', this.dom.sortSelect.value ] );
+			}
+
+			// "page" is reserved by WordPress for paginated posts.
+			// Appended pages aren't shareable: the server renders one page.
+			// Archive mode keeps the page in the path, like the theme's links.
+			if ( params.page > 1 && this.paginationMode === 'numbers' && ! this.archiveMode ) {
+				pairs.push( [ 'wff_page', params.page ] );
+			}
+
+			return pairs;
+		},
+
+		/**
+		 * Serialize the filter state into a query string fragment.
+		 *
+		 * Brackets are left unencoded to keep shared links readable.
+		 *
+		 * @return {string} Query string without leading "?".
+		 */
+		getStateQuery: function () {
+			return this.getStateParams()
+				.map( function ( pair ) {
+					return pair[ 0 ] + '=' + encodeURIComponent( pair[ 1 ] );
+				} )
+				.join( '&' );
+		},
+
+		/**
+		 * Check whether a query string key belongs to the filter state.
+		 *
+		 * wff_per_page only comes from a no-JS form submit; JS keeps the
+		 * page size in a cookie, so the key is dropped from the URL.
+		 */
+		isStateKey: function ( key ) {
+			return key === 'categories[]' ||
+				key.indexOf( 'attributes[' ) === 0 ||
+				[ 'wff_search', 'in_stock', 'on_sale', 'min_rating', 'min_price', 'max_price', 'orderby', 'wff_page', 'wff_per_page' ].indexOf( key ) !== -1;
+		},
+
+		/**
+		 * Write the current filter state to the address bar.
+		 *
+		 * Unrelated query args (tracking params, etc.) are preserved.
+		 * No history entry is added when the URL would not change, or
+		 * when another block on the page owns the URL.
+		 *
+		 * @param {string} mode 'push' to add a history entry, 'replace' to overwrite it.
+		 */
+		updateHistory: function ( mode ) {
+			if ( ! this.syncUrl || ! window.history || ! window.history.pushState ) {
+				return;
+			}
+
+			var url = ( this.archiveMode
+				? this.getArchivePageUrl( this.currentPage )
+				: this.withState( window.location.pathname, window.location.search ) ) + window.location.hash;
+
+			if ( url === window.location.pathname + window.location.search + window.location.hash ) {
+				return;
+			}
+
+			// The page number is kept in the entry, for archive URLs where
+			// it is part of the path.
+			var state = { wff: true, page: this.currentPage };
+			if ( mode === 'replace' ) {
+				window.history.replaceState( state, '', url );
+			} else {
+				window.history.pushState( state, '', url );
+			}
+		},
+
+		/**
+		 * Replace the filter args of a URL with the current filter state.
+		 *
+		 * @param {string} path   URL path.
+		 * @param {string} search Query string, with or without leading "?".
+		 * @return {string} Path and query string.
+		 */
+		withState: function ( path, search ) {
+			var self = this;
+			var params = new URLSearchParams( search );
+			var keys = [];
+
+			params.forEach( function ( value, key ) {
+				if ( self.isStateKey( key ) && keys.indexOf( key ) === -1 ) {
+					keys.push( key );
+				}
+			} );
+			keys.forEach( function ( key ) {
+				params.delete( key );
+			} );
+
+			var query = [ params.toString(), this.getStateQuery() ]
+				.filter( Boolean )
+				.join( '&' );
+			return path + ( query ? '?' + query : '' );
+		},
+
+		/**
+		 * Get the theme's URL for a results page, with the filter state.
+		 *
+		 * Archive mode only. Follows the patterns WooCommerce's
+		 * pagination is built from, e.g. /shop/page/2/.
+		 *
+		 * @param {number} page Page number.
+		 * @return {string} Path and query string.
+		 */
+		getArchivePageUrl: function ( page ) {
+			var pattern = page > 1
+				? ( this.wrapper.dataset.pageUrl || '' ).replace( '%#%', page )
+				: this.wrapper.dataset.firstPageUrl;
+			var url = new URL( pattern || window.location.href, window.location.href );
+
+			return this.withState( url.pathname, url.search );
+		},
+
+		/**
+		 * Apply the filter state from the query string to the form.
+		 *
+		 * Every control is reset first, so keys missing from the URL
+		 * (e.g. after navigating back to the unfiltered view) clear
+		 * their filter.
+		 */
+		restoreFromUrl: function () {
+			var search = new URLSearchParams( window.location.search );
+
+			// Checkboxes share their name with the URL key.
+			var checkboxes = this.wrapper.querySelectorAll( '.wff-checkbox' );
+			for ( var i = 0; i < checkboxes.length; i++ ) {
+				checkboxes[ i ].checked = search.getAll( checkboxes[ i ].name ).indexOf( checkboxes[ i ].value ) !== -1;
+			}
+			this.syncCategoryTree();
+
+			if ( this.dom.searchInput ) {
+				this.dom.searchInput.value = search.get( 'wff_search' ) || '';
+			}
+
+			this.setMinRating( search.get( 'min_rating' ) );
+
+			// Price.
+			this.resetPrice();
+			if ( search.has( 'min_price' ) && this.dom.priceMin ) {
+				this.dom.priceMin.value = search.get( 'min_price' );
+			}
+			if ( search.has( 'max_price' ) && this.dom.priceMax ) {
+				this.dom.priceMax.value = search.get( 'max_price' );
+			}
+			this.syncPriceSlider();
+
+			// Sorting. Unknown values fall back to the default order.
+			this.setSort( search.get( 'orderby' ) );
+
+			if ( this.archiveMode ) {
+				// The page is in the path: read it from the history entry,
+				// or from the server for the entry the page loaded with.
+				var state = window.history.state;
+				var initial = this.getInitialPagination();
+				this.currentPage = state && state.page ? state.page : ( initial ? initial.current_page : 1 );
+			} else {
+				this.currentPage = Math.max( 1, parseInt( search.get( 'wff_page' ), 10 ) || 1 );
+			}
+
+			this.updateActiveFilters();
+		},
+
+		/**
+		 * Fetch products from the REST endpoint.
+		 *
+		 * Uses AbortController to cancel previous in-flight requests.
+		 * This prevents race conditions where an older request might
+		 * resolve after a newer one.
+		 *
+		 * @param {Object}         options         Optional.
+		 * @param {string|boolean} options.history 'push' (default) or 'replace' to sync
+		 *                                         the URL, false to leave it as is.
+		 * @param {boolean}        options.append  Append the page to the grid instead
+		 *                                         of replacing it ("Load more" modes).
+		 * @param {boolean}        options.cache   False to bypass the response cache.
+		 */
+		fetchProducts: function ( options ) {
+			var self = this;
+			var history = options && options.history !== undefined ? options.history : 'push';
+			var append = !! ( options && options.append );
+			var useCache = ! ( options && options.cache === false );
+
+			// Extensions may add or change params, or cancel the request.
+			// Asked first: a canceled fetch leaves the URL and any request
+			// in flight alone, and "Load more" stays on the page it showed.
+			var params = this.getFilterParams();
+			if ( ! this.dispatch( 'beforeFetch', { params: params, append: append, prefetch: false }, true ) ) {
+				if ( append ) {
+					this.currentPage--;
+				}
+				this.pendingFocus = null;
+				return;
+			}
+
+			if ( history !== false ) {
+				this.updateHistory( history );
+			}
+
+			// Cancel any in-flight request.
+			if ( this.abortController ) {
+				this.abortController.abort();
+				this.abortController = null;
+			}
+
+			var url = this.buildUrl( this.config.restUrl + '/products', params );
+
+			// Appending a page doesn't change the counts or filters.
+			if ( ! append ) {
+				this.fetchFacets( params );
+				this.trackFilterChanges( params );
+			}
+
+			// Previously seen state: render instantly, no spinner.
+			var cached = useCache ? this.cache.get( url ) : null;
+			if ( cached ) {
+				this.handleResponse( cached, params, append );
+				return;
+			}
+
+			this.abortController = new AbortController();
+
+			// Show loading state.
+			this.setLoading( true, append );
+
+			fetchWithRetry( url, {
+				method: 'GET',
+				headers: {
+					'X-WP-Nonce': this.config.nonce,
+				},
+			}, this.getRequestSettings( this.abortController.signal ) )
+				.then( function ( data ) {
+					self.cache.set( url, data );
+					// Network responses only: cache hits were reported when fetched.
+					if ( ! append && data.pagination.total === 0 ) {
+						self.trackNoResults( params );
+					}
+					self.handleResponse( data, params, append );
+				} )
+				.catch( function ( error ) {
+					// Ignore abort errors - they're expected.
+					if ( error.name !== 'AbortError' ) {
+						console.error( 'WFF fetch error:', error );
+						self.handleFetchError( error, params, append );
+					}
+				} );
+		},
+
+		/**
+		 * Get timeout and retry settings for a REST request.
+		 *
+		 * @param {AbortSignal} signal Signal that cancels the request.
+		 * @return {Object} Settings for fetchWithRetry().
+		 */
+		getRequestSettings: function ( signal ) {
+			var retries = parseInt( this.config.requestRetries, 10 );
+
+			return {
+				timeout: ( parseInt( this.config.requestTimeout, 10 ) || 0 ) * 1000,
+				retries: isNaN( retries ) ? 2 : Math.max( 0, retries ),
+				signal: signal,
+			};
+		},
+
+		/**
+		 * Show the error state after a products request failed for good.
+		 *
+		 * Results already on screen stay visible under the error notice,
+		 * instead of being replaced by "No products found".
+		 */
+		handleFetchError: function ( error, params, append ) {
+			this.setLoading( false );
+			this.pendingFocus = null;
+			this.failedAppend = append;
+
+			// Let "Load more" retry the same page.
+			if ( append ) {
+				this.currentPage--;
+			}
+
+			this.showError( true );
+			this.dispatch( 'fetchError', { error: error, params: params, append: append } );
+		},
+
+		/**
+		 * Show or hide the error notice.
+		 *
+		 * The message is set when shown, so screen readers announce it.
+		 *
+		 * @param {boolean} show Whether to show it.
+		 */
+		showError: function ( show ) {
+			var notice = this.dom.error;
+			if ( ! notice ) {
+				return;
+			}
+
+			notice.hidden = ! show;
+			notice.firstElementChild.textContent = show
+				? ( ( this.config.i18n && this.config.i18n.loadError ) || 'Products could not be loaded. Check your connection and try again.' )
+				: '';
+		},
+
+		/**
+		 * Repeat the request that failed ("Try again").
+		 *
+		 * The URL was already updated by the failed request, so history
+		 * is left alone.
+		 */
+		retry: function () {
+			this.showError( false );
+
+			if ( this.failedAppend ) {
+				this.loadMore();
+			} else {
+				this.fetchProducts( { history: false } );
+			}
+		},
+
+		/**
+		 * Hand a /products response to extensions, then render it.
+		 *
+		 * Canceling wff:afterFetch skips the default rendering, for
+		 * extensions that render the results themselves.
+		 */
+		handleResponse: function ( data, params, append ) {
+			if ( ! append ) {
+				this.detailsLoaded = !! params.details;
+			}
+
+			if ( this.dispatch( 'afterFetch', { response: data, params: params, append: append }, true ) ) {
+				this.applyResponse( data, append );
+			} else {
+				this.pagination = data.pagination;
+				this.pendingFocus = null;
+				this.setLoading( false );
+			}
+		},
+
+		/**
+		 * Render a /products response.
+		 *
+		 * Shared by network and cache hits.
+		 */
+		applyResponse: function ( data, append ) {
+			this.pagination = data.pagination;
+			// Before rendering: setLoading() hides the no-results panel.
+			this.setLoading( false );
+			var previousCount = append && this.dom.grid ? this.getCardContainer().children.length : 0;
+			this.renderProducts( data.products, append );
+			this.renderPagination( data.pagination );
+			this.updateResultsCount( data.pagination.total );
+			this.announceResults( data.pagination.total );
+			this.restoreResultsFocus( previousCount );
+
+			this.dispatch( 'afterRender', {
+				products: data.products,
+				pagination: data.pagination,
+				append: append,
+			} );
+
+			// Controls already in view won't trigger the observer again.
+			if ( this.paginationVisible ) {
+				this.prefetchNextPage();
+			}
+		},
+
+		/**
+		 * Warm the response cache with the page after the current one.
+		 */
+		prefetchNextPage: function () {
+			if ( ! this.pagination || this.pagination.current_page >= this.pagination.total_pages ) {
+				return;
+			}
+
+			var params = this.getFilterParams();
+			params.page = this.pagination.current_page + 1;
+
+			// Same params as the real request, or the cache key won't match.
+			if ( ! this.dispatch( 'beforeFetch', { params: params, append: false, prefetch: true }, true ) ) {
+				return;
+			}
+
+			this.prefetch( this.buildUrl( this.config.restUrl + '/products', params ) );
+		},
+
+		/**
+		 * Fetch a URL into the response cache without rendering it.
+		 *
+		 * Best-effort: failures are ignored, and a URL that is cached or
+		 * already being prefetched is skipped.
+		 */
+		prefetch: function ( url ) {
+			var self = this;
+
+			if ( this.cache.ttl <= 0 || this.prefetching[ url ] || this.cache.get( url ) ) {
+				return;
+			}
+			this.prefetching[ url ] = true;
+
+			fetch( url, {
+				method: 'GET',
+				headers: {
+					'X-WP-Nonce': this.config.nonce,
+				},
+			} )
+				.then( function ( response ) {
+					if ( ! response.ok ) {
+						throw new Error( 'Request failed: ' + response.status );
+					}
+					return response.json();
+				} )
+				.then( function ( data ) {
+					self.cache.set( url, data );
+				} )
+				.catch( function () {} )
+				.then( function () {
+					delete self.prefetching[ url ];
+				} );
+		},
+
+		/**
+		 * Fetch live facet counts for the given filter params.
+		 *
+		 * Pro feature — no-op in Free, where the /facets route is not
+		 * registered. Runs alongside the product request with its own
+		 * AbortController, so a slow count never delays the grid.
+		 */
+		fetchFacets: function ( params ) {
+			if ( ! this.liveCounts ) {
+				return;
+			}
+
+			var self = this;
+
+			if ( this.facetsAbortController ) {
+				this.facetsAbortController.abort();
+				this.facetsAbortController = null;
+			}
+
+			// Kept out of the URL and cache key, so paging and re-sorting
+			// reuse the cached counts.
+			var facetParams = {};
+			Object.keys( params ).forEach( function ( key ) {
+				if ( NON_FILTER_PARAMS.indexOf( key ) === -1 ) {
+					facetParams[ key ] = params[ key ];
+				}
+			} );
+
+			var url = this.buildUrl( this.config.restUrl + '/facets', facetParams );
+			var cached = this.cache.get( url );
+			if ( cached ) {
+				this.updateFacets( cached );
+				return;
+			}
+
+			this.facetsAbortController = new AbortController();
+
+			fetchWithRetry( url, {
+				method: 'GET',
+				headers: {
+					'X-WP-Nonce': this.config.nonce,
+				},
+			}, this.getRequestSettings( this.facetsAbortController.signal ) )
+				.then( function ( data ) {
+					self.cache.set( url, data );
+					self.updateFacets( data );
+				} )
+				.catch( function ( error ) {
+					// Counts are an enhancement; keep the previous ones on failure.
+					if ( error.name !== 'AbortError' ) {
+						console.error( 'WFF facets error:', error );
+					}
+				} );
+		},
+
+		/**
+		 * Apply facet counts to the filter options.
+		 *
+		 * Updates each .wff-count span and disables options that would
+		 * return no products. Checked options stay enabled so they can
+		 * always be unchecked.
+		 */
+		updateFacets: function ( data ) {
+			var checkboxes = this.wrapper.querySelectorAll( '.wff-checkbox' );
+
+			for ( var i = 0; i < checkboxes.length; i++ ) {
+				var input = checkboxes[ i ];
+				var counts;
+
+				if ( input.name === 'categories[]' ) {
+					counts = data.categories;
+				} else {
+					var group = input.closest( '[data-taxonomy]' );
+					counts = group && data.attributes ? data.attributes[ group.dataset.taxonomy ] : null;
+				}
+
+				if ( ! counts ) {
+					continue;
+				}
+
+				var count = counts[ input.value ] || 0;
+				var label = input.closest( '.wff-checkbox-label' );
+				var countEl = label ? label.querySelector( '.wff-count' ) : null;
+				var isEmpty = count === 0 && ! input.checked;
+
+				if ( countEl ) {
+					countEl.textContent = '(' + count + ')';
+				}
+				input.disabled = isEmpty;
+				if ( label ) {
+					label.classList.toggle( 'is-disabled', isEmpty );
+				}
+			}
+		},
+
+		/**
+		 * Build URL with query parameters.
+		 * Handles nested objects (attributes) by serializing them.
+		 */
+		buildUrl: function ( base, params ) {
+			var url = new URL( base, window.location.origin );
+
+			Object.keys( params ).forEach( function ( key ) {
+				var value = params[ key ];
+				if ( Array.isArray( value ) ) {
+					value.forEach( function ( v ) {
+						url.searchParams.append( key + '[]', v );
+					} );
+				} else if ( typeof value === 'object' && value !== null ) {
+					// Nested object (attributes, attribute_match).
+					Object.keys( value ).forEach( function ( subKey ) {
+						if ( Array.isArray( value[ subKey ] ) ) {
+							value[ subKey ].forEach( function ( v ) {
+								url.searchParams.append(
+									key + '[' + subKey + '][]',
+									v
+								);
+							} );
+						} else {
+							url.searchParams.set( key + '[' + subKey + ']', value[ subKey ] );
+						}
+					} );
+				} else {
+					url.searchParams.set( key, value );
+				}
+			} );
+
+			return url.toString();
+		},
+
+		/**
+		 * Toggle loading state.
+		 *
+		 * When appending, existing cards stay fully visible and only the
+		 * spinner below them is shown.
+		 */
+		setLoading: function ( isLoading, append ) {
+			this.isLoading = isLoading;
+			if ( this.dom.loading ) {
+				this.dom.loading.hidden = ! isLoading;
+			}
+			if ( this.dom.grid && ! append ) {
+				this.dom.grid.style.opacity = isLoading ? '0.5' : '1';
+			}
+			if ( this.dom.grid ) {
+				this.dom.grid.setAttribute( 'aria-busy', isLoading ? 'true' : 'false' );
+			}
+			if ( this.dom.noResults ) {
+				this.dom.noResults.hidden = true;
+			}
+			this.showError( false );
+		},
+
+		/**
+		 * Render products into the grid.
+		 *
+		 * Uses DocumentFragment to batch DOM writes.
+		 * This triggers only one reflow instead of one per product card.
+		 *
+		 * @param {Array}   products Products from the REST response.
+		 * @param {boolean} append   Add after the existing cards instead of replacing them.
+		 */
+		renderProducts: function ( products, append ) {
+			var grid = this.dom.grid;
+			if ( ! grid ) return;
+
+			// An empty follow-up page leaves the existing cards alone.
+			if ( append && ( ! products || products.length === 0 ) ) {
+				return;
+			}
+
+			// Show no results message.
+			if ( ! products || products.length === 0 ) {
+				grid.innerHTML = '';
+				if ( this.dom.noResults ) {
+					this.dom.noResults.hidden = false;
+				}
+				return;
+			}
+
+			if ( this.dom.noResults ) {
+				this.dom.noResults.hidden = true;
+			}
+
+			// Build all cards in a DocumentFragment for performance.
+			var fragment = document.createDocumentFragment();
+
+			for ( var i = 0; i < products.length; i++ ) {
+				fragment.appendChild( this.renderCard( products[ i ] ) );
+			}
+
+			if ( ! append ) {
+				grid.innerHTML = '';
+			}
+			this.getCardContainer().appendChild( fragment );
+		},
+
+		/**
+		 * Get the element cards are appended to.
+		 *
+		 * In 'html' card mode, theme loop items (<li class="product">) go
+		 * into the same ul.products wrapper the server-rendered page uses.
+		 */
+		getCardContainer: function () {
+			// Archive mode: the grid is the theme's ul.products itself.
+			if ( this.cardMode !== 'html' || this.archiveMode ) {
+				return this.dom.grid;
+			}
+
+			var list = this.dom.grid.querySelector( 'ul.products' );
+			if ( ! list ) {
+				list = document.createElement( 'ul' );
+				list.className = 'products columns-' + ( this.config.columns || 4 );
+				this.dom.grid.appendChild( list );
+			}
+			return list;
+		},
+
+		/**
+		 * Render a product card with the first available renderer.
+		 *
+		 * Order: a renderer registered via window.wff.registerCardRenderer(),
+		 * server-rendered theme markup ('html' card mode), the theme's
+		 * <template>, and finally the built-in createProductCard().
+		 *
+		 * @return {Node} Card element or fragment.
+		 */
+		renderCard: function ( product ) {
+			if ( typeof window.wff.cardRenderer === 'function' ) {
+				var card = window.wff.cardRenderer( product, this );
+				if ( card ) {
+					return typeof card === 'string' ? this.parseHtml( card ) : card;
+				}
+			}
+
+			if ( product.html ) {
+				return this.parseHtml( product.html );
+			}
+
+			if ( this.dom.cardTemplate ) {
+				return this.fillCardTemplate( product );
+			}
+
+			return this.createProductCard( product );
+		},
+
+		/**
+		 * Parse an HTML string into a DocumentFragment.
+		 */
+		parseHtml: function ( html ) {
+			var template = document.createElement( 'template' );
+			template.innerHTML = html.trim();
+			return template.content;
+		},
+
+		/**
+		 * Fill the theme's card <template> with product data.
+		 *
+		 * Bindings use dot paths into the product JSON, plus computed
+		 * "stars" and "can_add_to_cart" fields:
+		 *   data-wff-text="name"               Sets textContent.
+		 *   data-wff-html="price.html"         Sets innerHTML (server-escaped fields only).
+		 *   data-wff-attr="href:permalink"     Sets attributes; comma-separated pairs.
+		 *   data-wff-if="on_sale"              Removes the element when falsy.
+		 *   data-wff-if-not="in_stock"         Removes the element when truthy.
+		 *
+		 * A link with the wff-add-to-cart class and a data-product-id
+		 * attribute (data-wff-attr="href:add_to_cart_url,data-product-id:id")
+		 * adds to the cart.
+		 */
+		fillCardTemplate: function ( product ) {
+			var self = this;
+			var data = Object.assign( {}, product, {
+				stars: this.renderStars( product.rating ? product.rating.average : 0 ),
+				can_add_to_cart: this.canAddToCart( product ),
+				add_to_cart_url: this.getAddToCartUrl( product ),
+			} );
+			var fragment = this.dom.cardTemplate.content.cloneNode( true );
+			var i;
+
+			var conditionals = fragment.querySelectorAll( '[data-wff-if], [data-wff-if-not]' );
+			for ( i = 0; i < conditionals.length; i++ ) {
+				var el = conditionals[ i ];
+				var show = el.hasAttribute( 'data-wff-if' )
+					? !! this.getPath( data, el.getAttribute( 'data-wff-if' ) )
+					: ! this.getPath( data, el.getAttribute( 'data-wff-if-not' ) );
+				if ( ! show ) {
+					el.remove();
+				}
+			}
+
+			var texts = fragment.querySelectorAll( '[data-wff-text]' );
+			for ( i = 0; i < texts.length; i++ ) {
+				texts[ i ].textContent = this.getPath( data, texts[ i ].getAttribute( 'data-wff-text' ) );
+			}
+
+			var htmls = fragment.querySelectorAll( '[data-wff-html]' );
+			for ( i = 0; i < htmls.length; i++ ) {
+				htmls[ i ].innerHTML = this.getPath( data, htmls[ i ].getAttribute( 'data-wff-html' ) );
+			}
+
+			var attrs = fragment.querySelectorAll( '[data-wff-attr]' );
+			for ( i = 0; i < attrs.length; i++ ) {
+				( function ( el ) {
+					el.getAttribute( 'data-wff-attr' ).split( ',' ).forEach( function ( pair ) {
+						var parts = pair.split( ':' );
+						var value = self.getPath( data, ( parts[ 1 ] || '' ).trim() );
+						if ( value !== '' ) {
+							el.setAttribute( parts[ 0 ].trim(), value );
+						}
+					} );
+				} )( attrs[ i ] );
+			}
+
+			return fragment;
+		},
+
+		/**
+		 * Read a dot path (e.g. "image.src") from an object.
+		 *
+		 * @return {*} Value, or an empty string when missing.
+		 */
+		getPath: function ( obj, path ) {
+			var value = path.split( '.' ).reduce( function ( current, key ) {
+				return current !== null && current !== undefined ? current[ key ] : undefined;
+			}, obj );
+			return value === null || value === undefined ? '' : value;
+		},
+
+		/**
+		 * Create a single product card element.
+		 */
+		createProductCard: function ( product ) {
+			var i18n = this.config.i18n || {};
+			var card = document.createElement( 'div' );
+			card.className = 'wff-product-card';
+
+			var link = document.createElement( 'a' );
+			link.className = 'wff-product-link';
+			link.href = product.permalink;
+
+			var html = '';
+
+			// Image.
+			html += '<div class="wff-product-image">';
+			if ( product.image && product.image.src ) {
+				html +=
+					'<img src="' +
+					this.escAttr( product.image.src ) +
+					'"' +
+					( product.image.srcset
+						? ' srcset="' + this.escAttr( product.image.srcset ) + '"'
+						: '' ) +
+					' alt="' +
+					this.escAttr( product.image.alt || product.name ) +
+					'"' +
+					' loading="lazy" />';
+			}
+			if ( product.on_sale ) {
+				html +=
+					'<span class="wff-product-badge wff-badge-sale">' +
+					this.escHtml( this.config.i18n && this.config.i18n.sale ? this.config.i18n.sale : 'Sale' ) +
+					'</span>';
+			} else if ( ! product.in_stock ) {
+				html +=
+					'<span class="wff-product-badge wff-badge-out">' +
+					this.escHtml( this.config.i18n && this.config.i18n.soldOut ? this.config.i18n.soldOut : 'Sold out' ) +
+					'</span>';
+			}
+			html += '</div>';
+
+			// Name.
+			html +=
+				'<h3 class="wff-product-name">' +
+				this.escHtml( product.name ) +
+				'</h3>';
+
+			// Price.
+			if ( product.price && product.price.html ) {
+				html +=
+					'<div class="wff-product-price">' +
+					product.price.html +
+					'</div>';
+			}
+
+			// Rating.
+			if ( product.rating && product.rating.average > 0 ) {
+				html += '<div class="wff-product-rating">';
+				html +=
+					'<span class="wff-stars">' +
+					this.renderStars( product.rating.average ) +
+					'</span>';
+				html +=
+					'<span>(' + product.rating.count + ')</span>';
+				html += '</div>';
+			}
+
+			// List view details, only present when requested.
+			if ( product.short_description !== undefined ) {
+				html += '<div class="wff-product-details">';
+				if ( product.short_description ) {
+					html += '<p class="wff-product-excerpt">' + this.escHtml( product.short_description ) + '</p>';
+				}
+				if ( product.sku ) {
+					html +=
+						'<span class="wff-product-sku">' +
+						this.escHtml( ( i18n.sku || 'SKU: %s' ).replace( '%s', product.sku ) ) +
+						'</span>';
+				}
+				if ( product.stock_quantity !== null && product.stock_quantity !== undefined ) {
+					html +=
+						'<span class="wff-product-stock">' +
+						this.escHtml( ( i18n.stockQuantity || '%d in stock' ).replace( '%d', product.stock_quantity ) ) +
+						'</span>';
+				}
+				html += '</div>';
+			}
+
+			link.innerHTML = html;
+			card.appendChild( link );
+			card.appendChild( this.createCartAction( product ) );
+			return card;
+		},
+
+		/**
+		 * Create the card's add to cart link, or its product page link.
+		 *
+		 * The add to cart link is WooCommerce's ?add-to-cart URL, used
+		 * when the link is opened in a new tab; clicks go through the
+		 * Store API. Products that need options or can't be bought right
+		 * away link to the product page with WooCommerce's button text
+		 * (e.g. "Select options").
+		 *
+		 * @return {Element} Actions element.
+		 */
+		createCartAction: function ( product ) {
+			var i18n = this.config.i18n || {};
+			var actions = document.createElement( 'div' );
+			actions.className = 'wff-product-actions';
+
+			if ( this.canAddToCart( product ) ) {
+				var button = document.createElement( 'a' );
+				button.className = 'wff-card-action wff-add-to-cart';
+				button.href = this.getAddToCartUrl( product );
+				button.rel = 'nofollow';
+				button.setAttribute( 'data-product-id', product.id );
+				button.textContent = product.add_to_cart_text || i18n.addToCart || 'Add to cart';
+				actions.appendChild( button );
+
+				var status = document.createElement( 'span' );
+				status.className = 'wff-cart-message wff-sr-only';
+				status.setAttribute( 'role', 'status' );
+				actions.appendChild( status );
+			} else {
+				var link = document.createElement( 'a' );
+				link.className = 'wff-card-action wff-select-options';
+				link.href = product.permalink;
+				link.textContent = product.add_to_cart_text || '';
+				actions.appendChild( link );
+			}
+
+			return actions;
+		},
+
+		/**
+		 * Whether a product can be added to the cart from its card.
+		 */
+		canAddToCart: function ( product ) {
+			return product.type === 'simple' && !! product.purchasable && !! this.config.storeApiUrl;
+		},
+
+		/**
+		 * Get WooCommerce's add to cart URL for a product: the current
+		 * page with ?add-to-cart, as product-card.php renders it.
+		 */
+		getAddToCartUrl: function ( product ) {
+			var url = new URL( window.location.href );
+			url.searchParams.delete( 'added-to-cart' );
+			url.searchParams.set( 'add-to-cart', product.id );
+
+			return url.toString();
+		},
+
+		/**
+		 * Add a product to the cart through the WooCommerce Store API.
+		 *
+		 * The button shows loading, success and error states. On success
+		 * the mini-cart is refreshed and wff:addedToCart is dispatched
+		 * with the updated cart.
+		 *
+		 * @param {Element} button Add to cart link with data-product-id.
+		 */
+		addToCart: function ( button ) {
+			var self = this;
+			var i18n = this.config.i18n || {};
+			var productId = parseInt( button.dataset.productId, 10 );
+
+			if ( ! productId || button.classList.contains( 'is-loading' ) ) {
+				return;
+			}
+
+			this.setCartState( button, 'loading', i18n.adding || 'Adding...' );
+
+			fetch( this.config.storeApiUrl + '/cart/add-item', {
+				method: 'POST',
+				credentials: 'same-origin',
+				headers: {
+					'Content-Type': 'application/json',
+					Nonce: this.config.storeApiNonce,
+				},
+				body: JSON.stringify( { id: productId, quantity: 1 } ),
+			} )
+				.then( function ( response ) {
+					// The Store API may send a fresh nonce; keep it for the next request.
+					var nonce = response.headers.get( 'Nonce' );
+					if ( nonce ) {
+						self.config.storeApiNonce = nonce;
+					}
+
+					return response.json().then( function ( data ) {
+						if ( ! response.ok ) {
+							throw new Error( data && data.message ? data.message : 'Request failed: ' + response.status );
+						}
+						return data;
+					} );
+				} )
+				.then( function ( cart ) {
+					self.setCartState( button, 'added', i18n.addedToCart || 'Added to cart' );
+					self.showViewCartLink( button );
+					self.refreshMiniCart();
+					self.dispatch( 'addedToCart', { productId: productId, cart: cart } );
+				} )
+				.catch( function ( error ) {
+					// Store API messages may contain HTML entities.
+					var message = new DOMParser().parseFromString( error.message, 'text/html' ).body.textContent;
+					self.setCartState( button, 'error', i18n.addToCartError || 'Could not add to cart', message );
+				} );
+		},
+
+		/**
+		 * Update an add to cart link and its status message.
+		 *
+		 * Success and error states revert to the original label after a
+		 * few seconds. The status element announces the change to screen
+		 * readers; an error's detail is also shown as the button's tooltip.
+		 *
+		 * @param {Element} button  Add to cart button.
+		 * @param {string}  state   'loading', 'added' or 'error'.
+		 * @param {string}  label   Button text for the state.
+		 * @param {string}  message Optional error detail.
+		 */
+		setCartState: function ( button, state, label, message ) {
+			var status = button.parentNode.querySelector( '.wff-cart-message' );
+
+			if ( ! button.dataset.label ) {
+				button.dataset.label = button.textContent.trim();
+			}
+			clearTimeout( parseInt( button.dataset.resetTimer, 10 ) );
+
+			button.classList.remove( 'is-loading', 'is-added', 'is-error' );
+			button.classList.add( 'is-' + state );
+			if ( state === 'loading' ) {
+				button.setAttribute( 'aria-disabled', 'true' );
+			} else {
+				button.removeAttribute( 'aria-disabled' );
+			}
+			button.textContent = label;
+			if ( message ) {
+				button.title = message;
+			} else {
+				button.removeAttribute( 'title' );
+			}
+
+			if ( status ) {
+				status.textContent = message ? label + ': ' + message : label;
+			}
+
+			if ( state === 'loading' ) {
+				return;
+			}
+
+			button.dataset.resetTimer = setTimeout( function () {
+				button.classList.remove( 'is-added', 'is-error' );
+				button.textContent = button.dataset.label;
+				button.removeAttribute( 'title' );
+			}, 3000 );
+		},
+
+		/**
+		 * Show a "View cart" link next to a button, once per card.
+		 */
+		showViewCartLink: function ( button ) {
+			if ( ! this.config.cartUrl || button.parentNode.querySelector( '.wff-view-cart' ) ) {
+				return;
+			}
+
+			var link = document.createElement( 'a' );
+			link.className = 'wff-view-cart';
+			link.href = this.config.cartUrl;
+			link.textContent = ( this.config.i18n && this.config.i18n.viewCart ) || 'View cart';
+			button.parentNode.appendChild( link );
+		},
+
+		/**
+		 * Refresh mini-carts after a Store API change.
+		 *
+		 * Classic themes: WooCommerce's cart fragments script refetches
+		 * its fragments. Block themes: the Mini-Cart block listens for
+		 * wc-blocks_added_to_cart.
+		 */
+		refreshMiniCart: function () {
+			if ( window.jQuery ) {
+				window.jQuery( document.body ).trigger( 'wc_fragment_refresh' );
+			}
+
+			document.body.dispatchEvent(
+				new CustomEvent( 'wc-blocks_added_to_cart', { bubbles: true, cancelable: true } )
+			);
+		},
+
+		/**
+		 * Render star rating.
+		 */
+		renderStars: function ( rating ) {
+			var stars = '';
+			for ( var i = 1; i <= 5; i++ ) {
+				if ( i <= Math.round( rating ) ) {
+					stars += '\u2605'; // Filled star.
+				} else {
+					stars += '\u2606'; // Empty star.
+				}
+			}
+			return stars;
+		},
+
+		/**
+		 * Render pagination controls.
+		 */
+		renderPagination: function ( pagination ) {
+			var container = this.dom.pagination;
+			if ( ! container ) return;
+
+			if ( pagination.total_pages <= 1 ) {
+				container.innerHTML = '';
+				return;
+			}
+
+			if ( this.paginationMode !== 'numbers' ) {
+				this.renderLoadMore( pagination );
+				return;
+			}
+
+			if ( this.archiveMode ) {
+				this.renderArchivePagination( pagination );
+				return;
+			}
+
+			var self = this;
+			var fragment = document.createDocumentFragment();
+
+			var i18n = this.config.i18n || {};
 
 			// Previous button.
 			var prevBtn = document.createElement( 'button' );
+			prevBtn.type = 'button';
 			prevBtn.className = 'wff-page-btn';
 			prevBtn.textContent = '\u2039';
+			prevBtn.setAttribute( 'aria-label', i18n.previousPage || 'Previous page' );
 			prevBtn.disabled = pagination.current_page <= 1;
 			prevBtn.addEventListener( 'click', function () {
 				self.goToPage( pagination.current_page - 1 );
 			} );
-			fragment.appendChild( prevBtn );
+			fragment.appendChild( prevBtn );
+
+			// Page numbers (show max 5).
+			var startPage = Math.max( 1, pagination.current_page - 2 );
+			var endPage = Math.min( pagination.total_pages, startPage + 4 );
+			startPage = Math.max( 1, endPage - 4 );
+
+			for ( var i = startPage; i <= endPage; i++ ) {
+				( function ( page ) {
+					var btn = document.createElement( 'button' );
+					btn.type = 'button';
+					btn.className = 'wff-page-btn';
+					if ( page === pagination.current_page ) {
+						btn.classList.add( 'is-active' );
+						btn.setAttribute( 'aria-current', 'page' );
+					}
+					btn.textContent = page;
+					btn.setAttribute( 'aria-label', ( i18n.page || 'Page %d' ).replace( '%d', page ) );
+					btn.addEventListener( 'click', function () {
+						self.goToPage( page );
+					} );
+					fragment.appendChild( btn );
+				} )( i );
+			}
+
+			// Next button.
+			var nextBtn = document.createElement( 'button' );
+			nextBtn.type = 'button';
+			nextBtn.className = 'wff-page-btn';
+			nextBtn.textContent = '\u203A';
+			nextBtn.setAttribute( 'aria-label', i18n.nextPage || 'Next page' );
+			nextBtn.disabled = pagination.current_page >= pagination.total_pages;
+			nextBtn.addEventListener( 'click', function () {
+				self.goToPage( pagination.current_page + 1 );
+			} );
+			fragment.appendChild( nextBtn );
+
+			container.innerHTML = '';
+			container.appendChild( fragment );
+		},
+
+		/**
+		 * Render page links in WooCommerce's markup (archive mode).
+		 *
+		 * Same structure as the theme's loop/pagination.php, so theme
+		 * styles apply. Links keep real URLs for new tabs; clicks are
+		 * handled without a page load.
+		 */
+		renderArchivePagination: function ( pagination ) {
+			var self = this;
+			var i18n = this.config.i18n || {};
+			var list = document.createElement( 'ul' );
+			list.className = 'page-numbers';
+
+			var addItem = function ( page, label, className ) {
+				var item = document.createElement( 'li' );
+				var link;
+
+				if ( ! className && page === pagination.current_page ) {
+					link = document.createElement( 'span' );
+					link.className = 'page-numbers current';
+					link.setAttribute( 'aria-current', 'page' );
+				} else {
+					link = document.createElement( 'a' );
+					link.className = 'page-numbers' + ( className ? ' ' + className : '' );
+					link.href = self.getArchivePageUrl( page );
+					link.addEventListener( 'click', function ( e ) {
+						e.preventDefault();
+						self.goToPage( page );
+					} );
+				}
+
+				var ariaLabel = ( i18n.page || 'Page %d' ).replace( '%d', page );
+				if ( className === 'prev' ) {
+					ariaLabel = i18n.previousPage || 'Previous page';
+				} else if ( className === 'next' ) {
+					ariaLabel = i18n.nextPage || 'Next page';
+				}
+
+				link.textContent = label;
+				link.setAttribute( 'aria-label', ariaLabel );
+				item.appendChild( link );
+				list.appendChild( item );
+			};
+
+			// Page numbers (show max 5).
+			var startPage = Math.max( 1, pagination.current_page - 2 );
+			var endPage = Math.min( pagination.total_pages, startPage + 4 );
+			startPage = Math.max( 1, endPage - 4 );
+
+			if ( pagination.current_page > 1 ) {
+				addItem( pagination.current_page - 1, '\u2190', 'prev' );
+			}
+			for ( var i = startPage; i <= endPage; i++ ) {
+				addItem( i, String( i ) );
+			}
+			if ( pagination.current_page < pagination.total_pages ) {
+				addItem( pagination.current_page + 1, '\u2192', 'next' );
+			}
+
+			this.dom.pagination.innerHTML = '';
+			this.dom.pagination.appendChild( list );
+		},
+
+		/**
+		 * Render the "Load more" button or infinite scroll sentinel.
+		 *
+		 * Infinite scroll observes a sentinel below the grid and falls
+		 * back to the button where IntersectionObserver is unavailable.
+		 */
+		renderLoadMore: function ( pagination ) {
+			var self = this;
+			var container = this.dom.pagination;
+
+			if ( this.scrollObserver ) {
+				this.scrollObserver.disconnect();
+			}
+
+			container.innerHTML = '';
+
+			if ( pagination.current_page >= pagination.total_pages ) {
+				return;
+			}
+
+			if ( this.paginationMode === 'infinite' && 'IntersectionObserver' in window ) {
+				var sentinel = document.createElement( 'div' );
+				sentinel.className = 'wff-scroll-sentinel';
+				container.appendChild( sentinel );
+
+				if ( ! this.scrollObserver ) {
+					this.scrollObserver = new IntersectionObserver( function ( entries ) {
+						if ( entries[ 0 ].isIntersecting ) {
+							self.loadMore();
+						}
+					}, { rootMargin: '400px 0px' } );
+				}
+				this.scrollObserver.observe( sentinel );
+				return;
+			}
+
+			var button = document.createElement( 'button' );
+			button.type = 'button';
+			button.className = 'wff-load-more';
+			button.textContent = ( this.config.i18n && this.config.i18n.loadMore ) || 'Load more';
+			button.addEventListener( 'click', function () {
+				self.loadMore();
+			} );
+			container.appendChild( button );
+		},
+
+		/**
+		 * Append the next page of results ("Load more" / infinite scroll).
+		 *
+		 * Ignored while any request is in flight: a pending filter change
+		 * would otherwise be aborted and its grid appended to.
+		 */
+		loadMore: function () {
+			if ( this.isLoading ) {
+				return;
+			}
+
+			// The button is rebuilt after rendering; keyboard users continue
+			// from the first new product instead of the top of the page.
+			if ( document.activeElement && document.activeElement.classList.contains( 'wff-load-more' ) ) {
+				this.pendingFocus = true;
+			}
+
+			this.currentPage++;
+			this.track( 'page_changed', { page: this.currentPage, append: true } );
+			this.fetchProducts( { history: false, append: true } );
+		},
+
+		/**
+		 * Navigate to a specific page.
+		 *
+		 * When the page was picked from the pagination, focus moves to
+		 * the new results once they render.
+		 */
+		goToPage: function ( page ) {
+			if ( this.dom.pagination && this.dom.pagination.contains( document.activeElement ) ) {
+				this.pendingFocus = true;
+			}
+
+			this.currentPage = page;
+			this.track( 'page_changed', { page: page, append: false } );
+			this.fetchProducts();
+
+			// Scroll to top of results.
+			if ( this.dom.grid ) {
+				this.dom.grid.scrollIntoView( { behavior: 'smooth', block: 'start' } );
+			}
+		},
+
+		/**
+		 * Move focus to the results after a page change.
+		 *
+		 * Only runs when goToPage() or loadMore() asked for it. Appended
+		 * pages focus their first product; replaced pages focus the grid.
+		 *
+		 * @param {number} previousCount Cards in the list before an appended page, 0 otherwise.
+		 */
+		restoreResultsFocus: function ( previousCount ) {
+			if ( ! this.pendingFocus || ! this.dom.grid ) {
+				return;
+			}
+			this.pendingFocus = null;
+
+			var firstNew = previousCount > 0 ? this.getCardContainer().children[ previousCount ] : null;
+			var target = firstNew ? firstNew.querySelector( 'a[href], button' ) : null;
+
+			if ( ! target ) {
+				target = this.dom.grid;
+				// The theme's list in archive mode isn't focusable by default.
+				if ( ! target.hasAttribute( 'tabindex' ) ) {
+					target.setAttribute( 'tabindex', '-1' );
+				}
+			}
+
+			target.focus( { preventScroll: true } );
+		},
+
+		/**
+		 * Announce the number of matching products to screen readers.
+		 *
+		 * The live region is emptied first, so the same count is
+		 * announced again after another filter change.
+		 *
+		 * @param {number} total Number of matching products.
+		 */
+		announceResults: function ( total ) {
+			var announcer = this.dom.announcer;
+			if ( ! announcer ) {
+				return;
+			}
+
+			var i18n = this.config.i18n || {};
+			var message = total === 1
+				? ( i18n.productFound || '%d product found' )
+				: ( i18n.productsFound || '%d products found' );
+
+			announcer.textContent = '';
+			clearTimeout( this.announceTimer );
+			this.announceTimer = setTimeout( function () {
+				announcer.textContent = message.replace( '%d', total );
+			}, 100 );
+		},
+
+		/**
+		 * Update results count display.
+		 */
+		updateResultsCount: function ( total ) {
+			if ( this.archiveMode && this.dom.resultsCount ) {
+				// Like WooCommerce, which leaves the count out when nothing matches.
+				this.dom.resultsCount.hidden = total === 0;
+				this.dom.resultsCount.textContent = this.formatResultCount( total );
+				return;
+			}
+
+			if ( this.dom.resultsCount ) {
+				var i18n = this.config.i18n || {};
+				var label = total === 1
+					? ( i18n.product || 'product' )
+					: ( i18n.products || 'products' );
+				this.dom.resultsCount.textContent = total + ' ' + label;
+			}
+		},
+
+		/**
+		 * Format the theme's result count text (archive mode).
+		 *
+		 * Mirrors WooCommerce's loop/result-count.php. In "Load more"
+		 * modes the range starts at the first result, since earlier
+		 * pages stay in the list.
+		 *
+		 * @param {number} total Number of matching products.
+		 * @return {string} E.g. "Showing 13–24 of 40 results".
+		 */
+		formatResultCount: function ( total ) {
+			var i18n = this.config.i18n || {};
+			var perPage = this.pagination ? this.pagination.per_page : this.perPage;
+			var page = this.pagination ? this.pagination.current_page : this.currentPage;
+
+			if ( total === 1 ) {
+				return i18n.resultCountSingle || 'Showing the single result';
+			}
+
+			if ( total <= perPage || perPage <= 0 ) {
+				return ( i18n.resultCountAll || 'Showing all %d results' ).replace( '%d', total );
+			}
+
+			var first = this.paginationMode === 'numbers' ? ( page - 1 ) * perPage + 1 : 1;
+			var last = Math.min( total, page * perPage );
+
+			return ( i18n.resultCountRange || 'Showing %1$d\u2013%2$d of %3$d results' )
+				.replace( '%1$d', first )
+				.replace( '%2$d', last )
+				.replace( '%3$d', total );
+		},
+
+		/**
+		 * Update active filter tags display.
+		 */
+		updateActiveFilters: function () {
+			this.updatePresetState();
+
+			if ( ! this.showActive || ! this.dom.activeFilters || ! this.dom.activeTags ) {
+				return;
+			}
+
+			var self = this;
+			var tags = [];
+
+			// Checked checkboxes.
+			var checked = this.wrapper.querySelectorAll( '.wff-checkbox:checked' );
+			for ( var i = 0; i < checked.length; i++ ) {
+				// A checked category stands for its whole checked branch.
+				if ( this.includeChildren && this.isParentCategoryChecked( checked[ i ] ) ) {
+					continue;
+				}
+
+				var labelEl = checked[ i ].closest( '.wff-checkbox-label' );
+				var label = labelEl.querySelector( '.wff-checkbox-text' );
+				if ( label ) {
+					tags.push( {
+						text: label.textContent,
+						input: checked[ i ],
+						swatch: labelEl.querySelector( '.wff-swatch' ),
+					} );
+				}
+			}
+
+			// Minimum rating.
+			var rating = this.wrapper.querySelector( '.wff-rating-input:checked' );
+			if ( rating && rating.value ) {
+				tags.push( {
+					text: rating.closest( '.wff-rating-label' ).querySelector( '.wff-rating-text' ).textContent.trim(),
+					type: 'rating',
+				} );
+			}
+
+			// Search term.
+			if ( this.dom.searchInput && this.dom.searchInput.value.trim() ) {
+				tags.push( {
+					text:
+						( self.config.i18n && self.config.i18n.searchTag ? self.config.i18n.searchTag : 'Search:' ) +
+						' \u201C' + this.dom.searchInput.value.trim() + '\u201D',
+					type: 'search',
+				} );
+			}
+
+			// Price range (only if modified).
+			if ( this.dom.priceMin && this.dom.priceMax ) {
+				var minDefault = parseFloat( this.dom.priceMin.getAttribute( 'min' ) );
+				var maxDefault = parseFloat( this.dom.priceMax.getAttribute( 'max' ) );
+				var minVal = parseFloat( this.dom.priceMin.value );
+				var maxVal = parseFloat( this.dom.priceMax.value );
+
+				if ( minVal > minDefault || maxVal < maxDefault ) {
+					tags.push( {
+						text: self.formatPrice( minVal ) + ' \u2013 ' + self.formatPrice( maxVal ),
+						type: 'price',
+					} );
+				}
+			}
+
+			// Show or hide container.
+			this.dom.activeFilters.hidden = tags.length === 0;
+
+			// Render tags.
+			var fragment = document.createDocumentFragment();
+			for ( var j = 0; j < tags.length; j++ ) {
+				( function ( tag ) {
+					var el = document.createElement( 'span' );
+					el.className = 'wff-tag';
+
+					// Color/image filters show a small copy of their swatch.
+					if ( tag.swatch ) {
+						var swatch = tag.swatch.cloneNode( true );
+						swatch.classList.add( 'wff-swatch--tag' );
+						el.appendChild( swatch );
+					}
+
+					el.appendChild( document.createTextNode( tag.text ) );
+
+					var remove = document.createElement( 'button' );
+					remove.className = 'wff-tag-remove';
+					remove.textContent = '\u00d7';
+					var removeLabel = ( self.config.i18n && self.config.i18n.removeFilter )
+						? self.config.i18n.removeFilter
+						: 'Remove filter:';
+					remove.setAttribute( 'aria-label', removeLabel + ' ' + tag.text );
+					remove.addEventListener( 'click', function () {
+						if ( tag.input ) {
+							tag.input.checked = false;
+							tag.input.dispatchEvent(
+								new Event( 'change', { bubbles: true } )
+							);
+						} else if ( tag.type === 'price' ) {
+							self.resetPrice();
+						} else if ( tag.type === 'search' ) {
+							self.dom.searchInput.value = '';
+						} else if ( tag.type === 'rating' ) {
+							self.setMinRating( '' );
+						}
+						// Always fetch when removing a tag - expected UX behavior.
+						self.currentPage = 1;
+						self.updateActiveFilters();
+						self.fetchProducts();
+					} );
+
+					el.appendChild( remove );
+					fragment.appendChild( el );
+				} )( tags[ j ] );
+			}
+
+			this.dom.activeTags.innerHTML = '';
+			this.dom.activeTags.appendChild( fragment );
+		},
+
+		/**
+		 * Clear all filters.
+		 */
+		clearFilters: function () {
+			// Uncheck all checkboxes.
+			var checked = this.wrapper.querySelectorAll( '.wff-checkbox:checked' );
+			for ( var i = 0; i < checked.length; i++ ) {
+				checked[ i ].checked = false;
+			}
+			this.syncCategoryTree();
+
+			// Reset search.
+			if ( this.dom.searchInput ) {
+				this.dom.searchInput.value = '';
+				this.closeSuggestions();
+			}
+
+			// Reset rating.
+			this.setMinRating( '' );
+
+			// Reset price.
+			this.resetPrice();
+
+			// Reset sort.
+			if ( this.dom.sortSelect ) {
+				this.dom.sortSelect.value = 'menu_order';
+			}
+
+			this.currentPage = 1;
+			this.updateActiveFilters();
+			this.dispatch( 'filtersCleared', {} );
+			this.fetchProducts();
+		},
+
+		/**
+		 * Update the category tree after a category checkbox changed.
+		 *
+		 * When categories include their descendants, the change is
+		 * applied to the whole branch.
+		 *
+		 * @param {HTMLInputElement} input The changed checkbox.
+		 */
+		onCategoryChange: function ( input ) {
+			if ( this.includeChildren ) {
+				var item = input.closest( '.wff-tree-item' );
+				var descendants = item ? item.querySelectorAll( '.wff-tree-branch .wff-checkbox' ) : [];
+				for ( var i = 0; i < descendants.length; i++ ) {
+					descendants[ i ].checked = input.checked;
+				}
+			}
+
+			this.syncCategoryTree();
+		},
+
+		/**
+		 * Derive parent checkbox states from their children.
+		 *
+		 * When categories include their descendants, checked parents
+		 * first check their whole branch (a restored URL only lists the
+		 * parent), then each parent is checked when all children are,
+		 * and indeterminate when only some are. Otherwise checkboxes are
+		 * independent, and an unchecked parent is indeterminate when
+		 * anything below it is checked.
+		 */
+		syncCategoryTree: function () {
+			var self = this;
+			var i;
+
+			if ( this.includeChildren ) {
+				var checked = this.wrapper.querySelectorAll( '.wff-tree-item input[name="categories[]"]:checked' );
+				for ( i = 0; i < checked.length; i++ ) {
+					var descendants = checked[ i ].closest( '.wff-tree-item' ).querySelectorAll( '.wff-tree-branch .wff-checkbox' );
+					for ( var j = 0; j < descendants.length; j++ ) {
+						descendants[ j ].checked = true;
+					}
+				}
+			}
+
+			// Returns 'all', 'some' or 'none' for the item's branch.
+			function sync( item ) {
+				var input = item.querySelector( '.wff-tree-row .wff-checkbox' );
+				var children = item.querySelectorAll( ':scope > .wff-tree-branch > .wff-tree > .wff-tree-item' );
+				var all = true;
+				var none = true;
+
+				for ( var k = 0; k < children.length; k++ ) {
+					var state = sync( children[ k ] );
+					all = all && state === 'all';
+					none = none && state === 'none';
+				}
+
+				if ( ! children.length ) {
+					input.indeterminate = false;
+					return input.checked ? 'all' : 'none';
+				}
+
+				if ( self.includeChildren ) {
+					input.checked = all;
+					input.indeterminate = ! all && ! none;
+					return all ? 'all' : ( none ? 'none' : 'some' );
+				}
+
+				input.indeterminate = ! input.checked && ! none;
+				if ( input.checked && all ) {
+					return 'all';
+				}
+				return input.checked || ! none ? 'some' : 'none';
+			}
+
+			var roots = this.wrapper.querySelectorAll( '[data-filter="categories"] .wff-group-content > .wff-tree > .wff-tree-item' );
+			for ( i = 0; i < roots.length; i++ ) {
+				sync( roots[ i ] );
+			}
+		},
+
+		/**
+		 * Check whether a category's parent checkbox is checked.
+		 *
+		 * @param {HTMLInputElement} input Category checkbox.
+		 * @return {boolean} True when the parent category is checked.
+		 */
+		isParentCategoryChecked: function ( input ) {
+			var item = input.closest( '.wff-tree-item' );
+			var parentItem = item && item.parentElement ? item.parentElement.closest( '.wff-tree-item' ) : null;
+			var parentInput = parentItem ? parentItem.querySelector( '.wff-tree-row .wff-checkbox' ) : null;
+
+			return !! ( parentInput && parentInput.checked );
+		},
+
+		/**
+		 * Reset price inputs to defaults.
+		 */
+		resetPrice: function () {
+			if ( this.dom.priceMin ) {
+				this.dom.priceMin.value = this.dom.priceMin.getAttribute( 'min' );
+			}
+			if ( this.dom.priceMax ) {
+				this.dom.priceMax.value = this.dom.priceMax.getAttribute( 'max' );
+			}
+			this.syncPriceSlider();
+		},
+
+		/**
+		 * Select a minimum rating option.
+		 *
+		 * @param {string|number|null} value Star count; empty or unknown selects "Any rating".
+		 */
+		setMinRating: function ( value ) {
+			var inputs = this.wrapper.querySelectorAll( '.wff-rating-input' );
+			var matched = false;
+
+			for ( var i = 0; i < inputs.length; i++ ) {
+				inputs[ i ].checked = !! value && inputs[ i ].value === String( value );
+				matched = matched || inputs[ i ].checked;
+			}
+
+			if ( ! matched && inputs.length ) {
+				var any = this.wrapper.querySelector( '.wff-rating-input[value=""]' );
+				if ( any ) {
+					any.checked = true;
+				}
+			}
+		},
+
+		/**
+		 * Select a sort order.
+		 *
+		 * The block's select says "price-asc" where WooCommerce's ordering
+		 * dropdown (archive mode) says "price", so URLs and presets from
+		 * either work in both. Unknown values select the default order.
+		 *
+		 * @param {string|null} value Sort value.
+		 */
+		setSort: function ( value ) {
+			var select = this.dom.sortSelect;
+			if ( ! select ) {
+				return;
+			}
+
+			var aliases = { price: 'price-asc', 'price-asc': 'price' };
+			var candidates = [ value, aliases[ value ], 'menu_order' ];
+
+			for ( var i = 0; i < candidates.length; i++ ) {
+				select.value = candidates[ i ] || '';
+				if ( candidates[ i ] && select.selectedIndex !== -1 ) {
+					return;
+				}
+			}
+		},
+
+		/**
+		 * Dispatch a wff:* CustomEvent on the wrapper.
+		 *
+		 * Events bubble, so listeners can be attached to document.
+		 * The controller is always included as detail.controller.
+		 *
+		 * @param {string}  name       Event name without the "wff:" prefix.
+		 * @param {Object}  detail     Event detail.
+		 * @param {boolean} cancelable Whether preventDefault() is honored.
+		 * @return {boolean} False if a listener canceled the event.
+		 */
+		dispatch: function ( name, detail, cancelable ) {
+			detail.controller = this;
+
+			return this.wrapper.dispatchEvent(
+				new CustomEvent( 'wff:' + name, {
+					bubbles: true,
+					cancelable: !! cancelable,
+					detail: detail,
+				} )
+			);
+		},
+
+		/**
+		 * Bind the saved preset controls (Pro).
+		 *
+		 * Chips are rebuilt on every change, so their clicks are
+		 * delegated to the list.
+		 */
+		bindPresetEvents: function () {
+			var self = this;
+
+			// aria-disabled rather than disabled, so focus can return here.
+			this.dom.presetSave.addEventListener( 'click', function () {
+				if ( this.getAttribute( 'aria-disabled' ) !== 'true' ) {
+					self.openPresetForm( null );
+				}
+			} );
+
+			this.dom.presetCancel.addEventListener( 'click', function () {
+				self.closePresetForm();
+			} );
+
+			this.dom.presetForm.addEventListener( 'submit', function ( e ) {
+				e.preventDefault();
+				self.submitPresetForm();
+			} );
+
+			// Escape cancels naming without closing the mobile panel.
+			this.dom.presetForm.addEventListener( 'keydown', function ( e ) {
+				if ( e.key === 'Escape' ) {
+					e.stopPropagation();
+					self.closePresetForm();
+				}
+			} );
+
+			this.dom.presetList.addEventListener( 'click', function ( e ) {
+				var button = e.target.closest( '[data-preset-action]' );
+				var preset = button ? self.findPreset( button.dataset.presetId ) : null;
+				if ( ! preset ) {
+					return;
+				}
+
+				if ( button.dataset.presetAction === 'apply' ) {
+					self.setFilters( preset.filters );
+				} else if ( button.dataset.presetAction === 'rename' ) {
+					self.openPresetForm( preset );
+				} else if ( button.dataset.presetAction === 'delete' ) {
+					self.storePresets( self.presets.filter( function ( item ) {
+						return item.id !== preset.id;
+					} ) );
+					self.dom.presetSave.focus();
+				}
+			} );
+		},
+
+		/**
+		 * Load the shopper's saved presets and show the presets area.
+		 *
+		 * Logged-in shoppers' presets come from the /presets endpoint,
+		 * guests' from localStorage.
+		 */
+		loadPresets: function () {
+			if ( ! this.config.savedPresets || ! this.dom.presets ) {
+				return;
+			}
+
+			var self = this;
+			this.dom.presets.hidden = false;
+
+			if ( ! this.config.loggedIn ) {
+				this.presets = this.readLocalPresets();
+				this.renderPresets();
+				return;
+			}
+
+			fetchWithRetry( this.config.restUrl + '/presets', {
+				method: 'GET',
+				headers: {
+					'X-WP-Nonce': this.config.nonce,
+				},
+			}, this.getRequestSettings() )
+				.then( function ( data ) {
+					self.presets = data.presets || [];
+					self.renderPresets();
+				} )
+				.catch( function ( error ) {
+					console.error( 'WFF presets error:', error );
+				} );
+		},
+
+		/**
+		 * Read guests' presets from localStorage.
+		 *
+		 * @return {Array} Presets, empty when storage is unavailable or corrupt.
+		 */
+		readLocalPresets: function () {
+			try {
+				var presets = JSON.parse( window.localStorage.getItem( PRESETS_STORAGE_KEY ) );
+				return Array.isArray( presets ) ? presets : [];
+			} catch ( e ) {
+				return [];
+			}
+		},
+
+		/**
+		 * Replace the saved presets and render them.
+		 *
+		 * Rendered right away. For logged-in shoppers the list is then
+		 * saved to user meta, and the server's sanitized copy rendered;
+		 * when saving fails the previous list comes back.
+		 *
+		 * @param {Array} presets All presets, newest first.
+		 */
+		storePresets: function ( presets ) {
+			var self = this;
+			var previous = this.presets;
+
+			this.presets = presets.slice( 0, MAX_PRESETS );
+			this.renderPresets();
+
+			if ( ! this.config.loggedIn ) {
+				try {
+					window.localStorage.setItem( PRESETS_STORAGE_KEY, JSON.stringify( this.presets ) );
+				} catch ( e ) {
+					// Storage full or disabled: presets last until the page is left.
+				}
+				return;
+			}
+
+			fetchWithRetry( this.config.restUrl + '/presets', {
+				method: 'POST',
+				headers: {
+					'X-WP-Nonce': this.config.nonce,
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify( { presets: this.presets } ),
+			}, this.getRequestSettings() )
+				.then( function ( data ) {
+					self.presets = data.presets || [];
+					self.renderPresets();
+				} )
+				.catch( function ( error ) {
+					console.error( 'WFF presets error:', error );
+					self.presets = previous;
+					self.renderPresets();
+				} );
+		},
 
-			// Page numbers (show max 5).
-			var startPage = Math.max( 1, pagination.current_page - 2 );
-			var endPage = Math.min( pagination.total_pages, startPage + 4 );
-			startPage = Math.max( 1, endPage - 4 );
+		/**
+		 * Find a saved preset by ID.
+		 *
+		 * @return {Object|null} The preset, or null.
+		 */
+		findPreset: function ( id ) {
+			for ( var i = 0; i < this.presets.length; i++ ) {
+				if ( this.presets[ i ].id === id ) {
+					return this.presets[ i ];
+				}
+			}
+			return null;
+		},
 
-			for ( var i = startPage; i <= endPage; i++ ) {
-				( function ( page ) {
-					var btn = document.createElement( 'button' );
-					btn.className = 'wff-page-btn';
-					if ( page === pagination.current_page ) {
-						btn.classList.add( 'is-active' );
-					}
-					btn.textContent = page;
-					btn.addEventListener( 'click', function () {
-						self.goToPage( page );
-					} );
-					fragment.appendChild( btn );
-				} )( i );
+		/**
+		 * Render the saved presets as chips.
+		 *
+		 * Each chip applies its preset in one click and has rename and
+		 * delete buttons.
+		 */
+		renderPresets: function () {
+			var list = this.dom.presetList;
+			if ( ! list ) {
+				return;
 			}
 
-			// Next button.
-			var nextBtn = document.createElement( 'button' );
-			nextBtn.className = 'wff-page-btn';
-			nextBtn.textContent = '\u203A';
-			nextBtn.disabled = pagination.current_page >= pagination.total_pages;
-			nextBtn.addEventListener( 'click', function () {
-				self.goToPage( pagination.current_page + 1 );
+			var i18n = this.config.i18n || {};
+			var fragment = document.createDocumentFragment();
+
+			var createButton = function ( preset, action, className, text, label ) {
+				var button = document.createElement( 'button' );
+				button.type = 'button';
+				button.className = className;
+				button.textContent = text;
+				button.dataset.presetAction = action;
+				button.dataset.presetId = preset.id;
+				if ( label ) {
+					button.setAttribute( 'aria-label', label.replace( '%s', preset.name ) );
+				}
+				return button;
+			};
+
+			this.presets.forEach( function ( preset ) {
+				var item = document.createElement( 'li' );
+				item.className = 'wff-preset';
+				item.dataset.presetId = preset.id;
+				item.appendChild( createButton( preset, 'apply', 'wff-preset-apply', preset.name ) );
+				item.appendChild( createButton( preset, 'rename', 'wff-preset-icon wff-preset-rename', '\u270E', i18n.renamePreset || 'Rename %s' ) );
+				item.appendChild( createButton( preset, 'delete', 'wff-preset-icon wff-preset-delete', '\u00D7', i18n.deletePreset || 'Delete %s' ) );
+				fragment.appendChild( item );
 			} );
-			fragment.appendChild( nextBtn );
 
-			container.innerHTML = '';
-			container.appendChild( fragment );
+			list.innerHTML = '';
+			list.appendChild( fragment );
+			list.hidden = this.presets.length === 0;
+			this.updatePresetState();
 		},
 
 		/**
-		 * Navigate to a specific page.
+		 * Mark the preset matching the current filters, and only allow
+		 * saving when some filter is set.
 		 */
-		goToPage: function ( page ) {
-			this.currentPage = page;
-			this.fetchProducts();
+		updatePresetState: function () {
+			if ( ! this.dom.presets || this.dom.presets.hidden ) {
+				return;
+			}
 
-			// Scroll to top of results.
-			if ( this.dom.grid ) {
-				this.dom.grid.scrollIntoView( { behavior: 'smooth', block: 'start' } );
+			var filters = this.getPresetFilters();
+			var key = this.getPresetKey( filters );
+
+			this.dom.presetSave.setAttribute( 'aria-disabled', this.getPresetKey( {} ) === key ? 'true' : 'false' );
+
+			var items = this.dom.presetList.querySelectorAll( '.wff-preset' );
+			for ( var i = 0; i < items.length; i++ ) {
+				var preset = this.findPreset( items[ i ].dataset.presetId );
+				var active = !! preset && this.getPresetKey( preset.filters ) === key;
+				items[ i ].classList.toggle( 'is-active', active );
+				items[ i ].querySelector( '.wff-preset-apply' ).setAttribute( 'aria-pressed', active ? 'true' : 'false' );
 			}
 		},
 
 		/**
-		 * Update results count display.
+		 * Get the current filters in the format setFilters() takes.
+		 *
+		 * Every key is present, so applying a preset replaces the whole
+		 * filter state.
+		 *
+		 * @return {Object} Filter values.
 		 */
-		updateResultsCount: function ( total ) {
-			if ( this.dom.resultsCount ) {
-				var i18n = this.config.i18n || {};
-				var label = total === 1
-					? ( i18n.product || 'product' )
-					: ( i18n.products || 'products' );
-				this.dom.resultsCount.textContent = total + ' ' + label;
+		getPresetFilters: function () {
+			var params = this.getFilterParams();
+
+			return {
+				categories: params.categories || [],
+				attributes: params.attributes || {},
+				search: params.search || '',
+				in_stock: !! params.in_stock,
+				on_sale: !! params.on_sale,
+				min_rating: params.min_rating || null,
+				min_price: params.min_price !== undefined ? params.min_price : null,
+				max_price: params.max_price !== undefined ? params.max_price : null,
+				sort: this.dom.sortSelect ? this.dom.sortSelect.value : '',
+			};
+		},
+
+		/**
+		 * Build a comparable key for a set of preset filters.
+		 *
+		 * Term order and empty lists don't matter. The sort order is left
+		 * out, so a preset stays marked when the shopper re-sorts.
+		 *
+		 * @param {Object} filters Preset filters.
+		 * @return {string} Key.
+		 */
+		getPresetKey: function ( filters ) {
+			var ids = function ( list ) {
+				return ( list || [] ).map( Number ).sort( function ( a, b ) {
+					return a - b;
+				} );
+			};
+			var attributes = filters.attributes || {};
+
+			return JSON.stringify( [
+				ids( filters.categories ),
+				Object.keys( attributes ).sort().filter( function ( taxonomy ) {
+					return attributes[ taxonomy ] && attributes[ taxonomy ].length;
+				} ).map( function ( taxonomy ) {
+					return [ taxonomy, ids( attributes[ taxonomy ] ) ];
+				} ),
+				filters.search || '',
+				!! filters.in_stock,
+				!! filters.on_sale,
+				filters.min_rating || null,
+				filters.min_price === null || filters.min_price === undefined ? null : Number( filters.min_price ),
+				filters.max_price === null || filters.max_price === undefined ? null : Number( filters.max_price ),
+			] );
+		},
+
+		/**
+		 * Show the name field, for a new preset or to rename one.
+		 *
+		 * @param {Object|null} preset Preset to rename, or null to save the current filters.
+		 */
+		openPresetForm: function ( preset ) {
+			this.editingPreset = preset ? preset.id : null;
+			this.dom.presetName.value = preset ? preset.name : '';
+			this.dom.presetForm.hidden = false;
+			this.dom.presetSave.hidden = true;
+			this.dom.presetName.focus();
+		},
+
+		/**
+		 * Hide the name field.
+		 */
+		closePresetForm: function () {
+			this.editingPreset = null;
+			this.dom.presetForm.hidden = true;
+			this.dom.presetSave.hidden = false;
+			this.dom.presetSave.focus();
+		},
+
+		/**
+		 * Save a new preset from the current filters, or rename one.
+		 *
+		 * New presets go first, so the oldest are dropped past the cap.
+		 */
+		submitPresetForm: function () {
+			var name = this.dom.presetName.value.trim();
+			if ( ! name ) {
+				return;
+			}
+
+			var presets;
+			var editing = this.editingPreset;
+
+			if ( editing ) {
+				presets = this.presets.map( function ( preset ) {
+					return preset.id === editing ? Object.assign( {}, preset, { name: name } ) : preset;
+				} );
+			} else {
+				presets = [ {
+					id: Date.now().toString( 36 ) + Math.random().toString( 36 ).slice( 2, 6 ),
+					name: name,
+					filters: this.getPresetFilters(),
+				} ].concat( this.presets );
 			}
+
+			this.closePresetForm();
+			this.storePresets( presets );
 		},
 
 		/**
-		 * Update active filter tags display.
+		 * Send an analytics event (Pro).
+		 *
+		 * Pushed to window.dataLayer as { event: 'wff_' + name, wff: data }
+		 * (Google Tag Manager's format) and passed to every sink
+		 * registered with window.wff.registerAnalyticsSink(). A failing
+		 * sink doesn't stop filtering or the other sinks.
+		 *
+		 * @param {string} name Event name: filter_applied, filter_removed,
+		 *                      sort_changed, page_changed or no_results.
+		 * @param {Object} data Event data.
 		 */
-		updateActiveFilters: function () {
-			if ( ! this.showActive || ! this.dom.activeFilters || ! this.dom.activeTags ) {
+		track: function ( name, data ) {
+			if ( ! this.analytics ) {
 				return;
 			}
 
-			var self = this;
-			var tags = [];
+			window.dataLayer = window.dataLayer || [];
+			window.dataLayer.push( { event: 'wff_' + name, wff: data } );
 
-			// Checked checkboxes.
-			var checked = this.wrapper.querySelectorAll( '.wff-checkbox:checked' );
-			for ( var i = 0; i < checked.length; i++ ) {
-				var label = checked[ i ]
-					.closest( '.wff-checkbox-label' )
-					.querySelector( '.wff-checkbox-text' );
-				if ( label ) {
-					tags.push( {
-						text: label.textContent,
-						input: checked[ i ],
-					} );
+			var sinks = window.wff.analyticsSinks || [];
+			for ( var i = 0; i < sinks.length; i++ ) {
+				try {
+					sinks[ i ]( name, data, this );
+				} catch ( e ) {
+					console.error( 'WFF analytics sink error:', e );
 				}
 			}
+		},
 
-			// Price range (only if modified).
-			if ( this.dom.priceMin && this.dom.priceMax ) {
-				var minDefault = parseInt( this.dom.priceMin.getAttribute( 'min' ), 10 );
-				var maxDefault = parseInt( this.dom.priceMax.getAttribute( 'max' ), 10 );
-				var minVal = parseInt( this.dom.priceMin.value, 10 );
-				var maxVal = parseInt( this.dom.priceMax.value, 10 );
+		/**
+		 * Track the filters applied and removed since the last request.
+		 *
+		 * A changed price, rating or search term counts as applied.
+		 *
+		 * @param {Object} params Params of the new request.
+		 */
+		trackFilterChanges: function ( params ) {
+			if ( ! this.analytics ) {
+				return;
+			}
 
-				if ( minVal > minDefault || maxVal < maxDefault ) {
-					tags.push( {
-						text:
-							( self.config.currency ? self.config.currency.symbol : '$' ) +
-							minVal +
-							' \u2013 ' +
-							( self.config.currency ? self.config.currency.symbol : '$' ) +
-							maxVal,
-						type: 'price',
-					} );
+			var previous = this.trackedFilters;
+			var current = this.getTrackedFilters( params );
+			var key;
+
+			this.trackedFilters = current;
+
+			for ( key in current ) {
+				if ( ! previous[ key ] || previous[ key ].value !== current[ key ].value ) {
+					this.track( 'filter_applied', current[ key ] );
+				}
+			}
+			for ( key in previous ) {
+				if ( ! current[ key ] ) {
+					this.track( 'filter_removed', previous[ key ] );
 				}
 			}
+		},
 
-			// Show or hide container.
-			this.dom.activeFilters.hidden = tags.length === 0;
+		/**
+		 * List the individual filters in a set of params.
+		 *
+		 * @param {Object} params Params as sent to /products.
+		 * @return {Object} { filter, value, label } keyed by filter, and
+		 *                  by term for category and attribute options.
+		 */
+		getTrackedFilters: function ( params ) {
+			var self = this;
+			var filters = {};
 
-			// Render tags.
-			var fragment = document.createDocumentFragment();
-			for ( var j = 0; j < tags.length; j++ ) {
-				( function ( tag ) {
-					var el = document.createElement( 'span' );
-					el.className = 'wff-tag';
-					el.textContent = tag.text;
+			var addTerms = function ( filter, inputName, ids ) {
+				( ids || [] ).forEach( function ( id ) {
+					var input = self.wrapper.querySelector( 'input[name="' + inputName + '"][value="' + id + '"]' );
+					var label = input ? input.closest( '.wff-checkbox-label' ).querySelector( '.wff-checkbox-text' ) : null;
+					filters[ filter + ':' + id ] = {
+						filter: filter,
+						value: id,
+						label: label ? label.textContent.trim() : String( id ),
+					};
+				} );
+			};
 
-					var remove = document.createElement( 'button' );
-					remove.className = 'wff-tag-remove';
-					remove.textContent = '\u00d7';
-					var removeLabel = ( self.config.i18n && self.config.i18n.removeFilter )
-						? self.config.i18n.removeFilter
-						: 'Remove filter:';
-					remove.setAttribute( 'aria-label', removeLabel + ' ' + tag.text );
-					remove.addEventListener( 'click', function () {
-						if ( tag.input ) {
-							tag.input.checked = false;
-							tag.input.dispatchEvent(
-								new Event( 'change', { bubbles: true } )
-							);
-						} else if ( tag.type === 'price' ) {
-							self.resetPrice();
-						}
-						// Always fetch when removing a tag - expected UX behavior.
-						self.currentPage = 1;
-						self.updateActiveFilters();
-						self.fetchProducts();
-					} );
+			addTerms( 'categories', 'categories[]', params.categories );
+			Object.keys( params.attributes || {} ).forEach( function ( taxonomy ) {
+				addTerms( taxonomy, 'attributes[' + taxonomy + '][]', params.attributes[ taxonomy ] );
+			} );
 
-					el.appendChild( remove );
-					fragment.appendChild( el );
-				} )( tags[ j ] );
-			}
+			[ 'search', 'in_stock', 'on_sale', 'min_rating', 'min_price', 'max_price' ].forEach( function ( key ) {
+				if ( params[ key ] !== undefined ) {
+					filters[ key ] = { filter: key, value: params[ key ], label: String( params[ key ] ) };
+				}
+			} );
 
-			this.dom.activeTags.innerHTML = '';
-			this.dom.activeTags.appendChild( fragment );
+			return filters;
 		},
 
 		/**
-		 * Clear all filters.
+		 * Track a request without results and add it to the zero-result
+		 * report (Pro).
+		 *
+		 * Each combination is reported once per page view, however often
+		 * the shopper comes back to it.
+		 *
+		 * @param {Object} params Params of the request.
 		 */
-		clearFilters: function () {
-			// Uncheck all checkboxes.
-			var checked = this.wrapper.querySelectorAll( '.wff-checkbox:checked' );
-			for ( var i = 0; i < checked.length; i++ ) {
-				checked[ i ].checked = false;
+		trackNoResults: function ( params ) {
+			if ( ! this.analytics ) {
+				return;
 			}
 
-			// Reset price.
-			this.resetPrice();
+			var combination = {};
+			Object.keys( params ).forEach( function ( key ) {
+				if ( NON_FILTER_PARAMS.indexOf( key ) === -1 ) {
+					combination[ key ] = params[ key ];
+				}
+			} );
+			combination = JSON.stringify( combination );
 
-			// Reset sort.
-			if ( this.dom.sortSelect ) {
-				this.dom.sortSelect.value = 'menu_order';
+			if ( this.reportedNoResults[ combination ] ) {
+				return;
 			}
+			this.reportedNoResults[ combination ] = true;
 
-			this.currentPage = 1;
-			this.updateActiveFilters();
-			this.fetchProducts();
+			var filters = this.getTrackedFilters( params );
+			this.track( 'no_results', {
+				filters: Object.keys( filters ).map( function ( key ) {
+					return filters[ key ];
+				} ),
+			} );
+
+			// Fire and forget; keepalive lets it finish if the shopper leaves.
+			fetch( this.config.restUrl + '/zero-results', {
+				method: 'POST',
+				keepalive: true,
+				headers: {
+					'X-WP-Nonce': this.config.nonce,
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify( params ),
+			} ).catch( function () {} );
 		},
 
+		// =============================================
+		// Public API
+		// Reached via window.wff.instances or window.wff.getInstance().
+		// =============================================
+
 		/**
-		 * Reset price inputs to defaults.
+		 * Set filter values and fetch the results.
+		 *
+		 * Only the keys present are changed. Lists replace the current
+		 * selection, so an empty list clears that filter; null resets a
+		 * price bound.
+		 *
+		 * @param {Object} filters Any of:
+		 *                         - categories {number[]}
+		 *                         - attributes {Object} taxonomy => term IDs (all taxonomies)
+		 *                         - search {string}
+		 *                         - in_stock, on_sale {boolean}
+		 *                         - min_rating {number|null} 1-5, null for any rating
+		 *                         - min_price, max_price {number|null}
+		 *                         - sort {string} Sort select value, e.g. 'price-desc'
+		 *                         - page {number} Defaults to 1.
 		 */
-		resetPrice: function () {
-			if ( this.dom.priceMin ) {
-				this.dom.priceMin.value = this.dom.priceMin.getAttribute( 'min' );
+		setFilters: function ( filters ) {
+			filters = filters || {};
+			var i;
+
+			if ( filters.categories ) {
+				var categories = filters.categories.map( String );
+				var catInputs = this.wrapper.querySelectorAll( 'input[name="categories[]"]' );
+				for ( i = 0; i < catInputs.length; i++ ) {
+					catInputs[ i ].checked = categories.indexOf( catInputs[ i ].value ) !== -1;
+				}
+				this.syncCategoryTree();
 			}
-			if ( this.dom.priceMax ) {
-				this.dom.priceMax.value = this.dom.priceMax.getAttribute( 'max' );
+
+			if ( filters.attributes ) {
+				var attrGroups = this.wrapper.querySelectorAll( '[data-filter="attribute"]' );
+				for ( i = 0; i < attrGroups.length; i++ ) {
+					var terms = ( filters.attributes[ attrGroups[ i ].dataset.taxonomy ] || [] ).map( String );
+					var attrInputs = attrGroups[ i ].querySelectorAll( '.wff-checkbox' );
+					for ( var j = 0; j < attrInputs.length; j++ ) {
+						attrInputs[ j ].checked = terms.indexOf( attrInputs[ j ].value ) !== -1;
+					}
+				}
+			}
+
+			if ( filters.hasOwnProperty( 'min_price' ) && this.dom.priceMin ) {
+				this.dom.priceMin.value = filters.min_price === null
+					? this.dom.priceMin.getAttribute( 'min' )
+					: filters.min_price;
+			}
+			if ( filters.hasOwnProperty( 'max_price' ) && this.dom.priceMax ) {
+				this.dom.priceMax.value = filters.max_price === null
+					? this.dom.priceMax.getAttribute( 'max' )
+					: filters.max_price;
 			}
-			if ( this.dom.rangeMin ) {
-				this.dom.rangeMin.value = this.dom.rangeMin.getAttribute( 'min' );
+			this.syncPriceSlider();
+
+			if ( filters.hasOwnProperty( 'search' ) && this.dom.searchInput ) {
+				this.dom.searchInput.value = filters.search || '';
+			}
+
+			[ 'in_stock', 'on_sale' ].forEach( function ( key ) {
+				var toggle = this.wrapper.querySelector( 'input[name="' + key + '"]' );
+				if ( filters.hasOwnProperty( key ) && toggle ) {
+					toggle.checked = !! filters[ key ];
+				}
+			}, this );
+
+			if ( filters.hasOwnProperty( 'min_rating' ) ) {
+				this.setMinRating( filters.min_rating );
 			}
-			if ( this.dom.rangeMax ) {
-				this.dom.rangeMax.value = this.dom.rangeMax.getAttribute( 'max' );
+
+			if ( filters.sort ) {
+				this.setSort( filters.sort );
 			}
+
+			this.currentPage = filters.page || 1;
+			this.updateActiveFilters();
+			this.fetchProducts();
+		},
+
+		/**
+		 * Get the current filter state.
+		 *
+		 * @return {Object} params (as sent to /products), sort, pagination
+		 *                  (from the last response) and loading flag.
+		 */
+		getState: function () {
+			return {
+				params: this.getFilterParams(),
+				sort: this.dom.sortSelect ? this.dom.sortSelect.value : 'menu_order',
+				pagination: this.pagination,
+				loading: this.isLoading,
+			};
+		},
+
+		/**
+		 * Refetch the current results, bypassing the response cache.
+		 */
+		refresh: function () {
+			this.fetchProducts( { history: false, cache: false } );
 		},
 
 		/**
@@ -833,14 +4056,72 @@
 		},
 	};
 
+	/**
+	 * Public registry.
+	 *
+	 * Themes and plugins reach controllers here instead of forking
+	 * this file:
+	 *   window.wff.instances        All controllers on the page.
+	 *   window.wff.getInstance( el ) Controller for a wrapper element
+	 *                                (or any element inside it, including
+	 *                                results moved to a results target).
+	 *   window.wff.Controller       The constructor, for prototype extensions.
+	 *   window.wff.registerCardRenderer( fn )
+	 *                                Replace product card rendering for AJAX
+	 *                                results. fn( product, controller ) returns
+	 *                                an element, an HTML string, or a falsy
+	 *                                value to fall back to the default card.
+	 *   window.wff.registerAnalyticsSink( fn )
+	 *                                Receive analytics events (Pro) as
+	 *                                fn( name, data, controller ), in addition
+	 *                                to window.dataLayer.
+	 *   window.wff.formatPrice( value[, currency] )
+	 *                                Format a price like wc_price(), with the
+	 *                                store's currency settings by default.
+	 */
+	window.wff = window.wff || {};
+	window.wff.instances = window.wff.instances || [];
+	window.wff.Controller = WFFController;
+	window.wff.registerCardRenderer = function ( renderer ) {
+		window.wff.cardRenderer = renderer;
+	};
+	window.wff.analyticsSinks = window.wff.analyticsSinks || [];
+	window.wff.registerAnalyticsSink = function ( sink ) {
+		window.wff.analyticsSinks.push( sink );
+	};
+	window.wff.formatPrice = function ( value, currency ) {
+		return formatPrice( value, currency || ( window.wffConfig || {} ).currency );
+	};
+	window.wff.getInstance = function ( element ) {
+		if ( ! element || ! element.closest ) {
+			return null;
+		}
+
+		var wrapper = element.closest( '.wff-wrapper' );
+		var results = element.closest( '.wff-results' );
+		for ( var i = 0; i < window.wff.instances.length; i++ ) {
+			var instance = window.wff.instances[ i ];
+			if ( instance.wrapper === wrapper || ( results && instance.dom.results === results ) ) {
+				return instance;
+			}
+		}
+		return null;
+	};
+
 	/**
 	 * Initialize all filter instances on the page.
 	 * Uses DOMContentLoaded for earliest possible initialization.
+	 *
+	 * Each controller is registered before init(), so listeners of the
+	 * events it dispatches while starting up (e.g. wff:beforeFetch for
+	 * the first fetch) can already find it with getInstance().
 	 */
 	document.addEventListener( 'DOMContentLoaded', function () {
 		var wrappers = document.querySelectorAll( '.wff-wrapper' );
 		for ( var i = 0; i < wrappers.length; i++ ) {
-			new WFFController( wrappers[ i ] );
+			var controller = new WFFController( wrappers[ i ] );
+			window.wff.instances.push( controller );
+			controller.init();
 		}
 	} );
 } )();
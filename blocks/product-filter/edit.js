@@ -2,10 +2,13 @@
  * Woo Fast Filter - Block Edit Component.
  *
  * Renders the block editor UI: InspectorControls sidebar and
- * a static placeholder preview in the editor canvas.
+ * a live preview in the editor canvas. The preview is built from the
+ * store's real filter options (/filters) and a few sample products
+ * (/products), and follows the inspector settings as they change.
  *
  * Free vs Pro gating:
- *   - Layout, Style, Auto-apply: VISIBLE but DISABLED in Free.
+ *   - Layout, Style, Auto-apply, Pagination, Include subcategories,
+ *     Filter groups: VISIBLE but DISABLED in Free.
  *     Each shows "Available in Pro" in its label.
  *   - Show Active Filters: fully functional in Free.
  *   - The isPro flag is injected from PHP via wffEditorConfig.
@@ -20,13 +23,24 @@
 
 	var el                 = wp.element.createElement;
 	var Fragment           = wp.element.Fragment;
+	var RawHTML            = wp.element.RawHTML;
+	var useState           = wp.element.useState;
+	var useEffect          = wp.element.useEffect;
 	var InspectorControls  = wp.blockEditor.InspectorControls;
 	var useBlockProps      = wp.blockEditor.useBlockProps;
 	var PanelBody          = wp.components.PanelBody;
 	var SelectControl      = wp.components.SelectControl;
 	var ToggleControl      = wp.components.ToggleControl;
+	var CheckboxControl    = wp.components.CheckboxControl;
+	var TextControl        = wp.components.TextControl;
+	var Button             = wp.components.Button;
 	var Icon               = wp.components.Icon;
+	var Spinner            = wp.components.Spinner;
+	var Disabled           = wp.components.Disabled;
+	var apiFetch           = wp.apiFetch;
 	var __                 = wp.i18n.__;
+	var _n                 = wp.i18n._n;
+	var sprintf            = wp.i18n.sprintf;
 
 	// --- Feature flag ---
 	// FREE FEATURE FREEZE — v1.0
@@ -58,12 +72,649 @@
 		{ label: __( 'Modal', 'woo-fast-filter' ), value: 'modal' },     // Pro only.
 	];
 
+	var paginationOptions = [
+		{ label: __( 'Numbered pages', 'woo-fast-filter' ), value: 'numbers' },
+		{ label: __( 'Load more button', 'woo-fast-filter' ), value: 'load_more' }, // Pro only.
+		{ label: __( 'Infinite scroll', 'woo-fast-filter' ), value: 'infinite' },   // Pro only.
+	];
+
+	var matchOptions = [
+		{ label: __( 'Any selected option (OR)', 'woo-fast-filter' ), value: 'any' },
+		{ label: __( 'All selected options (AND)', 'woo-fast-filter' ), value: 'all' },
+	];
+
 	var styleOptions = [
 		{ label: __( 'Clean', 'woo-fast-filter' ), value: 'clean' },
 		{ label: __( 'Soft', 'woo-fast-filter' ), value: 'soft' },           // Pro only.
 		{ label: __( 'Editorial', 'woo-fast-filter' ), value: 'editorial' }, // Pro only.
 	];
 
+	// --- Live preview ---
+
+	// Number of items shown per group and in the sample grid. The
+	// preview is a sketch of the block, not a full render.
+	var PREVIEW_TERMS    = 5;
+	var PREVIEW_PRODUCTS = 4;
+
+	// Shared by every block instance, and fetched once per editor session.
+	var previewRequest = null;
+
+	/**
+	 * Load the data for the live preview.
+	 *
+	 * @return {Promise} Resolves to { filters, products }.
+	 */
+	function fetchPreviewData() {
+		if ( ! previewRequest ) {
+			previewRequest = Promise.all( [
+				apiFetch( { path: '/woo-fast-filter/v1/filters' } ),
+				apiFetch( { path: '/woo-fast-filter/v1/products?per_page=' + PREVIEW_PRODUCTS } ),
+			] ).then( function ( responses ) {
+				return {
+					filters: responses[ 0 ],
+					products: responses[ 1 ].products || [],
+				};
+			} );
+
+			// Let a later render retry after a failed request.
+			previewRequest.catch( function () {
+				previewRequest = null;
+			} );
+		}
+
+		return previewRequest;
+	}
+
+	/**
+	 * Hook returning the preview data and its loading state.
+	 *
+	 * @return {Object} { data, error }. Both null while loading.
+	 */
+	function usePreviewData() {
+		var state    = useState( { data: null, error: null } );
+		var value    = state[ 0 ];
+		var setValue = state[ 1 ];
+
+		useEffect( function () {
+			var active = true;
+
+			fetchPreviewData().then(
+				function ( data ) {
+					if ( active ) {
+						setValue( { data: data, error: null } );
+					}
+				},
+				function ( error ) {
+					if ( active ) {
+						setValue( { data: null, error: error } );
+					}
+				}
+			);
+
+			return function () {
+				active = false;
+			};
+		}, [] );
+
+		return value;
+	}
+
+	/**
+	 * List the filter groups the store offers, in default order.
+	 *
+	 * Mirrors get_filter_groups() in PHP; ids are the keys saved in
+	 * the filterGroups attribute.
+	 *
+	 * @param {Object} filters Response from /filters.
+	 * @return {Array} Groups: { id, type, label, attribute }.
+	 */
+	function getAvailableGroups( filters ) {
+		var groups = [
+			{ id: 'search', type: 'search', label: __( 'Search products', 'woo-fast-filter' ) },
+		];
+
+		if ( filters.categories && filters.categories.length ) {
+			groups.push( { id: 'categories', type: 'categories', label: __( 'Categories', 'woo-fast-filter' ) } );
+		}
+
+		( filters.attributes || [] ).forEach( function ( attribute ) {
+			groups.push( {
+				id: 'attribute:' + attribute.taxonomy,
+				type: 'attribute',
+				label: attribute.name,
+				attribute: attribute,
+			} );
+		} );
+
+		groups.push( { id: 'status', type: 'status', label: __( 'Availability', 'woo-fast-filter' ) } );
+		groups.push( { id: 'rating', type: 'rating', label: __( 'Rating', 'woo-fast-filter' ) } );
+
+		if ( filters.price_range && filters.price_range.max > 0 ) {
+			groups.push( { id: 'price', type: 'price', label: __( 'Price', 'woo-fast-filter' ) } );
+		}
+
+		return groups;
+	}
+
+	/**
+	 * Apply the saved group configuration to the available groups.
+	 *
+	 * Same rules as get_filter_groups() in PHP: unknown ids are
+	 * dropped, unconfigured groups are appended. Disabled groups are
+	 * kept so the inspector can list them.
+	 *
+	 * @param {Array} config    filterGroups attribute.
+	 * @param {Array} available Groups from getAvailableGroups().
+	 * @return {Array} Groups with enabled, customLabel, collapsed, maxTerms and match.
+	 */
+	function resolveGroups( config, available ) {
+		var byId     = {};
+		var resolved = [];
+
+		available.forEach( function ( group ) {
+			byId[ group.id ] = group;
+		} );
+
+		( config || [] ).forEach( function ( saved ) {
+			var group = saved && byId[ saved.id ];
+			if ( ! group ) {
+				return;
+			}
+
+			delete byId[ saved.id ];
+			resolved.push( Object.assign( {}, group, {
+				enabled: saved.enabled !== false,
+				customLabel: saved.label || '',
+				collapsed: !! saved.collapsed,
+				maxTerms: parseInt( saved.maxTerms, 10 ) || 0,
+				match: saved.match === 'all' ? 'all' : 'any',
+			} ) );
+		} );
+
+		available.forEach( function ( group ) {
+			if ( byId[ group.id ] ) {
+				resolved.push( Object.assign( {}, group, {
+					enabled: true,
+					customLabel: '',
+					collapsed: false,
+					maxTerms: 0,
+					match: 'any',
+				} ) );
+			}
+		} );
+
+		return resolved;
+	}
+
+	/**
+	 * Convert resolved groups back to the filterGroups attribute.
+	 *
+	 * @param {Array} groups Groups from resolveGroups().
+	 * @return {Array} Attribute value.
+	 */
+	function toGroupConfig( groups ) {
+		return groups.map( function ( group ) {
+			return {
+				id: group.id,
+				enabled: group.enabled,
+				label: group.customLabel,
+				collapsed: group.collapsed,
+				maxTerms: group.maxTerms,
+				match: group.match,
+			};
+		} );
+	}
+
+	/**
+	 * Inspector list of filter groups.
+	 *
+	 * Groups can be reordered by dragging or with the move buttons,
+	 * and switched on/off, relabeled, collapsed by default and limited
+	 * to a number of visible options. Attribute groups also have a
+	 * match mode.
+	 *
+	 * @param {Object}   props          Component props.
+	 * @param {Array}    props.groups   Groups from resolveGroups().
+	 * @param {boolean}  props.disabled Whether editing is locked (Free).
+	 * @param {Function} props.onChange Called with the new groups list.
+	 * @return {WPElement} Group settings.
+	 */
+	function GroupSettings( props ) {
+		var groups   = props.groups;
+		var disabled = props.disabled;
+		var drag     = useState( null );
+		var dragging = drag[ 0 ];
+		var setDrag  = drag[ 1 ];
+
+		function move( from, to ) {
+			if ( to < 0 || to >= groups.length || from === to ) {
+				return;
+			}
+
+			var next = groups.slice();
+			next.splice( to, 0, next.splice( from, 1 )[ 0 ] );
+			props.onChange( next );
+		}
+
+		function update( index, changes ) {
+			var next = groups.slice();
+			next[ index ] = Object.assign( {}, next[ index ], changes );
+			props.onChange( next );
+		}
+
+		return el(
+			'div',
+			{ className: 'wff-group-settings' },
+			groups.map( function ( group, index ) {
+				var hasTerms = group.type === 'categories' || group.type === 'attribute';
+
+				return el(
+					'div',
+					{
+						key: group.id,
+						className: 'wff-group-setting' + ( dragging === index ? ' is-dragging' : '' ),
+						draggable: ! disabled,
+						onDragStart: function ( e ) {
+							e.dataTransfer.effectAllowed = 'move';
+							setDrag( index );
+						},
+						onDragOver: function ( e ) {
+							if ( dragging !== null ) {
+								e.preventDefault();
+							}
+						},
+						onDrop: function ( e ) {
+							e.preventDefault();
+							move( dragging, index );
+							setDrag( null );
+						},
+						onDragEnd: function () {
+							setDrag( null );
+						},
+					},
+					el(
+						'div',
+						{ className: 'wff-group-setting__header' },
+						el( Icon, { icon: 'menu', className: 'wff-group-setting__handle' } ),
+						el( CheckboxControl, {
+							label: group.label,
+							checked: group.enabled,
+							disabled: disabled,
+							onChange: function ( value ) {
+								update( index, { enabled: value } );
+							},
+						} ),
+						el( Button, {
+							icon: 'arrow-up-alt2',
+							label: __( 'Move up', 'woo-fast-filter' ),
+							size: 'small',
+							disabled: disabled || index === 0,
+							onClick: function () {
+								move( index, index - 1 );
+							},
+						} ),
+						el( Button, {
+							icon: 'arrow-down-alt2',
+							label: __( 'Move down', 'woo-fast-filter' ),
+							size: 'small',
+							disabled: disabled || index === groups.length - 1,
+							onClick: function () {
+								move( index, index + 1 );
+							},
+						} )
+					),
+					group.enabled
+						? el(
+							'div',
+							{ className: 'wff-group-setting__body' },
+							el( TextControl, {
+								label: __( 'Label', 'woo-fast-filter' ),
+								value: group.customLabel,
+								placeholder: group.label,
+								disabled: disabled,
+								onChange: function ( value ) {
+									update( index, { customLabel: value } );
+								},
+							} ),
+							group.type !== 'search'
+								? el( ToggleControl, {
+									label: __( 'Collapsed by default', 'woo-fast-filter' ),
+									checked: group.collapsed,
+									disabled: disabled,
+									onChange: function ( value ) {
+										update( index, { collapsed: value } );
+									},
+								} )
+								: null,
+							hasTerms
+								? el( TextControl, {
+									type: 'number',
+									min: 0,
+									label: __( 'Visible options', 'woo-fast-filter' ),
+									help: __( 'Options past this number are behind a "Show more" link. 0 shows all.', 'woo-fast-filter' ),
+									value: group.maxTerms,
+									disabled: disabled,
+									onChange: function ( value ) {
+										update( index, { maxTerms: Math.max( 0, parseInt( value, 10 ) || 0 ) } );
+									},
+								} )
+								: null,
+							group.type === 'attribute'
+								? el( SelectControl, {
+									label: __( 'Match', 'woo-fast-filter' ),
+									value: group.match,
+									options: matchOptions,
+									disabled: disabled,
+									onChange: function ( value ) {
+										update( index, { match: value } );
+									},
+								} )
+								: null
+						)
+						: null
+				);
+			} )
+		);
+	}
+
+	/**
+	 * Preview of one filter group: title plus the first few options.
+	 *
+	 * @param {Object}          group  Group from resolveGroups().
+	 * @param {Array|WPElement} items  Option elements.
+	 * @param {number}          hidden Number of options left out of the preview.
+	 * @return {WPElement} Group preview.
+	 */
+	function previewGroup( group, items, hidden ) {
+		return el(
+			'div',
+			{ className: 'wff-preview-group' + ( group.collapsed ? ' is-collapsed' : '' ), key: group.id },
+			el(
+				'div',
+				{ className: 'wff-preview-group__title' },
+				group.customLabel || group.label,
+				group.type === 'attribute'
+					? el(
+						'span',
+						{ className: 'wff-preview-match' },
+						group.match === 'all' ? __( 'Match all', 'woo-fast-filter' ) : __( 'Match any', 'woo-fast-filter' )
+					)
+					: null
+			),
+			group.collapsed ? null : items,
+			! group.collapsed && hidden > 0
+				? el(
+					'div',
+					{ className: 'wff-preview-more' },
+					/* translators: %d: number of hidden filter options. */
+					sprintf( __( 'Show %d more', 'woo-fast-filter' ), hidden )
+				)
+				: null
+		);
+	}
+
+	/**
+	 * Number of options a group shows in the preview.
+	 *
+	 * @param {Object} group Group from resolveGroups().
+	 * @return {number} Option count.
+	 */
+	function previewLimit( group ) {
+		return group.maxTerms ? Math.min( group.maxTerms, PREVIEW_TERMS ) : PREVIEW_TERMS;
+	}
+
+	/**
+	 * Preview of a checkbox option.
+	 *
+	 * @param {string} label Option label.
+	 * @param {string} key   React key.
+	 * @return {WPElement} Option preview.
+	 */
+	function previewCheckbox( label, key ) {
+		return el(
+			'div',
+			{ className: 'wff-preview-option', key: key },
+			el( 'span', { className: 'wff-preview-checkbox' } ),
+			label
+		);
+	}
+
+	/**
+	 * Preview of an attribute group, as checkboxes, swatches or pills.
+	 *
+	 * @param {Object} group Attribute group from resolveGroups().
+	 * @return {WPElement} Group preview.
+	 */
+	function previewAttribute( group ) {
+		var attribute = group.attribute;
+		var display   = attribute.display || 'checkbox';
+		var terms     = attribute.terms.slice( 0, previewLimit( group ) );
+		var items;
+
+		if ( display === 'checkbox' ) {
+			items = terms.map( function ( term ) {
+				return previewCheckbox( term.name, term.id );
+			} );
+		} else {
+			items = el(
+				'div',
+				{ className: 'wff-preview-swatches' },
+				terms.map( function ( term ) {
+					if ( display === 'button' ) {
+						return el( 'span', { className: 'wff-preview-pill', key: term.id }, term.name );
+					}
+
+					return el(
+						'span',
+						{
+							className: 'wff-preview-swatch',
+							key: term.id,
+							title: term.name,
+							style: display === 'color' && term.swatch ? { backgroundColor: term.swatch } : undefined,
+						},
+						display === 'image' && term.swatch
+							? el( 'img', { src: term.swatch, alt: '' } )
+							: ( term.swatch ? null : term.name.charAt( 0 ) )
+					);
+				} )
+			);
+		}
+
+		// The frontend only hides options past the configured limit.
+		var hidden = group.maxTerms ? attribute.terms.length - group.maxTerms : 0;
+
+		return previewGroup( group, items, hidden );
+	}
+
+	/**
+	 * Preview of a product card.
+	 *
+	 * @param {Object|null} product Product from /products, or null for a blank card.
+	 * @param {number}      index   Card index, used as key for blank cards.
+	 * @return {WPElement} Card preview.
+	 */
+	function previewCard( product, index ) {
+		if ( ! product ) {
+			return el(
+				'div',
+				{ className: 'wff-preview-card is-blank', key: 'blank-' + index },
+				el( 'div', { className: 'wff-preview-card__image' } ),
+				el( 'div', { className: 'wff-preview-card__line' } ),
+				el( 'div', { className: 'wff-preview-card__line is-short' } )
+			);
+		}
+
+		return el(
+			'div',
+			{ className: 'wff-preview-card', key: product.id },
+			el(
+				'div',
+				{ className: 'wff-preview-card__image' },
+				product.image ? el( 'img', { src: product.image.src, alt: '' } ) : null
+			),
+			el( 'div', { className: 'wff-preview-card__name' }, product.name ),
+			// Price HTML is generated by WooCommerce (get_price_html).
+			el( RawHTML, { className: 'wff-preview-card__price' }, product.price.html )
+		);
+	}
+
+	/**
+	 * Live preview of the block.
+	 *
+	 * @param {Object} props          Component props.
+	 * @param {Object} props.data     Preview data from fetchPreviewData().
+	 * @param {Array}  props.groups   Groups from resolveGroups().
+	 * @param {Object} props.settings Effective block settings (Free-locked values applied).
+	 * @return {WPElement} Preview.
+	 */
+	function FilterPreview( props ) {
+		var data       = props.data;
+		var settings   = props.settings;
+		var filters    = data.filters;
+		var categories = filters.categories || [];
+		// Bounds are formatted by /filters with the store's currency settings.
+		var priceRange = ( filters.price_range && filters.price_range.formatted ) || { min: '', max: '' };
+		var cards      = [];
+		var i;
+
+		var groups = props.groups
+			.filter( function ( group ) {
+				return group.enabled;
+			} )
+			.map( function ( group ) {
+				switch ( group.type ) {
+					case 'search':
+						return el(
+							'div',
+							{ className: 'wff-preview-search', key: group.id },
+							group.customLabel || group.label
+						);
+
+					case 'categories':
+						return previewGroup(
+							group,
+							categories.slice( 0, previewLimit( group ) ).map( function ( category ) {
+								return previewCheckbox( category.name, category.id );
+							} ),
+							group.maxTerms ? categories.length - group.maxTerms : 0
+						);
+
+					case 'attribute':
+						return previewAttribute( group );
+
+					case 'status':
+						return previewGroup(
+							group,
+							[
+								previewCheckbox( __( 'In stock only', 'woo-fast-filter' ), 'in_stock' ),
+								previewCheckbox( __( 'On sale', 'woo-fast-filter' ), 'on_sale' ),
+							],
+							0
+						);
+
+					case 'rating':
+						return previewGroup(
+							group,
+							[ 4, 3 ].map( function ( rating ) {
+								return el(
+									'div',
+									{ className: 'wff-preview-option', key: rating },
+									el( 'span', { className: 'wff-preview-radio' } ),
+									el( 'span', { className: 'wff-preview-stars' }, '\u2605\u2605\u2605\u2605\u2605'.slice( 0, rating ) + '\u2606\u2606\u2606\u2606\u2606'.slice( rating ) ),
+									/* translators: %d: minimum star rating. */
+									sprintf( _n( '%d star & up', '%d stars & up', rating, 'woo-fast-filter' ), rating )
+								);
+							} ),
+							0
+						);
+
+					case 'price':
+						return previewGroup(
+							group,
+							[
+								el(
+									'div',
+									{ className: 'wff-preview-price', key: 'price' },
+									priceRange.min + ' \u2014 ' + priceRange.max
+								),
+								el( 'div', { className: 'wff-preview-range', key: 'range' } ),
+							],
+							0
+						);
+				}
+
+				return null;
+			} );
+
+		for ( i = 0; i < PREVIEW_PRODUCTS; i++ ) {
+			cards.push( previewCard( data.products[ i ] || null, i ) );
+		}
+
+		var paginationLabels = {
+			numbers: null,
+			load_more: __( 'Load more', 'woo-fast-filter' ),
+			infinite: __( 'More products load on scroll', 'woo-fast-filter' ),
+		};
+
+		var panel = el(
+			'div',
+			{ className: 'wff-preview-panel' },
+			settings.showActiveFilters
+				? el(
+					'div',
+					{ className: 'wff-preview-active' },
+					el( 'span', { className: 'wff-preview-active__label' }, __( 'Active filters', 'woo-fast-filter' ) ),
+					el(
+						'span',
+						{ className: 'wff-preview-tag' },
+						( categories[ 0 ] ? categories[ 0 ].name : __( 'Sample filter', 'woo-fast-filter' ) ) + ' \u00d7'
+					)
+				)
+				: null,
+			groups,
+			settings.autoApply
+				? null
+				: el( 'div', { className: 'wff-preview-apply' }, __( 'Apply filters', 'woo-fast-filter' ) )
+		);
+
+		return el(
+			'div',
+			{
+				className: 'wff-preview wff-preview--' + settings.layout + ' wff-preview--' + settings.style,
+			},
+			settings.layout === 'modal'
+				? el( 'div', { className: 'wff-preview-toggle' }, el( Icon, { icon: 'filter', size: 16 } ), __( 'Filter', 'woo-fast-filter' ) )
+				: panel,
+			settings.archiveMode || settings.resultsTarget
+				? el(
+					'div',
+					{ className: 'wff-preview-results-note' },
+					settings.archiveMode
+						? __( 'On shop and archive pages, products are shown in the theme\'s product list.', 'woo-fast-filter' )
+						/* translators: %s: HTML anchor of the results target. */
+						: sprintf( __( 'Products are shown in #%s.', 'woo-fast-filter' ), settings.resultsTarget )
+				)
+				: el(
+					'div',
+					{ className: 'wff-preview-results' },
+					el(
+						'div',
+						{ className: 'wff-preview-grid' },
+						cards
+					),
+					settings.paginationMode === 'numbers'
+						? el(
+							'div',
+							{ className: 'wff-preview-pagination' },
+							[ 1, 2, 3 ].map( function ( page ) {
+								return el( 'span', { key: page, className: page === 1 ? 'is-current' : '' }, page );
+							} )
+						)
+						: el( 'div', { className: 'wff-preview-load-more' }, paginationLabels[ settings.paginationMode ] )
+				)
+		);
+	}
+
 	/**
 	 * Edit component.
 	 *
@@ -75,11 +726,19 @@
 		var setAttributes     = props.setAttributes;
 		var showActiveFilters = attributes.showActiveFilters;
 		var blockProps        = useBlockProps();
+		var preview           = usePreviewData();
 
 		// In Free, these are display-only. Values are locked to defaults.
 		var currentLayout  = isPro ? attributes.layout    : 'sidebar';
 		var currentStyle   = isPro ? attributes.style     : 'clean';
 		var currentAutoApply = isPro ? attributes.autoApply : false;
+		var currentPagination = isPro ? attributes.paginationMode : 'numbers';
+		var currentIncludeChildren = isPro ? attributes.includeChildren : true;
+		var currentResultsTarget = isPro ? attributes.resultsTarget : '';
+		var currentArchiveMode = isPro ? attributes.archiveMode : false;
+		var groups = preview.data
+			? resolveGroups( isPro ? attributes.filterGroups : [], getAvailableGroups( preview.data.filters ) )
+			: null;
 
 		return el(
 			Fragment,
@@ -125,6 +784,19 @@
 								setAttributes( { style: value } );
 							}
 						},
+					} ),
+
+					// Results target — locked in Free.
+					el( TextControl, {
+						label: proLabel( __( 'Results target', 'woo-fast-filter' ) ),
+						help: __( 'HTML anchor of the block that should show the products, e.g. a Group further down the page. Leave empty to show them next to the filters.', 'woo-fast-filter' ),
+						value: currentResultsTarget,
+						disabled: ! isPro,
+						onChange: function ( value ) {
+							if ( isPro ) {
+								setAttributes( { resultsTarget: value.replace( /^#/, '' ).trim() } );
+							}
+						},
 					} )
 				),
 
@@ -151,6 +823,48 @@
 						},
 					} ),
 
+					// Pagination — locked in Free.
+					el( SelectControl, {
+						label: proLabel( __( 'Pagination', 'woo-fast-filter' ) ),
+						help: __( 'Load more and infinite scroll append products to the grid.', 'woo-fast-filter' ),
+						value: currentPagination,
+						options: paginationOptions,
+						disabled: ! isPro,
+						onChange: function ( value ) {
+							if ( isPro ) {
+								setAttributes( { paginationMode: value } );
+							}
+						},
+					} ),
+
+					// Include subcategories — locked in Free.
+					el( ToggleControl, {
+						label: proLabel( __( 'Include subcategories', 'woo-fast-filter' ) ),
+						help: currentIncludeChildren
+							? __( 'Selecting a category also selects its subcategories.', 'woo-fast-filter' )
+							: __( 'Each category only matches products assigned to it directly.', 'woo-fast-filter' ),
+						checked: currentIncludeChildren,
+						disabled: ! isPro,
+						onChange: function ( value ) {
+							if ( isPro ) {
+								setAttributes( { includeChildren: value } );
+							}
+						},
+					} ),
+
+					// Archive mode — locked in Free.
+					el( ToggleControl, {
+						label: proLabel( __( 'Use the theme\'s product list', 'woo-fast-filter' ) ),
+						help: __( 'On shop and product archive pages, filter the theme\'s own product list instead of showing a separate grid.', 'woo-fast-filter' ),
+						checked: currentArchiveMode,
+						disabled: ! isPro,
+						onChange: function ( value ) {
+							if ( isPro ) {
+								setAttributes( { archiveMode: value } );
+							}
+						},
+					} ),
+
 					// Show active filters — Free feature, fully editable.
 					el( ToggleControl, {
 						label: __( 'Show active filters', 'woo-fast-filter' ),
@@ -160,49 +874,76 @@
 							setAttributes( { showActiveFilters: value } );
 						},
 					} )
+				),
+
+				// --- Filter groups panel — locked in Free ---
+				el(
+					PanelBody,
+					{
+						title: proLabel( __( 'Filter groups', 'woo-fast-filter' ) ),
+						initialOpen: false,
+					},
+					groups
+						? el( GroupSettings, {
+							groups: groups,
+							disabled: ! isPro,
+							onChange: function ( next ) {
+								if ( isPro ) {
+									setAttributes( { filterGroups: toGroupConfig( next ) } );
+								}
+							},
+						} )
+						: ( preview.error
+							? el( 'p', null, __( 'The filter groups could not be loaded.', 'woo-fast-filter' ) )
+							: el( Spinner ) )
 				)
 			),
 
 			// =============================================
-			// Editor canvas placeholder
+			// Editor canvas preview
 			// =============================================
 			el(
 				'div',
 				blockProps,
-				el(
-					'div',
-					{ className: 'wff-editor-placeholder' },
-					el(
-						'div',
-						{ className: 'wff-editor-placeholder__icon' },
-						el( Icon, { icon: 'filter', size: 36 } )
-					),
-					el(
-						'h3',
-						{ className: 'wff-editor-placeholder__title' },
-						__( 'Woo Product Filter', 'woo-fast-filter' )
-					),
-					el(
-						'p',
-						{ className: 'wff-editor-placeholder__description' },
-						__( 'Displays category, attribute, and price filters with AJAX product loading.', 'woo-fast-filter' )
-					),
-					el(
-						'p',
-						{ className: 'wff-editor-placeholder__hint' },
-						__( 'Configure options in the block sidebar.', 'woo-fast-filter' )
-					),
-					el(
+				preview.data
+					? el(
+						Disabled,
+						null,
+						el( FilterPreview, {
+							data: preview.data,
+							groups: groups,
+							settings: {
+								layout: currentLayout,
+								style: currentStyle,
+								autoApply: currentAutoApply,
+								paginationMode: currentPagination,
+								showActiveFilters: showActiveFilters,
+								resultsTarget: currentResultsTarget,
+								archiveMode: currentArchiveMode,
+							},
+						} )
+					)
+					: el(
 						'div',
-						{ className: 'wff-editor-placeholder__settings' },
-						el( 'span', null, __( 'Active filters: ', 'woo-fast-filter' ) + ( showActiveFilters ? __( 'On', 'woo-fast-filter' ) : __( 'Off', 'woo-fast-filter' ) ) )
-					),
-					el(
-						'p',
-						{ className: 'wff-editor-placeholder__note' },
-						__( 'Live preview available on the frontend.', 'woo-fast-filter' )
+						{ className: 'wff-editor-placeholder' },
+						el(
+							'div',
+							{ className: 'wff-editor-placeholder__icon' },
+							el( Icon, { icon: 'filter', size: 36 } )
+						),
+						el(
+							'h3',
+							{ className: 'wff-editor-placeholder__title' },
+							__( 'Woo Product Filter', 'woo-fast-filter' )
+						),
+						preview.error
+							? el(
+								'p',
+								{ className: 'wff-editor-placeholder__description' },
+								__( 'The preview could not be loaded. The filter will still display on the frontend.', 'woo-fast-filter' )
+							)
+							: el( Spinner )
 					)
-				)
 			)
 		);
 	}
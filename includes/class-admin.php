@@ -0,0 +1,237 @@
+<?php
+/**
+ * Admin screens for Woo Fast Filter.
+ *
+ * Pro feature — the zero-result report is only added when the
+ * 'analytics' feature is enabled.
+ *
+ * @package WooFastFilter
+ */
+
+declare(strict_types=1);
+
+namespace WooFastFilter;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Admin class.
+ *
+ * Adds WooCommerce > Zero-result filters, listing the filter
+ * combinations shoppers used most often without finding a product.
+ */
+class Admin {
+
+	/**
+	 * Admin page slug.
+	 *
+	 * @var string
+	 */
+	private const PAGE = 'wff-zero-results';
+
+	/**
+	 * Zero-result report storage.
+	 *
+	 * @var Zero_Results
+	 */
+	private Zero_Results $zero_results;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Zero_Results $zero_results Zero-result report storage.
+	 */
+	public function __construct( Zero_Results $zero_results ) {
+		$this->zero_results = $zero_results;
+	}
+
+	/**
+	 * Register admin hooks.
+	 *
+	 * @return void
+	 */
+	public function register_hooks(): void {
+		add_action( 'admin_menu', [ $this, 'add_menu_page' ] );
+		add_action( 'admin_post_wff_clear_zero_results', [ $this, 'handle_clear' ] );
+	}
+
+	/**
+	 * Add the report under the WooCommerce menu.
+	 *
+	 * @return void
+	 */
+	public function add_menu_page(): void {
+		add_submenu_page(
+			'woocommerce',
+			__( 'Zero-result filters', 'woo-fast-filter' ),
+			__( 'Zero-result filters', 'woo-fast-filter' ),
+			'manage_woocommerce',
+			self::PAGE,
+			[ $this, 'render_page' ]
+		);
+	}
+
+	/**
+	 * Clear the report, then return to it.
+	 *
+	 * @return void
+	 */
+	public function handle_clear(): void {
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_die( esc_html__( 'You are not allowed to do this.', 'woo-fast-filter' ), 403 );
+		}
+
+		check_admin_referer( 'wff_clear_zero_results' );
+		$this->zero_results->clear();
+
+		wp_safe_redirect( add_query_arg( [ 'page' => self::PAGE, 'cleared' => 1 ], admin_url( 'admin.php' ) ) );
+		exit;
+	}
+
+	/**
+	 * Render the report.
+	 *
+	 * @return void
+	 */
+	public function render_page(): void {
+		$entries = $this->zero_results->get_top( 50 );
+		?>
+		<div class="wrap">
+			<h1><?php esc_html_e( 'Zero-result filters', 'woo-fast-filter' ); ?></h1>
+			<p>
+				<?php esc_html_e( 'Filter combinations shoppers used that returned no products, most frequent first. Use them to spot products or attributes your catalog is missing.', 'woo-fast-filter' ); ?>
+			</p>
+
+			<?php // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Display-only flag after a nonce-checked redirect. ?>
+			<?php if ( ! empty( $_GET['cleared'] ) ) : ?>
+				<div class="notice notice-success is-dismissible">
+					<p><?php esc_html_e( 'The report was cleared.', 'woo-fast-filter' ); ?></p>
+				</div>
+			<?php endif; ?>
+
+			<table class="widefat striped">
+				<thead>
+					<tr>
+						<th scope="col"><?php esc_html_e( 'Filters', 'woo-fast-filter' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Times used', 'woo-fast-filter' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Last used', 'woo-fast-filter' ); ?></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php if ( empty( $entries ) ) : ?>
+						<tr>
+							<td colspan="3"><?php esc_html_e( 'No zero-result filters recorded yet.', 'woo-fast-filter' ); ?></td>
+						</tr>
+					<?php endif; ?>
+					<?php foreach ( $entries as $entry ) : ?>
+						<tr>
+							<td><?php echo esc_html( implode( ' · ', $this->describe_filters( $entry['params'] ) ) ); ?></td>
+							<td><?php echo esc_html( number_format_i18n( (int) $entry['count'] ) ); ?></td>
+							<td>
+								<?php
+								echo esc_html(
+									sprintf(
+										/* translators: %s: time difference, e.g. "5 minutes". */
+										__( '%s ago', 'woo-fast-filter' ),
+										human_time_diff( (int) $entry['last_seen'] )
+									)
+								);
+								?>
+							</td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+
+			<?php if ( ! empty( $entries ) ) : ?>
+				<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+					<input type="hidden" name="action" value="wff_clear_zero_results" />
+					<?php wp_nonce_field( 'wff_clear_zero_results' ); ?>
+					<?php submit_button( __( 'Clear report', 'woo-fast-filter' ), 'secondary' ); ?>
+				</form>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Describe a filter combination in words.
+	 *
+	 * Terms that were deleted since are shown by ID.
+	 *
+	 * @param array $params Normalized filter parameters.
+	 * @return string[] One description per filter.
+	 */
+	private function describe_filters( array $params ): array {
+		$parts = [];
+
+		$term_name = function ( int $term_id, string $taxonomy ): string {
+			$term = get_term( $term_id, $taxonomy );
+			return $term instanceof \WP_Term ? $term->name : '#' . $term_id;
+		};
+
+		if ( ! empty( $params['archive'] ) ) {
+			/* translators: %s: category, tag or attribute term name. */
+			$parts[] = sprintf( __( 'In: %s', 'woo-fast-filter' ), $term_name( (int) $params['archive']['term'], (string) $params['archive']['taxonomy'] ) );
+		}
+
+		if ( ! empty( $params['search'] ) ) {
+			/* translators: %s: search term. */
+			$parts[] = sprintf( __( 'Search: "%s"', 'woo-fast-filter' ), $params['search'] );
+		}
+
+		if ( ! empty( $params['categories'] ) ) {
+			$names = array_map(
+				function ( $term_id ) use ( $term_name ) {
+					return $term_name( (int) $term_id, 'product_cat' );
+				},
+				$params['categories']
+			);
+			/* translators: %s: comma-separated category names. */
+			$parts[] = sprintf( __( 'Category: %s', 'woo-fast-filter' ), implode( ', ', $names ) );
+		}
+
+		if ( isset( $params['include_children'] ) && ! $params['include_children'] ) {
+			$parts[] = __( 'Without subcategories', 'woo-fast-filter' );
+		}
+
+		foreach ( $params['attributes'] ?? [] as $taxonomy => $term_ids ) {
+			$names = array_map(
+				function ( $term_id ) use ( $term_name, $taxonomy ) {
+					return $term_name( (int) $term_id, (string) $taxonomy );
+				},
+				$term_ids
+			);
+			$glue  = 'all' === ( $params['attribute_match'][ $taxonomy ] ?? 'any' ) ? ' + ' : ', ';
+
+			$parts[] = wc_attribute_label( (string) $taxonomy ) . ': ' . implode( $glue, $names );
+		}
+
+		if ( isset( $params['min_price'] ) || isset( $params['max_price'] ) ) {
+			$parts[] = sprintf(
+				/* translators: 1: minimum price, 2: maximum price. */
+				__( 'Price: %1$s – %2$s', 'woo-fast-filter' ),
+				isset( $params['min_price'] ) ? format_price_text( (float) $params['min_price'] ) : '…',
+				isset( $params['max_price'] ) ? format_price_text( (float) $params['max_price'] ) : '…'
+			);
+		}
+
+		if ( ! empty( $params['in_stock'] ) ) {
+			$parts[] = __( 'In stock', 'woo-fast-filter' );
+		}
+
+		if ( ! empty( $params['on_sale'] ) ) {
+			$parts[] = __( 'On sale', 'woo-fast-filter' );
+		}
+
+		if ( ! empty( $params['min_rating'] ) ) {
+			/* translators: %d: minimum star rating. */
+			$parts[] = sprintf( __( '%d stars & up', 'woo-fast-filter' ), $params['min_rating'] );
+		}
+
+		return $parts;
+	}
+}
@@ -69,6 +69,19 @@ class Query_Builder {
 			$args['tax_query'] = $tax_query;
 		}
 
+		// Keyword search. wc_get_products() passes 's' through to WP_Query,
+		// where it combines with the tax query using AND.
+		if ( ! empty( $this->params['search'] ) ) {
+			$args['s'] = $this->params['search'];
+		}
+
+		// On-sale products. WooCommerce keeps these IDs (including parents
+		// of on-sale variations) in a transient. The 0 keeps an empty sale
+		// list from matching every product.
+		if ( ! empty( $this->params['on_sale'] ) ) {
+			$args['include'] = array_merge( [ 0 ], wc_get_product_ids_on_sale() );
+		}
+
 		// Price filtering is handled via posts_clauses hook in execute()
 		// rather than meta_query, for compatibility across WC versions.
 
@@ -101,9 +114,19 @@ class Query_Builder {
 			remove_filter( 'posts_clauses', [ $this, 'add_price_clauses' ], 10 );
 		}
 
+		// 'html' render mode adds the theme's loop markup to each product.
+		$render_html = isset( $this->params['render'] ) && 'html' === $this->params['render'];
+		$details     = ! empty( $this->params['details'] );
+
 		$products = [];
 		foreach ( $results->products as $product ) {
-			$products[] = format_product_for_response( $product );
+			$data = format_product_for_response( $product, $details );
+
+			if ( $render_html ) {
+				$data['html'] = render_product_loop_item( $product );
+			}
+
+			$products[] = $data;
 		}
 
 		return [
@@ -130,14 +153,29 @@ class Query_Builder {
 	 * @return array Modified clauses.
 	 */
 	public function add_price_clauses( array $clauses, \WP_Query $query ): array {
-		global $wpdb;
-
 		// Only modify product queries.
 		$post_types = (array) $query->get( 'post_type' );
 		if ( ! in_array( 'product', $post_types, true ) ) {
 			return $clauses;
 		}
 
+		return $this->price_clauses( $clauses );
+	}
+
+	/**
+	 * Add the price range join and conditions to SQL clauses.
+	 *
+	 * min_price and max_price are what the shopper sees (displayed
+	 * currency and tax mode), so they are converted to the stored
+	 * _price basis first, rounded outwards to its two decimals so no
+	 * product shown at a bound is dropped.
+	 *
+	 * @param array $clauses SQL clauses.
+	 * @return array Modified clauses.
+	 */
+	private function price_clauses( array $clauses ): array {
+		global $wpdb;
+
 		// Join price meta.
 		$clauses['join'] .= " INNER JOIN {$wpdb->postmeta} AS wff_price_meta ON ( {$wpdb->posts}.ID = wff_price_meta.post_id AND wff_price_meta.meta_key = '_price' ) ";
 
@@ -145,14 +183,14 @@ class Query_Builder {
 		if ( isset( $this->params['min_price'] ) ) {
 			$clauses['where'] .= $wpdb->prepare(
 				' AND CAST( wff_price_meta.meta_value AS DECIMAL(10,2) ) >= %f',
-				$this->params['min_price']
+				floor( to_stored_price( (float) $this->params['min_price'] ) * 100 ) / 100
 			);
 		}
 
 		if ( isset( $this->params['max_price'] ) ) {
 			$clauses['where'] .= $wpdb->prepare(
 				' AND CAST( wff_price_meta.meta_value AS DECIMAL(10,2) ) <= %f',
-				$this->params['max_price']
+				ceil( to_stored_price( (float) $this->params['max_price'] ) * 100 ) / 100
 			);
 		}
 
@@ -162,6 +200,46 @@ class Query_Builder {
 		return $clauses;
 	}
 
+	/**
+	 * Apply the filters to an existing product query.
+	 *
+	 * Used on the shop's main query in archive mode, so the theme's own
+	 * loop lists the filtered products. Sorting and pagination are left
+	 * to WooCommerce, which reads them from the same request.
+	 *
+	 * @param \WP_Query $query Main product query, from woocommerce_product_query.
+	 * @return void
+	 */
+	public function apply_to_query( \WP_Query $query ): void {
+		$tax_query = $this->build_tax_query();
+		if ( ! empty( $tax_query ) ) {
+			$query->set( 'tax_query', array_merge( (array) $query->get( 'tax_query' ), [ $tax_query ] ) );
+		}
+
+		if ( ! empty( $this->params['search'] ) ) {
+			$query->set( 's', $this->params['search'] );
+		}
+
+		if ( ! empty( $this->params['on_sale'] ) ) {
+			$on_sale = array_merge( [ 0 ], wc_get_product_ids_on_sale() );
+			$post_in = array_filter( (array) $query->get( 'post__in' ) );
+			$query->set( 'post__in', $post_in ? array_merge( [ 0 ], array_intersect( $post_in, $on_sale ) ) : $on_sale );
+		}
+
+		// The main query's post_type may be empty on taxonomy archives,
+		// so the price clauses are tied to this query object instead.
+		if ( isset( $this->params['min_price'] ) || isset( $this->params['max_price'] ) ) {
+			add_filter(
+				'posts_clauses',
+				function ( array $clauses, \WP_Query $current ) use ( $query ): array {
+					return $current === $query ? $this->price_clauses( $clauses ) : $clauses;
+				},
+				10,
+				2
+			);
+		}
+	}
+
 	/**
 	 * Apply sorting parameters.
 	 *
@@ -220,21 +298,30 @@ class Query_Builder {
 	 * - Product must match at least one selected category.
 	 * - Product must match at least one term per selected attribute.
 	 *
-	 * Within the same attribute, OR logic is used (e.g., Color: Red OR Blue).
+	 * Within the same attribute, OR logic is used (e.g., Color: Red OR Blue),
+	 * unless the group is set to "match all" (e.g., Features: Waterproof AND
+	 * Breathable).
 	 * Between different filters, AND logic is used (e.g., Color: Red AND Size: Large).
 	 *
+	 * Stock and rating filters use the product_visibility taxonomy, the
+	 * same terms WooCommerce's own catalog and rating widget query.
+	 *
+	 * In archive mode, the archive's own term is added as a base constraint.
+	 *
 	 * @return array WP_Tax_Query compatible array.
 	 */
 	private function build_tax_query(): array {
 		$tax_query = [];
 
-		// Category filter.
+		// Category filter. A category matches its descendants unless the
+		// block's "include subcategories" setting is off.
 		if ( ! empty( $this->params['categories'] ) ) {
 			$tax_query[] = [
-				'taxonomy' => 'product_cat',
-				'field'    => 'term_id',
-				'terms'    => $this->params['categories'],
-				'operator' => 'IN', // OR within categories.
+				'taxonomy'         => 'product_cat',
+				'field'            => 'term_id',
+				'terms'            => $this->params['categories'],
+				'operator'         => 'IN', // OR within categories.
+				'include_children' => $this->params['include_children'] ?? true,
 			];
 		}
 
@@ -242,16 +329,53 @@ class Query_Builder {
 		if ( ! empty( $this->params['attributes'] ) ) {
 			foreach ( $this->params['attributes'] as $taxonomy => $terms ) {
 				if ( ! empty( $terms ) ) {
+					$match_all = 'all' === ( $this->params['attribute_match'][ $taxonomy ] ?? 'any' );
+
 					$tax_query[] = [
 						'taxonomy' => $taxonomy,
 						'field'    => 'term_id',
 						'terms'    => $terms,
-						'operator' => 'IN', // OR within same attribute.
+						'operator' => $match_all ? 'AND' : 'IN', // OR within same attribute by default.
 					];
 				}
 			}
 		}
 
+		// In stock only. Out-of-stock products (variable ones included)
+		// carry the 'outofstock' visibility term.
+		if ( ! empty( $this->params['in_stock'] ) ) {
+			$tax_query[] = [
+				'taxonomy' => 'product_visibility',
+				'field'    => 'name',
+				'terms'    => [ 'outofstock' ],
+				'operator' => 'NOT IN',
+			];
+		}
+
+		// Minimum rating. The rounded average is stored as a 'rated-N' term.
+		if ( ! empty( $this->params['min_rating'] ) ) {
+			$tax_query[] = [
+				'taxonomy' => 'product_visibility',
+				'field'    => 'name',
+				'terms'    => array_map(
+					function ( $rating ) {
+						return 'rated-' . $rating;
+					},
+					range( $this->params['min_rating'], 5 )
+				),
+				'operator' => 'IN',
+			];
+		}
+
+		// Archive mode: stay within the category, tag or attribute archive.
+		if ( ! empty( $this->params['archive'] ) ) {
+			$tax_query[] = [
+				'taxonomy' => $this->params['archive']['taxonomy'],
+				'field'    => 'term_id',
+				'terms'    => [ $this->params['archive']['term'] ],
+			];
+		}
+
 		// Use AND relation between different filter groups.
 		if ( count( $tax_query ) > 1 ) {
 			$tax_query['relation'] = 'AND';
@@ -269,6 +393,18 @@ class Query_Builder {
 	 * @return int Number of matching products.
 	 */
 	public function get_count(): int {
+		return count( $this->get_ids() );
+	}
+
+	/**
+	 * Get IDs of all products matching current filters.
+	 *
+	 * Pro feature — feeds the facet count aggregates (disabled in Free).
+	 * Ignores pagination so the full matching set is returned.
+	 *
+	 * @return int[] Product IDs.
+	 */
+	public function get_ids(): array {
 		$args           = $this->build();
 		$args['return'] = 'ids'; // Only get IDs for counting - much faster.
 		$args['limit']  = -1;   // Get all matching.
@@ -286,6 +422,6 @@ class Query_Builder {
 			remove_filter( 'posts_clauses', [ $this, 'add_price_clauses' ], 10 );
 		}
 
-		return count( $products );
+		return array_map( 'intval', $products );
 	}
 }
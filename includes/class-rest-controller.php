@@ -31,6 +31,12 @@ if ( ! defined( 'ABSPATH' ) ) {
  * Endpoints:
  * - GET /woo-fast-filter/v1/filters  - Get available filter options.
  * - GET /woo-fast-filter/v1/products - Get filtered products.
+ * - GET /woo-fast-filter/v1/facets   - Get live term counts (Pro).
+ * - GET /woo-fast-filter/v1/suggest  - Get search typeahead suggestions.
+ * - GET|POST /woo-fast-filter/v1/presets - Read or replace the current
+ *   shopper's saved filter presets (Pro, logged-in users).
+ * - POST /woo-fast-filter/v1/zero-results - Record a filter combination
+ *   that returned no products (Pro).
  */
 class REST_Controller {
 
@@ -48,13 +54,22 @@ class REST_Controller {
 	 */
 	private Cache $cache;
 
+	/**
+	 * Zero-result report storage.
+	 *
+	 * @var Zero_Results
+	 */
+	private Zero_Results $zero_results;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param Cache $cache Cache handler instance.
+	 * @param Cache        $cache        Cache handler instance.
+	 * @param Zero_Results $zero_results Zero-result report storage.
 	 */
-	public function __construct( Cache $cache ) {
-		$this->cache = $cache;
+	public function __construct( Cache $cache, Zero_Results $zero_results ) {
+		$this->cache        = $cache;
+		$this->zero_results = $zero_results;
 	}
 
 	/**
@@ -85,6 +100,88 @@ class REST_Controller {
 				'args'                => $this->get_product_endpoint_args(),
 			]
 		);
+
+		// Search typeahead suggestions.
+		register_rest_route(
+			self::NAMESPACE,
+			'/suggest',
+			[
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_suggestions' ],
+				'permission_callback' => '__return_true', // Public data.
+				'args'                => [
+					'search' => [
+						'description' => __( 'Search term.', 'woo-fast-filter' ),
+						'type'        => 'string',
+						'required'    => true,
+						'minLength'   => 2,
+						'maxLength'   => 100,
+					],
+				],
+			]
+		);
+
+		// Pro feature — live facet counts.
+		// Not registered in Free, where term counts are hidden.
+		if ( is_feature_enabled( 'live_counts' ) ) {
+			register_rest_route(
+				self::NAMESPACE,
+				'/facets',
+				[
+					'methods'             => \WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_facets' ],
+					'permission_callback' => '__return_true', // Public data.
+					'args'                => $this->get_product_endpoint_args(),
+				]
+			);
+		}
+
+		// Pro feature — saved filter presets of logged-in shoppers.
+		// Guests keep their presets in localStorage.
+		if ( is_feature_enabled( 'saved_presets' ) ) {
+			register_rest_route(
+				self::NAMESPACE,
+				'/presets',
+				[
+					[
+						'methods'             => \WP_REST_Server::READABLE,
+						'callback'            => [ $this, 'get_presets' ],
+						'permission_callback' => 'is_user_logged_in',
+					],
+					[
+						'methods'             => \WP_REST_Server::EDITABLE,
+						'callback'            => [ $this, 'update_presets' ],
+						'permission_callback' => 'is_user_logged_in',
+						'args'                => [
+							'presets' => [
+								'description' => __( 'All saved presets, replacing the current ones.', 'woo-fast-filter' ),
+								'type'        => 'array',
+								'required'    => true,
+								'items'       => [
+									'type' => 'object',
+								],
+							],
+						],
+					],
+				]
+			);
+		}
+
+		// Pro feature — zero-result report. Shoppers' browsers report
+		// filter combinations without results; see Zero_Results for the
+		// per-client limits.
+		if ( is_feature_enabled( 'analytics' ) ) {
+			register_rest_route(
+				self::NAMESPACE,
+				'/zero-results',
+				[
+					'methods'             => \WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'record_zero_results' ],
+					'permission_callback' => [ $this, 'check_report_nonce' ],
+					'args'                => $this->get_product_endpoint_args(),
+				]
+			);
+		}
 	}
 
 	/**
@@ -98,7 +195,8 @@ class REST_Controller {
 	 */
 	public function get_filters( \WP_REST_Request $request ): \WP_REST_Response {
 		// Pro feature — cache lookup. Returns false in Free (always miss).
-		$cache_key = 'filter_options';
+		// The price range is in the shopper's currency and tax mode.
+		$cache_key = 'filter_options_' . md5( wp_json_encode( get_price_context() ) );
 		$cached    = $this->cache->get( $cache_key );
 
 		if ( false !== $cached ) {
@@ -113,6 +211,12 @@ class REST_Controller {
 			'price_range' => get_price_range(),
 		];
 
+		// Bounds as the store formats them, for the editor preview.
+		$data['price_range']['formatted'] = [
+			'min' => format_price_text( floor( (float) $data['price_range']['min'] ) ),
+			'max' => format_price_text( ceil( (float) $data['price_range']['max'] ) ),
+		];
+
 		// Pro feature — cache store. No-op in Free.
 		$this->cache->set( $cache_key, $data );
 
@@ -132,7 +236,7 @@ class REST_Controller {
 	 */
 	public function get_products( \WP_REST_Request $request ): \WP_REST_Response {
 		$params    = sanitize_filter_params( $request->get_params() );
-		$cache_key = generate_cache_key( $params );
+		$cache_key = generate_cache_key( $params + [ 'price_context' => get_price_context() ] );
 
 		// Pro feature — cache lookup. Returns false in Free (always miss).
 		$cached = $this->cache->get( $cache_key );
@@ -158,6 +262,148 @@ class REST_Controller {
 		return $response;
 	}
 
+	/**
+	 * Get live facet counts.
+	 *
+	 * Pro feature — accepts the same filter parameters as /products and
+	 * returns per-term product counts for the current selection.
+	 * Pagination and sorting don't affect counts, so they are dropped
+	 * before building the cache key.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response Response object.
+	 */
+	public function get_facets( \WP_REST_Request $request ): \WP_REST_Response {
+		$params = sanitize_filter_params( $request->get_params() );
+		$params = array_merge( $params, [ 'page' => 1, 'per_page' => 12, 'orderby' => 'menu_order', 'order' => 'ASC' ] );
+		unset( $params['render'], $params['details'] );
+
+		$cache_key = 'facets_' . generate_cache_key( $params + [ 'price_context' => get_price_context() ] );
+		$cached    = $this->cache->get( $cache_key );
+
+		if ( false !== $cached ) {
+			$response = new \WP_REST_Response( $cached );
+			$response->header( 'X-WFF-Cache', 'HIT' );
+			return $response;
+		}
+
+		$data = get_facet_counts( $params );
+
+		$this->cache->set( $cache_key, $data );
+
+		$response = new \WP_REST_Response( $data );
+		$response->header( 'X-WFF-Cache', 'MISS' );
+		return $response;
+	}
+
+	/**
+	 * Get search typeahead suggestions.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response Response object.
+	 */
+	public function get_suggestions( \WP_REST_Request $request ): \WP_REST_Response {
+		$search = trim( sanitize_text_field( (string) $request->get_param( 'search' ) ) );
+
+		// Pro feature — cache lookup. Returns false in Free (always miss).
+		$cache_key = 'suggest_' . md5( mb_strtolower( $search ) );
+		$cached    = $this->cache->get( $cache_key );
+
+		if ( false !== $cached ) {
+			$response = new \WP_REST_Response( $cached );
+			$response->header( 'X-WFF-Cache', 'HIT' );
+			return $response;
+		}
+
+		$data = get_search_suggestions( $search );
+
+		// Pro feature — cache store. No-op in Free.
+		$this->cache->set( $cache_key, $data );
+
+		$response = new \WP_REST_Response( $data );
+		$response->header( 'X-WFF-Cache', 'MISS' );
+		return $response;
+	}
+
+	/**
+	 * Get the current shopper's saved filter presets.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response Response object.
+	 */
+	public function get_presets( \WP_REST_Request $request ): \WP_REST_Response {
+		return new \WP_REST_Response(
+			[
+				'presets' => get_filter_presets( get_current_user_id() ),
+			]
+		);
+	}
+
+	/**
+	 * Replace the current shopper's saved filter presets.
+	 *
+	 * The frontend sends the whole list after each save, rename or
+	 * delete, and renders the sanitized list returned here.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response Response object.
+	 */
+	public function update_presets( \WP_REST_Request $request ): \WP_REST_Response {
+		return new \WP_REST_Response(
+			[
+				'presets' => save_filter_presets( get_current_user_id(), (array) $request->get_param( 'presets' ) ),
+			]
+		);
+	}
+
+	/**
+	 * Record a filter combination that returned no products.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response Response object.
+	 */
+	public function record_zero_results( \WP_REST_Request $request ): \WP_REST_Response {
+		$client = is_user_logged_in()
+			? 'user:' . get_current_user_id()
+			: 'ip:' . sanitize_text_field( wp_unslash( $_SERVER['REMOTE_ADDR'] ?? '' ) );
+
+		/**
+		 * Filter how a zero-result reporter is identified for rate limiting.
+		 *
+		 * Behind a proxy or CDN, REMOTE_ADDR is the proxy's address;
+		 * return the shopper's address from a trusted header instead.
+		 *
+		 * @param string           $client  'user:<id>' or 'ip:<address>'.
+		 * @param \WP_REST_Request $request Request object.
+		 */
+		$client = (string) apply_filters( 'wff_zero_results_client', $client, $request );
+
+		$recorded = $this->zero_results->record( sanitize_filter_params( $request->get_params() ), $client );
+
+		return new \WP_REST_Response( [ 'recorded' => $recorded ] );
+	}
+
+	/**
+	 * Check that a report was sent from a page with the filter block.
+	 *
+	 * WordPress only verifies the REST nonce for logged-in cookies, so
+	 * anonymous reports are checked here.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return true|\WP_Error True, or an error for a missing or invalid nonce.
+	 */
+	public function check_report_nonce( \WP_REST_Request $request ): bool|\WP_Error {
+		if ( wp_verify_nonce( (string) $request->get_header( 'X-WP-Nonce' ), 'wp_rest' ) ) {
+			return true;
+		}
+
+		return new \WP_Error(
+			'rest_cookie_invalid_nonce',
+			__( 'Cookie check failed', 'woo-fast-filter' ),
+			[ 'status' => 403 ]
+		);
+	}
+
 	/**
 	 * Define product endpoint arguments with validation.
 	 *
@@ -173,11 +419,53 @@ class REST_Controller {
 				],
 				'default'     => [],
 			],
+			'include_children' => [
+				'description' => __( 'Whether a category also matches products in its subcategories.', 'woo-fast-filter' ),
+				'type'        => 'boolean',
+				'default'     => true,
+			],
 			'attributes' => [
 				'description' => __( 'Filter by attribute taxonomies and term IDs.', 'woo-fast-filter' ),
 				'type'        => 'object',
 				'default'     => [],
 			],
+			'attribute_match' => [
+				'description'          => __( 'Match mode per attribute taxonomy: "any" of the selected terms (default) or "all" of them.', 'woo-fast-filter' ),
+				'type'                 => 'object',
+				'additionalProperties' => [
+					'type' => 'string',
+					'enum' => [ 'any', 'all' ],
+				],
+				'default'              => [],
+			],
+			'search' => [
+				'description' => __( 'Keyword search in product titles and content.', 'woo-fast-filter' ),
+				'type'        => 'string',
+				'maxLength'   => 100,
+			],
+			'in_stock' => [
+				'description' => __( 'Only return products in stock.', 'woo-fast-filter' ),
+				'type'        => 'boolean',
+			],
+			'on_sale' => [
+				'description' => __( 'Only return products on sale.', 'woo-fast-filter' ),
+				'type'        => 'boolean',
+			],
+			'min_rating' => [
+				'description' => __( 'Minimum average rating, in stars.', 'woo-fast-filter' ),
+				'type'        => 'integer',
+				'minimum'     => 1,
+				'maximum'     => 5,
+			],
+			'archive_taxonomy' => [
+				'description' => __( 'Taxonomy of the product archive to stay within (archive mode).', 'woo-fast-filter' ),
+				'type'        => 'string',
+			],
+			'archive_term' => [
+				'description' => __( 'Term ID of the product archive to stay within (archive mode).', 'woo-fast-filter' ),
+				'type'        => 'integer',
+				'minimum'     => 1,
+			],
 			'min_price' => [
 				'description' => __( 'Minimum price.', 'woo-fast-filter' ),
 				'type'        => 'number',
@@ -213,6 +501,17 @@ class REST_Controller {
 				'default'     => 'ASC',
 				'enum'        => [ 'ASC', 'DESC' ],
 			],
+			'render' => [
+				'description' => __( 'Product render mode. "html" adds theme loop markup to each product.', 'woo-fast-filter' ),
+				'type'        => 'string',
+				'default'     => 'json',
+				'enum'        => [ 'json', 'html' ],
+			],
+			'details' => [
+				'description' => __( 'Add the short description, SKU and stock quantity to each product (list view).', 'woo-fast-filter' ),
+				'type'        => 'boolean',
+				'default'     => false,
+			],
 		];
 	}
 }
@@ -0,0 +1,242 @@
+<?php
+/**
+ * Zero-result filter report for Woo Fast Filter.
+ *
+ * Pro feature — disabled in Free.
+ *
+ * Records filter combinations that returned no products, so
+ * merchandisers can see which products shoppers look for and don't
+ * find. Combinations are stored in a single non-autoloaded option,
+ * keyed like the results cache (generate_cache_key()), with a hit
+ * count and the time they were last seen. Only the most frequent
+ * combinations are kept.
+ *
+ * Reports come from shoppers' browsers, so each client counts once per
+ * combination per hour and is limited to a few reports a minute; the
+ * catalog is only queried for reports that pass those checks.
+ *
+ * @package WooFastFilter
+ */
+
+declare(strict_types=1);
+
+namespace WooFastFilter;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Zero-result report storage.
+ */
+class Zero_Results {
+
+	/**
+	 * Option holding the recorded combinations.
+	 *
+	 * @var string
+	 */
+	private const OPTION = 'wff_zero_results';
+
+	/**
+	 * Maximum number of combinations kept.
+	 *
+	 * @var int
+	 */
+	private const MAX_ENTRIES = 200;
+
+	/**
+	 * Params that don't change which products match.
+	 *
+	 * @var string[]
+	 */
+	private const IGNORED_PARAMS = [ 'page', 'per_page', 'orderby', 'order', 'render', 'details' ];
+
+	/**
+	 * Reports a client may send per minute.
+	 *
+	 * @var int
+	 */
+	private const CLIENT_LIMIT = 10;
+
+	/**
+	 * Option used as a lock while the report is rewritten.
+	 *
+	 * @var string
+	 */
+	private const LOCK = 'wff_zero_results_lock';
+
+	/**
+	 * Record a filter combination that returned no products.
+	 *
+	 * The combination is checked against the catalog first, so the
+	 * public endpoint can't be used to fill the report with
+	 * combinations that do have products. Price bounds arrive in the
+	 * shopper's currency and tax display, and are stored in the basis
+	 * of the catalog's prices, like the price filter queries them.
+	 *
+	 * @param array  $params Sanitized filter parameters.
+	 * @param string $client Identifies the reporting client (IP address or user).
+	 * @return bool Whether the combination was recorded.
+	 */
+	public function record( array $params, string $client ): bool {
+		$filters = array_diff_key( $params, array_flip( self::IGNORED_PARAMS ) );
+
+		// Rounded outwards, as in Query_Builder::price_clauses().
+		if ( isset( $filters['min_price'] ) ) {
+			$filters['min_price'] = floor( to_stored_price( (float) $filters['min_price'] ) * 100 ) / 100;
+		}
+		if ( isset( $filters['max_price'] ) ) {
+			$filters['max_price'] = ceil( to_stored_price( (float) $filters['max_price'] ) * 100 ) / 100;
+		}
+
+		$filters = normalize_filter_params( $filters );
+
+		// Nothing selected: an empty catalog, not a catalog gap. The
+		// archive and the block's settings alone don't select anything.
+		if ( ! array_diff_key( $filters, array_flip( [ 'archive', 'include_children', 'attribute_match' ] ) ) ) {
+			return false;
+		}
+
+		$key = generate_cache_key( $filters );
+		if ( ! $this->throttle( $client, $key ) ) {
+			return false;
+		}
+
+		$query = new Query_Builder( $params );
+		if ( $query->get_count() > 0 ) {
+			return false;
+		}
+
+		// Another request is rewriting the report; dropping this hit
+		// beats overwriting theirs.
+		if ( ! $this->lock() ) {
+			return false;
+		}
+
+		$entries = $this->get_entries();
+
+		$entries[ $key ] = [
+			'params'    => $filters,
+			'count'     => ( $entries[ $key ]['count'] ?? 0 ) + 1,
+			'last_seen' => time(),
+		];
+
+		if ( count( $entries ) > self::MAX_ENTRIES ) {
+			// Drop the least frequent, then the oldest combinations.
+			uasort( $entries, [ $this, 'compare_entries' ] );
+			$entries = array_slice( $entries, 0, self::MAX_ENTRIES, true );
+		}
+
+		$updated = update_option( self::OPTION, $entries, false );
+		delete_option( self::LOCK );
+
+		return $updated;
+	}
+
+	/**
+	 * Get the most frequent zero-result combinations.
+	 *
+	 * @param int $limit Maximum number of combinations.
+	 * @return array List of [ params, count, last_seen ], most frequent first.
+	 */
+	public function get_top( int $limit = 50 ): array {
+		$entries = $this->get_entries();
+		uasort( $entries, [ $this, 'compare_entries' ] );
+
+		return array_values( array_slice( $entries, 0, $limit ) );
+	}
+
+	/**
+	 * Delete all recorded combinations.
+	 *
+	 * @return void
+	 */
+	public function clear(): void {
+		delete_option( self::OPTION );
+	}
+
+	/**
+	 * Sort callback: most frequent first, then most recent.
+	 *
+	 * @param array $a First entry.
+	 * @param array $b Second entry.
+	 * @return int Comparison result.
+	 */
+	private function compare_entries( array $a, array $b ): int {
+		return [ $b['count'], $b['last_seen'] ] <=> [ $a['count'], $a['last_seen'] ];
+	}
+
+	/**
+	 * Check and count a report against the client's limits.
+	 *
+	 * @param string $client Identifies the reporting client.
+	 * @param string $key    Cache key of the combination.
+	 * @return bool Whether the report may be recorded.
+	 */
+	private function throttle( string $client, string $key ): bool {
+		$seen_key  = 'wff_zr_seen_' . md5( $client . '|' . $key );
+		$count_key = 'wff_zr_client_' . md5( $client );
+		$count     = (int) get_transient( $count_key );
+
+		if ( false !== get_transient( $seen_key ) || $count >= self::CLIENT_LIMIT ) {
+			return false;
+		}
+
+		set_transient( $seen_key, 1, HOUR_IN_SECONDS );
+		set_transient( $count_key, $count + 1, MINUTE_IN_SECONDS );
+
+		return true;
+	}
+
+	/**
+	 * Take the lock for rewriting the report.
+	 *
+	 * INSERT IGNORE only succeeds for one request at a time, unlike
+	 * add_option(). A lock left behind by a failed request expires
+	 * after ten seconds.
+	 *
+	 * @return bool Whether the lock was taken.
+	 */
+	private function lock(): bool {
+		global $wpdb;
+
+		$locked = $wpdb->query(
+			$wpdb->prepare(
+				"INSERT IGNORE INTO {$wpdb->options} (option_name, option_value, autoload) VALUES (%s, %s, 'no')",
+				self::LOCK,
+				time()
+			)
+		);
+
+		if ( ! $locked ) {
+			$since = (int) $wpdb->get_var(
+				$wpdb->prepare( "SELECT option_value FROM {$wpdb->options} WHERE option_name = %s", self::LOCK )
+			);
+
+			if ( $since > time() - 10 ) {
+				return false;
+			}
+
+			// Stale: take it over.
+			$wpdb->update( $wpdb->options, [ 'option_value' => time() ], [ 'option_name' => self::LOCK ] );
+		}
+
+		// The report may have changed since this request last read it.
+		wp_cache_delete( self::OPTION, 'options' );
+
+		return true;
+	}
+
+	/**
+	 * Get the stored combinations.
+	 *
+	 * @return array Entries keyed by cache key.
+	 */
+	private function get_entries(): array {
+		$entries = get_option( self::OPTION, [] );
+
+		return is_array( $entries ) ? $entries : [];
+	}
+}
@@ -54,6 +54,11 @@ function get_free_defaults(): array {
 		'style'             => 'clean',    // Pro: soft, editorial.
 		'autoApply'         => false,      // Pro: user-configurable.
 		'showActiveFilters' => true,       // Free: user-configurable.
+		'paginationMode'    => 'numbers',  // Pro: load_more, infinite.
+		'includeChildren'   => true,       // Pro: user-configurable.
+		'filterGroups'      => [],         // Pro: choose, order and relabel groups.
+		'resultsTarget'     => '',         // Pro: show results in another element.
+		'archiveMode'       => false,      // Pro: filter the theme's shop loop.
 	];
 }
 
@@ -72,6 +77,10 @@ function get_free_defaults(): array {
  *   - 'layout_options'     Top bar, modal layouts.
  *   - 'style_options'      Soft, editorial visual styles.
  *   - 'cache_warming'      Pre-populate cache after flush.
+ *   - 'live_counts'        Live facet counts for the current selection.
+ *   - 'saved_presets'      Shoppers save and reapply filter combinations.
+ *   - 'analytics'          Storefront analytics events and zero-result report.
+ *   - 'price_histogram'    Product counts per price bucket above the price slider.
  *
  * @param string $feature Feature identifier.
  * @return bool True if the feature is enabled.
@@ -87,10 +96,13 @@ function is_feature_enabled( string $feature ): bool {
 /**
  * Get available product categories for filtering.
  *
- * Returns only categories that have products assigned.
- * Results are cached to avoid repeated database queries.
+ * Returns only categories that have products assigned, plus the
+ * ancestors of those categories. Results are cached to avoid
+ * repeated database queries.
  *
- * @param bool $hierarchical Whether to return hierarchical structure.
+ * @param bool $hierarchical Whether to return a nested tree (each
+ *                           category has a 'children' list, to any
+ *                           depth) or a flat list.
  * @return array Array of category data.
  */
 function get_filter_categories( bool $hierarchical = true ): array {
@@ -105,24 +117,23 @@ function get_filter_categories( bool $hierarchical = true ): array {
 		}
 	}
 
-	$args = [
-		'taxonomy'   => 'product_cat',
-		'hide_empty' => true,
-		'orderby'    => 'name',
-		'order'      => 'ASC',
-	];
-
-	if ( $hierarchical ) {
-		$args['parent'] = 0;
-	}
-
-	$terms = get_terms( $args );
+	// One query for the whole taxonomy. With 'hierarchical' (the default
+	// for product_cat), empty parents of non-empty categories are kept.
+	$terms = get_terms(
+		[
+			'taxonomy'   => 'product_cat',
+			'hide_empty' => true,
+			'orderby'    => 'name',
+			'order'      => 'ASC',
+		]
+	);
 
 	if ( is_wp_error( $terms ) ) {
 		return [];
 	}
 
-	$categories = [];
+	$by_parent = [];
+	$term_ids  = wp_list_pluck( $terms, 'term_id' );
 
 	foreach ( $terms as $term ) {
 		// Note: 'count' is included for Pro (live term counts).
@@ -134,36 +145,21 @@ function get_filter_categories( bool $hierarchical = true ): array {
 			'count' => $term->count,
 		];
 
-		// Get children if hierarchical.
-		if ( $hierarchical ) {
-			$children = get_terms(
-				[
-					'taxonomy'   => 'product_cat',
-					'hide_empty' => true,
-					'parent'     => $term->term_id,
-					'orderby'    => 'name',
-					'order'      => 'ASC',
-				]
-			);
-
-			if ( ! is_wp_error( $children ) && ! empty( $children ) ) {
-				$category['children'] = array_map(
-					function ( $child ) {
-						return [
-							'id'    => $child->term_id,
-							'name'  => $child->name,
-							'slug'  => $child->slug,
-							'count' => $child->count,
-						];
-					},
-					$children
-				);
-			}
+		if ( ! $hierarchical ) {
+			$by_parent[0][] = $category;
+			continue;
 		}
 
-		$categories[] = $category;
+		// Terms whose parent was filtered out are shown at the top level.
+		$parent = in_array( $term->parent, $term_ids, true ) ? $term->parent : 0;
+
+		$by_parent[ $parent ][] = $category;
 	}
 
+	$categories = $hierarchical
+		? build_category_tree( $by_parent, 0 )
+		: ( $by_parent[0] ?? [] );
+
 	// Pro feature — cache result for 1 hour.
 	if ( is_feature_enabled( 'caching' ) ) {
 		set_transient( $cache_key, $categories, WFF_CACHE_TTL );
@@ -172,6 +168,221 @@ function get_filter_categories( bool $hierarchical = true ): array {
 	return $categories;
 }
 
+/**
+ * Nest categories under their parents.
+ *
+ * @param array $by_parent Category data grouped by parent term ID.
+ * @param int   $parent    Parent term ID to build the branch for.
+ * @return array Categories, each with a 'children' list when it has any.
+ */
+function build_category_tree( array $by_parent, int $parent ): array {
+	$branch = [];
+
+	foreach ( $by_parent[ $parent ] ?? [] as $category ) {
+		$children = build_category_tree( $by_parent, $category['id'] );
+
+		if ( ! empty( $children ) ) {
+			$category['children'] = $children;
+		}
+
+		$branch[] = $category;
+	}
+
+	return $branch;
+}
+
+/**
+ * Get the IDs of all descendants of a category.
+ *
+ * @param array $category Category from get_filter_categories().
+ * @return int[] Term IDs of children, grandchildren, etc.
+ */
+function get_category_descendant_ids( array $category ): array {
+	$ids = [];
+
+	foreach ( $category['children'] ?? [] as $child ) {
+		$ids[] = $child['id'];
+		$ids   = array_merge( $ids, get_category_descendant_ids( $child ) );
+	}
+
+	return $ids;
+}
+
+/**
+ * Output a category tree branch for the filter form.
+ *
+ * Loads templates/category-tree.php (theme-overridable), which calls
+ * this function again for each level of children.
+ *
+ * @param array  $categories       Categories from get_filter_categories().
+ * @param array  $selected         Selected category IDs.
+ * @param bool   $include_children Whether a selected category includes its
+ *                                 descendants. Descendants of a selected
+ *                                 category are then rendered checked too.
+ * @param bool   $parent_checked   Whether the parent of this branch is checked.
+ * @param int    $depth            Nesting level, 0 for top-level categories.
+ * @param int    $max_terms        Top-level categories shown before "Show more",
+ *                                 0 for all.
+ * @param string $id_prefix        Block instance ID, keeps branch IDs unique
+ *                                 when a page has several filter blocks.
+ * @return void
+ */
+function render_category_tree( array $categories, array $selected, bool $include_children, bool $parent_checked = false, int $depth = 0, int $max_terms = 0, string $id_prefix = 'wff' ): void {
+	// Overflowing categories stay visible while one of them is selected.
+	$show_all_terms = 0 === $depth && has_selected_overflow( $categories, $selected, $max_terms );
+
+	include get_template_path( 'category-tree.php' );
+}
+
+/**
+ * Get the filter groups to display, in order.
+ *
+ * Applies a block's group configuration to the groups available in
+ * the store. Groups missing from the configuration (e.g. an attribute
+ * added after the block was set up) are appended in default order;
+ * configured groups that no longer exist are ignored.
+ *
+ * @param array $config Block 'filterGroups' attribute. List of
+ *                      [ id, enabled, label, collapsed, maxTerms, match ].
+ *                      'match' ('any' or 'all') only applies to
+ *                      attribute groups.
+ *                      Ids: 'search', 'categories', 'attribute:{taxonomy}',
+ *                      'status', 'rating', 'price'.
+ * @return array Enabled groups, each with id, type, label, collapsed,
+ *               max_terms and, for attribute groups, attribute data
+ *               and match mode.
+ */
+function get_filter_groups( array $config = [] ): array {
+	$defaults = [
+		'collapsed' => false,
+		'max_terms' => 0,
+	];
+
+	$available = [
+		'search'     => [
+			'type'  => 'search',
+			'label' => __( 'Search products', 'woo-fast-filter' ),
+		],
+		'categories' => [
+			'type'  => 'categories',
+			'label' => __( 'Categories', 'woo-fast-filter' ),
+		],
+	];
+
+	foreach ( get_filter_attributes() as $attribute ) {
+		$available[ 'attribute:' . $attribute['taxonomy'] ] = [
+			'type'      => 'attribute',
+			'label'     => $attribute['name'],
+			'attribute' => $attribute,
+			'match'     => 'any',
+		];
+	}
+
+	$available['status'] = [
+		'type'  => 'status',
+		'label' => __( 'Availability', 'woo-fast-filter' ),
+	];
+	$available['rating'] = [
+		'type'  => 'rating',
+		'label' => __( 'Rating', 'woo-fast-filter' ),
+	];
+	$available['price']  = [
+		'type'  => 'price',
+		'label' => __( 'Price', 'woo-fast-filter' ),
+	];
+
+	$groups = [];
+
+	foreach ( $config as $saved ) {
+		$id = is_array( $saved ) && isset( $saved['id'] ) ? (string) $saved['id'] : '';
+
+		if ( ! isset( $available[ $id ] ) ) {
+			continue;
+		}
+
+		$group = array_merge( $defaults, $available[ $id ], [ 'id' => $id ] );
+		unset( $available[ $id ] );
+
+		if ( isset( $saved['enabled'] ) && ! $saved['enabled'] ) {
+			continue;
+		}
+
+		$label = isset( $saved['label'] ) ? sanitize_text_field( (string) $saved['label'] ) : '';
+		if ( '' !== $label ) {
+			$group['label'] = $label;
+		}
+
+		$group['collapsed'] = ! empty( $saved['collapsed'] );
+		$group['max_terms'] = isset( $saved['maxTerms'] ) ? absint( $saved['maxTerms'] ) : 0;
+
+		if ( 'attribute' === $group['type'] && isset( $saved['match'] ) && 'all' === $saved['match'] ) {
+			$group['match'] = 'all';
+		}
+
+		$groups[] = $group;
+	}
+
+	foreach ( $available as $id => $group ) {
+		$groups[] = array_merge( $defaults, $group, [ 'id' => $id ] );
+	}
+
+	return $groups;
+}
+
+/**
+ * Check whether a selected term is past a group's visible limit.
+ *
+ * @param array $terms     Terms or categories, in display order.
+ * @param array $selected  Selected term IDs.
+ * @param int   $max_terms Visible limit, 0 for none.
+ * @return bool True when a hidden term (or a subcategory of one) is selected.
+ */
+function has_selected_overflow( array $terms, array $selected, int $max_terms ): bool {
+	if ( $max_terms <= 0 || empty( $selected ) ) {
+		return false;
+	}
+
+	foreach ( array_slice( $terms, $max_terms ) as $term ) {
+		$ids = array_merge( [ $term['id'] ], get_category_descendant_ids( $term ) );
+
+		if ( array_intersect( $ids, $selected ) ) {
+			return true;
+		}
+	}
+
+	return false;
+}
+
+/**
+ * Output the "Show more" toggle for a group with a visible limit.
+ *
+ * JS toggles the group's .wff-term-overflow items and swaps the
+ * label between the data-label-more and data-label-less values.
+ *
+ * @param array $terms     Terms or top-level categories of the group.
+ * @param array $selected  Selected term IDs.
+ * @param int   $max_terms Visible limit, 0 for none.
+ * @return void
+ */
+function render_show_more_button( array $terms, array $selected, int $max_terms ): void {
+	if ( $max_terms <= 0 || count( $terms ) <= $max_terms ) {
+		return;
+	}
+
+	$expanded   = has_selected_overflow( $terms, $selected, $max_terms );
+	/* translators: %d: number of hidden filter options. */
+	$label_more = sprintf( __( 'Show %d more', 'woo-fast-filter' ), count( $terms ) - $max_terms );
+	$label_less = __( 'Show less', 'woo-fast-filter' );
+
+	printf(
+		'<button type="button" class="wff-show-more" aria-expanded="%1$s" data-label-more="%2$s" data-label-less="%3$s">%4$s</button>',
+		esc_attr( $expanded ? 'true' : 'false' ),
+		esc_attr( $label_more ),
+		esc_attr( $label_less ),
+		esc_html( $expanded ? $label_less : $label_more )
+	);
+}
+
 /**
  * Get available product attributes for filtering.
  *
@@ -212,6 +423,8 @@ function get_filter_attributes(): array {
 			continue;
 		}
 
+		$display = get_attribute_display_type( $attribute );
+
 		// Note: term 'count' is included for Pro (live term counts).
 		// Free hides counts in template via is_pro_active() check.
 		$attributes[] = [
@@ -220,13 +433,15 @@ function get_filter_attributes(): array {
 			'slug'     => $attribute->attribute_name,
 			'taxonomy' => $taxonomy,
 			'type'     => $attribute->attribute_type,
+			'display'  => $display,
 			'terms'    => array_map(
-				function ( $term ) {
+				function ( $term ) use ( $display ) {
 					return [
-						'id'    => $term->term_id,
-						'name'  => $term->name,
-						'slug'  => $term->slug,
-						'count' => $term->count,
+						'id'     => $term->term_id,
+						'name'   => $term->name,
+						'slug'   => $term->slug,
+						'count'  => $term->count,
+						'swatch' => get_term_swatch( $term, $display ),
 					];
 				},
 				$terms
@@ -242,13 +457,88 @@ function get_filter_attributes(): array {
 	return $attributes;
 }
 
+/**
+ * Get how an attribute's terms are displayed in the filter.
+ *
+ * Maps the WooCommerce attribute type (extended by swatch plugins)
+ * to a filter display:
+ *   - 'color'    Round color swatches (hex from term meta).
+ *   - 'image'    Image swatches (attachment from term meta).
+ *   - 'button'   Compact pills, e.g. for sizes. 'label' is an alias.
+ *   - 'checkbox' Plain checkbox list (default, WooCommerce's 'select').
+ *
+ * @param object $attribute Attribute taxonomy object from wc_get_attribute_taxonomies().
+ * @return string Display type.
+ */
+function get_attribute_display_type( object $attribute ): string {
+	$map = [
+		'color'  => 'color',
+		'image'  => 'image',
+		'button' => 'button',
+		'label'  => 'button',
+	];
+
+	$display = $map[ $attribute->attribute_type ] ?? 'checkbox';
+
+	$display = (string) apply_filters( 'wff_attribute_display_type', $display, $attribute );
+
+	return in_array( $display, [ 'color', 'image', 'button', 'checkbox' ], true ) ? $display : 'checkbox';
+}
+
+/**
+ * Get the swatch value for an attribute term.
+ *
+ * Reads the term meta keys used by common swatch plugins. Keys can be
+ * changed with the 'wff_swatch_meta_keys' filter. Image swatches fall
+ * back to the term thumbnail.
+ *
+ * @param \WP_Term $term    Attribute term.
+ * @param string   $display Display type from get_attribute_display_type().
+ * @return string|null Hex color or image URL, null when not a swatch or unset.
+ */
+function get_term_swatch( \WP_Term $term, string $display ): ?string {
+	$meta_keys = apply_filters(
+		'wff_swatch_meta_keys',
+		[
+			'color' => 'product_attribute_color',
+			'image' => 'product_attribute_image',
+		]
+	);
+
+	if ( 'color' === $display ) {
+		$color = sanitize_hex_color( (string) get_term_meta( $term->term_id, $meta_keys['color'], true ) );
+		return $color ? $color : null;
+	}
+
+	if ( 'image' === $display ) {
+		$image_id = (int) get_term_meta( $term->term_id, $meta_keys['image'], true );
+
+		if ( ! $image_id ) {
+			$image_id = (int) get_term_meta( $term->term_id, 'thumbnail_id', true );
+		}
+
+		$url = $image_id ? wp_get_attachment_image_url( $image_id, 'thumbnail' ) : false;
+		return $url ? $url : null;
+	}
+
+	return null;
+}
+
 /**
  * Get price range for products.
  *
- * Returns min and max prices across all visible products.
- * Cached to avoid expensive queries.
+ * Returns min and max prices across all visible products, in the
+ * shopper's displayed currency and tax mode (see to_display_price()).
+ * The stored prices are cached to avoid expensive queries, and
+ * converted on every call.
  *
- * @return array Array with 'min' and 'max' keys.
+ * With the Pro 'price_histogram' feature, 'histogram' also lists how
+ * many products fall in each of a number of equal-width buckets
+ * between min and max (filterable via 'wff_price_histogram_buckets').
+ * A variable product counts once, at its lowest price.
+ *
+ * @return array Array with 'min', 'max' and 'histogram' keys. Each
+ *               histogram bucket has 'min', 'max' and 'count' keys.
  */
 function get_price_range(): array {
 	// Pro feature — transient caching disabled in Free.
@@ -257,7 +547,7 @@ function get_price_range(): array {
 		$cached    = get_transient( $cache_key );
 
 		if ( false !== $cached ) {
-			return $cached;
+			return display_price_range( $cached );
 		}
 	}
 
@@ -281,129 +571,1151 @@ function get_price_range(): array {
 	);
 
 	$range = [
-		'min' => $result ? (float) $result->min_price : 0,
-		'max' => $result ? (float) $result->max_price : 0,
+		'min'       => $result ? (float) $result->min_price : 0,
+		'max'       => $result ? (float) $result->max_price : 0,
+		'histogram' => [],
 	];
 
+	// Pro feature — price histogram disabled in Free.
+	if ( is_feature_enabled( 'price_histogram' ) && $range['max'] > $range['min'] ) {
+		$range['histogram'] = get_price_histogram( $range['min'], $range['max'] );
+	}
+
 	// Pro feature — cache result for 1 hour.
 	if ( is_feature_enabled( 'caching' ) ) {
 		set_transient( $cache_key, $range, WFF_CACHE_TTL );
 	}
 
+	return display_price_range( $range );
+}
+
+/**
+ * Convert a stored price range to displayed prices.
+ *
+ * @param array $range Range from the _price meta, as built by get_price_range().
+ * @return array The same range with every price passed through to_display_price().
+ */
+function display_price_range( array $range ): array {
+	$range['min'] = to_display_price( (float) $range['min'] );
+	$range['max'] = to_display_price( (float) $range['max'] );
+
+	$range['histogram'] = array_map(
+		function ( array $bucket ): array {
+			$bucket['min'] = to_display_price( (float) $bucket['min'] );
+			$bucket['max'] = to_display_price( (float) $bucket['max'] );
+			return $bucket;
+		},
+		$range['histogram'] ?? []
+	);
+
 	return $range;
 }
 
 /**
- * Sanitize filter parameters from request.
+ * Get the tax rates between stored and displayed prices.
  *
- * Ensures all filter values are properly sanitized before use.
+ * Stores can enter prices with or without tax and show them either
+ * way in the shop (WooCommerce > Settings > Tax). When both settings
+ * agree, stored and displayed prices are the same and no rates are
+ * returned. Like WooCommerce's own price filter, the rates are those
+ * of the tax class from 'woocommerce_price_filter_widget_tax_class'
+ * (standard by default): for the shopper's location when tax is
+ * added for display, for the store's base location when it's removed.
  *
- * @param array $params Raw parameters from request.
- * @return array Sanitized parameters.
+ * @return array Tax rates, as returned by WC_Tax, keyed by rate ID.
  */
-function sanitize_filter_params( array $params ): array {
-	$sanitized = [];
-
-	// Categories - array of integers.
-	if ( ! empty( $params['categories'] ) ) {
-		$sanitized['categories'] = array_filter(
-			array_map( 'absint', (array) $params['categories'] )
-		);
+function get_price_filter_tax_rates(): array {
+	if ( ! wc_tax_enabled() ) {
+		return [];
 	}
 
-	// Attributes - array of taxonomy => terms.
-	if ( ! empty( $params['attributes'] ) && is_array( $params['attributes'] ) ) {
-		$sanitized['attributes'] = [];
-		foreach ( $params['attributes'] as $taxonomy => $terms ) {
-			$taxonomy = sanitize_key( $taxonomy );
-			if ( taxonomy_exists( $taxonomy ) ) {
-				$sanitized['attributes'][ $taxonomy ] = array_filter(
-					array_map( 'absint', (array) $terms )
-				);
-			}
-		}
+	$display_incl = 'incl' === get_option( 'woocommerce_tax_display_shop' );
+	if ( wc_prices_include_tax() === $display_incl ) {
+		return [];
 	}
 
-	// Price range.
-	if ( isset( $params['min_price'] ) ) {
-		$sanitized['min_price'] = (float) $params['min_price'];
-	}
-	if ( isset( $params['max_price'] ) ) {
-		$sanitized['max_price'] = (float) $params['max_price'];
-	}
+	$tax_class = apply_filters( 'woocommerce_price_filter_widget_tax_class', '' );
 
-	// Pagination.
-	$sanitized['page']     = isset( $params['page'] ) ? max( 1, absint( $params['page'] ) ) : 1;
-	$sanitized['per_page'] = isset( $params['per_page'] ) ? min( 100, max( 1, absint( $params['per_page'] ) ) ) : 12;
+	return $display_incl ? \WC_Tax::get_rates( $tax_class ) : \WC_Tax::get_base_tax_rates( $tax_class );
+}
 
-	// Sorting.
-	$allowed_orderby = [ 'date', 'price', 'popularity', 'rating', 'title', 'menu_order' ];
-	$sanitized['orderby'] = isset( $params['orderby'] ) && in_array( $params['orderby'], $allowed_orderby, true )
-		? $params['orderby']
-		: 'menu_order';
+/**
+ * Get the exchange rate from the store currency to the displayed one.
+ *
+ * 1 unless a currency switcher hooks 'wff_price_exchange_rate', which
+ * also gets the displayed currency code, e.g.
+ * add_filter( 'wff_price_exchange_rate', fn( $rate, $currency ) => my_switcher_rate( $currency ), 10, 2 ).
+ *
+ * @return float Displayed price per unit of stored price.
+ */
+function get_price_exchange_rate(): float {
+	$rate = (float) apply_filters( 'wff_price_exchange_rate', 1.0, get_woocommerce_currency() );
 
-	$sanitized['order'] = isset( $params['order'] ) && strtoupper( $params['order'] ) === 'DESC'
-		? 'DESC'
-		: 'ASC';
+	return $rate > 0 ? $rate : 1.0;
+}
 
-	return $sanitized;
+/**
+ * Convert a stored _price to the price the shopper sees.
+ *
+ * Adds or removes tax to match the shop's tax display setting, then
+ * applies the exchange rate.
+ *
+ * @param float $price Stored price.
+ * @return float Displayed price.
+ */
+function to_display_price( float $price ): float {
+	$rates = get_price_filter_tax_rates();
+
+	if ( $rates ) {
+		$price = wc_prices_include_tax()
+			? $price - \WC_Tax::get_tax_total( \WC_Tax::calc_inclusive_tax( $price, $rates ) )
+			: $price + \WC_Tax::get_tax_total( \WC_Tax::calc_exclusive_tax( $price, $rates ) );
+	}
+
+	return $price * get_price_exchange_rate();
 }
 
 /**
- * Format product data for JSON response.
+ * Convert a price the shopper entered to the stored _price basis.
  *
- * Returns minimal data needed for frontend rendering.
- * Keeping response small improves transfer speed.
+ * The inverse of to_display_price(), used for the min_price and
+ * max_price filters.
  *
- * @param \WC_Product $product Product object.
- * @return array Formatted product data.
+ * @param float $price Displayed price.
+ * @return float Stored price.
  */
-function format_product_for_response( \WC_Product $product ): array {
-	$image_id = $product->get_image_id();
+function to_stored_price( float $price ): float {
+	$price = $price / get_price_exchange_rate();
+	$rates = get_price_filter_tax_rates();
+
+	if ( $rates ) {
+		$price = wc_prices_include_tax()
+			? $price + \WC_Tax::get_tax_total( \WC_Tax::calc_exclusive_tax( $price, $rates ) )
+			: $price - \WC_Tax::get_tax_total( \WC_Tax::calc_inclusive_tax( $price, $rates ) );
+	}
+
+	return $price;
+}
 
+/**
+ * Describe what displayed prices depend on for the current shopper.
+ *
+ * Results with price filters or price HTML for one currency or tax
+ * mode must not be served in another, so this goes into the cache
+ * keys of those queries.
+ *
+ * @return array Currency code, exchange rate and tax rate IDs.
+ */
+function get_price_context(): array {
 	return [
-		'id'        => $product->get_id(),
-		'name'      => $product->get_name(),
-		'slug'      => $product->get_slug(),
-		'permalink' => $product->get_permalink(),
-		'price'     => [
-			'regular' => $product->get_regular_price(),
-			'sale'    => $product->get_sale_price(),
-			'html'    => $product->get_price_html(),
-		],
-		'image'     => $image_id ? [
-			'src'    => wp_get_attachment_image_url( $image_id, 'woocommerce_thumbnail' ),
-			'srcset' => wp_get_attachment_image_srcset( $image_id, 'woocommerce_thumbnail' ),
-			'alt'    => get_post_meta( $image_id, '_wp_attachment_image_alt', true ),
-		] : null,
-		'rating'    => [
-			'average' => (float) $product->get_average_rating(),
-			'count'   => (int) $product->get_rating_count(),
-		],
-		'on_sale'   => $product->is_on_sale(),
-		'in_stock'  => $product->is_in_stock(),
+		'currency' => get_woocommerce_currency(),
+		'rate'     => get_price_exchange_rate(),
+		'tax'      => array_keys( get_price_filter_tax_rates() ),
 	];
 }
 
 /**
- * Generate cache key from filter parameters.
+ * Count products per price bucket.
  *
- * Creates a unique, consistent key for caching query results.
+ * Pro feature — backs the price histogram (disabled in Free).
  *
- * @param array $params Sanitized filter parameters.
- * @return string Cache key.
+ * @param float $min Lowest product price.
+ * @param float $max Highest product price.
+ * @return array List of buckets with 'min', 'max' and 'count' keys.
  */
-function generate_cache_key( array $params ): string {
-	// Sort arrays for consistent key generation.
-	if ( isset( $params['categories'] ) ) {
-		sort( $params['categories'] );
+function get_price_histogram( float $min, float $max ): array {
+	global $wpdb;
+
+	$buckets = max( 1, (int) apply_filters( 'wff_price_histogram_buckets', 20 ) );
+	$width   = ( $max - $min ) / $buckets;
+
+	// Variable products keep one _price row per variation price on the
+	// parent, so each product is counted once at its lowest price.
+	$rows = $wpdb->get_results(
+		$wpdb->prepare(
+			"
+			SELECT LEAST( FLOOR( ( prices.price - %f ) / %f ), %d ) AS bucket, COUNT(*) AS products
+			FROM (
+				SELECT p.ID, MIN( CAST( pm.meta_value AS DECIMAL(10,2) ) ) AS price
+				FROM {$wpdb->posts} p
+				INNER JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id
+				WHERE p.post_type = 'product'
+				AND p.post_status = 'publish'
+				AND pm.meta_key = '_price'
+				AND pm.meta_value != ''
+				AND pm.meta_value IS NOT NULL
+				GROUP BY p.ID
+			) AS prices
+			GROUP BY bucket
+			",
+			$min,
+			$width,
+			$buckets - 1
+		)
+	);
+
+	$counts = array_fill( 0, $buckets, 0 );
+	foreach ( $rows as $row ) {
+		$bucket = max( 0, (int) $row->bucket );
+		$counts[ $bucket ] += (int) $row->products;
 	}
-	if ( isset( $params['attributes'] ) ) {
-		ksort( $params['attributes'] );
-		foreach ( $params['attributes'] as &$terms ) {
-			sort( $terms );
-		}
+
+	$histogram = [];
+	foreach ( $counts as $index => $count ) {
+		$histogram[] = [
+			'min'   => $min + $index * $width,
+			'max'   => $buckets - 1 === $index ? $max : $min + ( $index + 1 ) * $width,
+			'count' => $count,
+		];
 	}
 
-	return 'wff_products_' . md5( wp_json_encode( $params ) );
+	return $histogram;
+}
+
+/**
+ * Get the price slider step.
+ *
+ * Follows the store's number of decimals (WooCommerce > Settings >
+ * General), so a store with 2 decimals steps by 0.01 and one with
+ * none by 1. Filterable via 'wff_price_step'.
+ *
+ * @return float Step between selectable prices.
+ */
+function get_price_step(): float {
+	$step = (float) apply_filters( 'wff_price_step', 1 / pow( 10, wc_get_price_decimals() ) );
+
+	return $step > 0 ? $step : 1.0;
+}
+
+/**
+ * Get the store's currency format for prices formatted in JS.
+ *
+ * Mirrors the settings wc_price() uses, so prices shown by the
+ * filter UI match the ones WooCommerce renders.
+ *
+ * @return array Symbol, position ('left', 'right', 'left_space' or
+ *               'right_space'), decimals, decimal and thousand
+ *               separators, and whether trailing zeros are trimmed.
+ */
+function get_currency_settings(): array {
+	return [
+		// Decode HTML entities so JS can use the raw symbol.
+		// WooCommerce returns entities like &#36; for $, which
+		// display as literal text when set via textContent in JS.
+		'symbol'            => html_entity_decode( get_woocommerce_currency_symbol(), ENT_QUOTES, 'UTF-8' ),
+		'position'          => get_option( 'woocommerce_currency_pos', 'left' ),
+		'decimals'          => wc_get_price_decimals(),
+		'decimalSeparator'  => wc_get_price_decimal_separator(),
+		'thousandSeparator' => wc_get_price_thousand_separator(),
+		'trimZeros'         => (bool) apply_filters( 'woocommerce_price_trim_zeros', false ),
+	];
+}
+
+/**
+ * Format a price as plain text, the way wc_price() shows it.
+ *
+ * For attributes and JSON, where wc_price()'s markup can't be used.
+ *
+ * @param float $price Price.
+ * @return string Formatted price, e.g. "10,00 €".
+ */
+function format_price_text( float $price ): string {
+	return html_entity_decode( wp_strip_all_tags( wc_price( $price ) ), ENT_QUOTES, 'UTF-8' );
+}
+
+/**
+ * Get live facet counts for the current filter selection.
+ *
+ * Pro feature — backs the /facets endpoint (disabled in Free).
+ *
+ * Each group is counted against every active filter except its own
+ * selection, so options within a group never zero each other out
+ * (OR logic) while still reflecting the other groups (AND logic).
+ * "Match all" attribute groups keep their own selection, since each
+ * further option narrows the results there. Groups without a
+ * selection share the same base product set, which is only queried
+ * once.
+ *
+ * @param array $params Sanitized filter parameters.
+ * @return array Counts keyed by term ID: 'categories' => [ id => n ],
+ *               'attributes' => [ taxonomy => [ id => n ] ].
+ */
+function get_facet_counts( array $params ): array {
+	$id_sets = [];
+
+	$get_ids = function ( array $base ) use ( &$id_sets ): array {
+		$key = generate_cache_key( $base );
+
+		if ( ! isset( $id_sets[ $key ] ) ) {
+			$id_sets[ $key ] = ( new Query_Builder( $base ) )->get_ids();
+		}
+
+		return $id_sets[ $key ];
+	};
+
+	$base = $params;
+	unset( $base['categories'] );
+
+	$counts = [
+		'categories' => count_products_by_term( 'product_cat', $get_ids( $base ), $params['include_children'] ?? true ),
+		'attributes' => [],
+	];
+
+	foreach ( get_filter_attributes() as $attribute ) {
+		$taxonomy = $attribute['taxonomy'];
+		$base     = $params;
+
+		if ( 'all' !== ( $params['attribute_match'][ $taxonomy ] ?? 'any' ) ) {
+			unset( $base['attributes'][ $taxonomy ] );
+		}
+
+		$counts['attributes'][ $taxonomy ] = count_products_by_term( $taxonomy, $get_ids( $base ) );
+	}
+
+	return $counts;
+}
+
+/**
+ * Count products per term within a set of products.
+ *
+ * Single aggregate query against the term relationship tables,
+ * instead of one product query per term.
+ *
+ * @param string $taxonomy          Taxonomy name.
+ * @param int[]  $product_ids       Product IDs to count within.
+ * @param bool   $include_ancestors Whether products also count towards
+ *                                  ancestor terms. Matches the tax query,
+ *                                  where selecting a parent category
+ *                                  includes its children.
+ * @return array Product count keyed by term ID. Terms without products are omitted.
+ */
+function count_products_by_term( string $taxonomy, array $product_ids, bool $include_ancestors = false ): array {
+	global $wpdb;
+
+	if ( empty( $product_ids ) ) {
+		return [];
+	}
+
+	$ids_sql = implode( ',', array_map( 'absint', $product_ids ) );
+
+	if ( ! $include_ancestors ) {
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- IDs are cast to integers above.
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"
+				SELECT tt.term_id, COUNT( DISTINCT tr.object_id ) AS product_count
+				FROM {$wpdb->term_relationships} tr
+				INNER JOIN {$wpdb->term_taxonomy} tt ON tr.term_taxonomy_id = tt.term_taxonomy_id
+				WHERE tt.taxonomy = %s
+				AND tr.object_id IN ( {$ids_sql} )
+				GROUP BY tt.term_id
+				",
+				$taxonomy
+			)
+		);
+		// phpcs:enable
+
+		$counts = [];
+		foreach ( $rows as $row ) {
+			$counts[ (int) $row->term_id ] = (int) $row->product_count;
+		}
+
+		return $counts;
+	}
+
+	// Hierarchical: roll each product up into its term's ancestors,
+	// de-duplicating products assigned to both a parent and a child.
+	// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- IDs are cast to integers above.
+	$rows = $wpdb->get_results(
+		$wpdb->prepare(
+			"
+			SELECT tt.term_id, tr.object_id
+			FROM {$wpdb->term_relationships} tr
+			INNER JOIN {$wpdb->term_taxonomy} tt ON tr.term_taxonomy_id = tt.term_taxonomy_id
+			WHERE tt.taxonomy = %s
+			AND tr.object_id IN ( {$ids_sql} )
+			",
+			$taxonomy
+		)
+	);
+	// phpcs:enable
+
+	$products_by_term = [];
+	foreach ( $rows as $row ) {
+		$term_id  = (int) $row->term_id;
+		$term_ids = array_merge( [ $term_id ], get_ancestors( $term_id, $taxonomy, 'taxonomy' ) );
+
+		foreach ( $term_ids as $id ) {
+			$products_by_term[ $id ][ (int) $row->object_id ] = true;
+		}
+	}
+
+	return array_map( 'count', $products_by_term );
+}
+
+/**
+ * Get typeahead suggestions for a search term.
+ *
+ * Returns matching product names and categories. Kept separate from
+ * the /products query so suggestions stay cheap: IDs and names only.
+ *
+ * @param string $search Sanitized search term.
+ * @param int    $limit  Maximum results per type.
+ * @return array Array with 'products' and 'categories' keys.
+ */
+function get_search_suggestions( string $search, int $limit = 5 ): array {
+	// Only products shoppers could find with the store's own search:
+	// hidden and "Shop only" products, and out-of-stock ones when the
+	// store hides them, are left out.
+	$args = [
+		'status'     => 'publish',
+		'visibility' => 'search',
+		's'          => $search,
+		'limit'      => $limit,
+		'return'     => 'ids',
+		'orderby'    => 'relevance',
+	];
+
+	if ( 'yes' === get_option( 'woocommerce_hide_out_of_stock_items' ) ) {
+		$args['stock_status'] = 'instock';
+	}
+
+	$product_ids = wc_get_products( $args );
+
+	$terms = get_terms(
+		[
+			'taxonomy'   => 'product_cat',
+			'hide_empty' => true,
+			'name__like' => $search,
+			'number'     => $limit,
+			'orderby'    => 'count',
+			'order'      => 'DESC',
+		]
+	);
+
+	return [
+		'products'   => array_map(
+			function ( $id ) {
+				return [
+					'id'        => (int) $id,
+					'name'      => get_the_title( $id ),
+					'permalink' => get_permalink( $id ),
+				];
+			},
+			$product_ids
+		),
+		'categories' => is_wp_error( $terms ) ? [] : array_map(
+			function ( $term ) {
+				return [
+					'id'   => $term->term_id,
+					'name' => $term->name,
+				];
+			},
+			$terms
+		),
+	];
+}
+
+/**
+ * Sanitize filter parameters from request.
+ *
+ * Ensures all filter values are properly sanitized before use.
+ *
+ * @param array $params Raw parameters from request.
+ * @return array Sanitized parameters.
+ */
+function sanitize_filter_params( array $params ): array {
+	$sanitized = [];
+
+	// Categories - array of integers.
+	if ( ! empty( $params['categories'] ) ) {
+		$sanitized['categories'] = array_filter(
+			array_map( 'absint', (array) $params['categories'] )
+		);
+	}
+
+	// Attributes - array of taxonomy => terms.
+	if ( ! empty( $params['attributes'] ) && is_array( $params['attributes'] ) ) {
+		$sanitized['attributes'] = [];
+		foreach ( $params['attributes'] as $taxonomy => $terms ) {
+			$taxonomy = sanitize_key( $taxonomy );
+			if ( taxonomy_exists( $taxonomy ) ) {
+				$sanitized['attributes'][ $taxonomy ] = array_filter(
+					array_map( 'absint', (array) $terms )
+				);
+			}
+		}
+	}
+
+	// Attribute match modes - taxonomy => 'all'. 'any' is the default
+	// and is left out, so existing cache keys don't change.
+	if ( ! empty( $params['attribute_match'] ) && is_array( $params['attribute_match'] ) ) {
+		foreach ( $params['attribute_match'] as $taxonomy => $mode ) {
+			$taxonomy = sanitize_key( $taxonomy );
+			if ( 'all' === $mode && taxonomy_exists( $taxonomy ) ) {
+				$sanitized['attribute_match'][ $taxonomy ] = 'all';
+			}
+		}
+	}
+
+	// Price range.
+	if ( isset( $params['min_price'] ) ) {
+		$sanitized['min_price'] = (float) $params['min_price'];
+	}
+	if ( isset( $params['max_price'] ) ) {
+		$sanitized['max_price'] = (float) $params['max_price'];
+	}
+
+	// Keyword search - plain text, capped to keep queries cheap.
+	if ( isset( $params['search'] ) && is_scalar( $params['search'] ) ) {
+		$search = mb_substr( trim( sanitize_text_field( (string) $params['search'] ) ), 0, 100 );
+		if ( '' !== $search ) {
+			$sanitized['search'] = $search;
+		}
+	}
+
+	// Product status toggles. Only set when on, like render below.
+	foreach ( [ 'in_stock', 'on_sale' ] as $key ) {
+		if ( isset( $params[ $key ] ) && is_scalar( $params[ $key ] ) && rest_sanitize_boolean( $params[ $key ] ) ) {
+			$sanitized[ $key ] = true;
+		}
+	}
+
+	// Whether a category also matches its descendants. Only set when
+	// off, WP_Tax_Query's own default being on.
+	if ( isset( $params['include_children'] ) && is_scalar( $params['include_children'] ) && ! rest_sanitize_boolean( $params['include_children'] ) ) {
+		$sanitized['include_children'] = false;
+	}
+
+	// Minimum average rating, 1-5 stars.
+	if ( isset( $params['min_rating'] ) && is_scalar( $params['min_rating'] ) ) {
+		$min_rating = absint( $params['min_rating'] );
+		if ( $min_rating >= 1 && $min_rating <= 5 ) {
+			$sanitized['min_rating'] = $min_rating;
+		}
+	}
+
+	// Archive base constraint: the category, tag or attribute archive
+	// the filter runs on. Any product taxonomy is accepted.
+	if ( isset( $params['archive_taxonomy'], $params['archive_term'] ) && is_scalar( $params['archive_taxonomy'] ) && is_scalar( $params['archive_term'] ) ) {
+		$taxonomy = sanitize_key( (string) $params['archive_taxonomy'] );
+		$term_id  = absint( $params['archive_term'] );
+
+		if ( $term_id && is_object_in_taxonomy( 'product', $taxonomy ) ) {
+			$sanitized['archive'] = [
+				'taxonomy' => $taxonomy,
+				'term'     => $term_id,
+			];
+		}
+	}
+
+	// Render mode. Only set when non-default so existing cache keys don't change.
+	if ( isset( $params['render'] ) && 'html' === $params['render'] ) {
+		$sanitized['render'] = 'html';
+	}
+
+	// List view details. Same as render: only set when requested.
+	if ( isset( $params['details'] ) && rest_sanitize_boolean( $params['details'] ) ) {
+		$sanitized['details'] = true;
+	}
+
+	// Pagination.
+	$sanitized['page']     = isset( $params['page'] ) ? max( 1, absint( $params['page'] ) ) : 1;
+	$sanitized['per_page'] = isset( $params['per_page'] ) ? min( 100, max( 1, absint( $params['per_page'] ) ) ) : 12;
+
+	// Sorting.
+	$allowed_orderby = [ 'date', 'price', 'popularity', 'rating', 'title', 'menu_order' ];
+	$sanitized['orderby'] = isset( $params['orderby'] ) && in_array( $params['orderby'], $allowed_orderby, true )
+		? $params['orderby']
+		: 'menu_order';
+
+	$sanitized['order'] = isset( $params['order'] ) && strtoupper( $params['order'] ) === 'DESC'
+		? 'DESC'
+		: 'ASC';
+
+	return $sanitized;
+}
+
+/**
+ * Get the page sizes shoppers can choose from.
+ *
+ * Filterable via 'wff_per_page_options'. Sizes above the 100
+ * /products accepts are capped.
+ *
+ * @return int[] Page sizes, smallest first.
+ */
+function get_per_page_options(): array {
+	$options = array_map(
+		function ( $size ): int {
+			return min( 100, absint( $size ) );
+		},
+		(array) apply_filters( 'wff_per_page_options', [ 12, 24, 48 ] )
+	);
+	$options = array_values( array_unique( array_filter( $options ) ) );
+	sort( $options );
+
+	return $options ? $options : [ 12 ];
+}
+
+/**
+ * Get the shopper's page size and results view.
+ *
+ * The frontend stores both in cookies (wff_per_page and wff_view)
+ * when the shopper changes them, so the server-rendered first page
+ * uses them too.
+ *
+ * @return array 'per_page' (one of get_per_page_options()) and 'view'
+ *               ('grid' or 'list').
+ */
+function get_results_preferences(): array {
+	$options  = get_per_page_options();
+	$per_page = isset( $_COOKIE['wff_per_page'] ) && is_scalar( $_COOKIE['wff_per_page'] ) ? absint( $_COOKIE['wff_per_page'] ) : 0;
+	$view     = isset( $_COOKIE['wff_view'] ) && is_scalar( $_COOKIE['wff_view'] ) ? sanitize_key( wp_unslash( $_COOKIE['wff_view'] ) ) : '';
+
+	return [
+		'per_page' => in_array( $per_page, $options, true ) ? $per_page : $options[0],
+		'view'     => 'list' === $view ? 'list' : 'grid',
+	];
+}
+
+/**
+ * Get filter parameters from the current page request.
+ *
+ * Reads the same query args the frontend writes to the address bar
+ * (and that the filter form submits without JS), then maps them to
+ * the REST parameter format before sanitizing.
+ *
+ * Differences from the REST params:
+ *   - 'wff_page' and 'wff_search' are used because WordPress reserves
+ *     'page' and 'search'.
+ *   - 'orderby' holds the sort select value, e.g. 'price-desc'.
+ *   - 'wff_per_page' is the page size select; without it, the
+ *     shopper's saved page size is used (get_results_preferences()).
+ *
+ * @return array Sanitized parameters.
+ */
+function get_request_filter_params(): array {
+	// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only public filter args.
+	$raw = wp_unslash( $_GET );
+
+	$params = [
+		'categories' => $raw['categories'] ?? [],
+		'attributes' => $raw['attributes'] ?? [],
+		'page'       => isset( $raw['wff_page'] ) && is_scalar( $raw['wff_page'] ) ? $raw['wff_page'] : 1,
+		'search'     => $raw['wff_search'] ?? '',
+		'per_page'   => get_results_preferences()['per_page'],
+	];
+
+	$per_page = isset( $raw['wff_per_page'] ) && is_scalar( $raw['wff_per_page'] ) ? absint( $raw['wff_per_page'] ) : 0;
+	if ( in_array( $per_page, get_per_page_options(), true ) ) {
+		$params['per_page'] = $per_page;
+	}
+
+	// Empty inputs from a plain GET submit mean "no bound"/"any".
+	foreach ( [ 'min_price', 'max_price', 'in_stock', 'on_sale', 'min_rating' ] as $key ) {
+		if ( isset( $raw[ $key ] ) && is_scalar( $raw[ $key ] ) && '' !== $raw[ $key ] ) {
+			$params[ $key ] = $raw[ $key ];
+		}
+	}
+
+	$sort = isset( $raw['orderby'] ) && is_scalar( $raw['orderby'] ) ? sanitize_key( $raw['orderby'] ) : 'menu_order';
+
+	if ( 'price-asc' === $sort || 'price-desc' === $sort ) {
+		$params['orderby'] = 'price';
+		$params['order']   = 'price-desc' === $sort ? 'DESC' : 'ASC';
+	} else {
+		$params['orderby'] = $sort;
+	}
+
+	return sanitize_filter_params( $params );
+}
+
+/**
+ * Get the term of the product archive being viewed.
+ *
+ * Archive mode sends it with every request, so results stay within
+ * the current category, tag or attribute archive.
+ *
+ * @return array [ 'taxonomy' => string, 'term' => int ], or an empty
+ *               array outside product taxonomy archives.
+ */
+function get_archive_constraint(): array {
+	if ( ! is_product_taxonomy() ) {
+		return [];
+	}
+
+	$term = get_queried_object();
+	if ( ! $term instanceof \WP_Term ) {
+		return [];
+	}
+
+	return [
+		'taxonomy' => $term->taxonomy,
+		'term'     => $term->term_id,
+	];
+}
+
+/**
+ * Find the filter block in archive mode shown on shop pages.
+ *
+ * The main query runs before any block renders, so this looks where
+ * the block can sit around the shop loop: block widgets in active
+ * sidebars, the shop page and, in block themes, the product archive
+ * templates. Template parts and synced patterns are followed.
+ *
+ * Blocks placed any other way can be reported with the
+ * 'wff_archive_mode_block' filter, by returning their attributes.
+ *
+ * @return array|null The block's attributes, or null if none was found.
+ */
+function get_archive_mode_block(): ?array {
+	static $found = false;
+
+	if ( false === $found ) {
+		$contents = [];
+
+		$widgets = get_option( 'widget_block', [] );
+		foreach ( wp_get_sidebars_widgets() as $sidebar => $widget_ids ) {
+			if ( 'wp_inactive_widgets' === $sidebar || ! is_array( $widget_ids ) ) {
+				continue;
+			}
+			foreach ( $widget_ids as $widget_id ) {
+				if ( preg_match( '/^block-(\d+)$/', (string) $widget_id, $matches ) && isset( $widgets[ $matches[1] ]['content'] ) ) {
+					$contents[] = (string) $widgets[ $matches[1] ]['content'];
+				}
+			}
+		}
+
+		$shop_page = wc_get_page_id( 'shop' );
+		if ( $shop_page > 0 ) {
+			$contents[] = (string) get_post_field( 'post_content', $shop_page );
+		}
+
+		if ( wp_is_block_theme() ) {
+			$templates = get_block_templates(
+				[
+					'slug__in' => [
+						'archive-product',
+						'taxonomy-product_cat',
+						'taxonomy-product_tag',
+						'taxonomy-product_attribute',
+						'product-search-results',
+					],
+				]
+			);
+			foreach ( $templates as $template ) {
+				$contents[] = (string) $template->content;
+			}
+		}
+
+		$found = null;
+		foreach ( $contents as $content ) {
+			$found = find_archive_mode_block( parse_blocks( $content ) );
+			if ( null !== $found ) {
+				break;
+			}
+		}
+	}
+
+	$attributes = apply_filters( 'wff_archive_mode_block', $found );
+
+	return is_array( $attributes ) ? $attributes : null;
+}
+
+/**
+ * Search parsed blocks for a filter block in archive mode.
+ *
+ * @param array $blocks Blocks from parse_blocks().
+ * @param int   $depth  Template parts and patterns followed so far.
+ * @return array|null The first such block's attributes, or null.
+ */
+function find_archive_mode_block( array $blocks, int $depth = 0 ): ?array {
+	foreach ( $blocks as $block ) {
+		if ( 'woo-fast-filter/product-filter' === $block['blockName'] && ! empty( $block['attrs']['archiveMode'] ) ) {
+			return $block['attrs'];
+		}
+
+		$inner = $block['innerBlocks'];
+
+		// Depth limit: a pattern may end up including itself.
+		if ( $depth < 5 ) {
+			if ( 'core/template-part' === $block['blockName'] && ! empty( $block['attrs']['slug'] ) ) {
+				$part = get_block_template( ( $block['attrs']['theme'] ?? get_stylesheet() ) . '//' . $block['attrs']['slug'], 'wp_template_part' );
+				if ( $part ) {
+					$inner = array_merge( $inner, parse_blocks( (string) $part->content ) );
+				}
+			} elseif ( 'core/block' === $block['blockName'] && ! empty( $block['attrs']['ref'] ) ) {
+				$inner = array_merge( $inner, parse_blocks( (string) get_post_field( 'post_content', (int) $block['attrs']['ref'] ) ) );
+			}
+		}
+
+		$attributes = $inner ? find_archive_mode_block( $inner, $depth + 1 ) : null;
+		if ( null !== $attributes ) {
+			return $attributes;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Add a block's query settings to filter parameters.
+ *
+ * "Include subcategories" and the groups' match modes are block
+ * settings, so they are not in the URL. Shared by the block template
+ * and the archive mode main query, so both match the AJAX results.
+ *
+ * @param array $params           Sanitized filter parameters.
+ * @param bool  $include_children Whether categories include their subcategories.
+ * @param array $filter_groups    Groups from get_filter_groups().
+ * @return array Parameters with include_children and attribute_match.
+ */
+function apply_block_query_settings( array $params, bool $include_children, array $filter_groups ): array {
+	if ( ! $include_children ) {
+		$params['include_children'] = false;
+	}
+
+	foreach ( $filter_groups as $group ) {
+		if ( 'attribute' === $group['type'] && 'all' === $group['match'] ) {
+			$params['attribute_match'][ $group['attribute']['taxonomy'] ] = 'all';
+		}
+	}
+
+	return $params;
+}
+
+/**
+ * Get the element selectors of the theme's shop loop.
+ *
+ * Archive mode renders results into these elements instead of the
+ * block's own grid. Themes with custom loop markup can change them:
+ *   add_filter( 'wff_archive_selectors', function ( $selectors ) {
+ *       $selectors['products'] = '.my-grid';
+ *       return $selectors;
+ *   } );
+ *
+ * @return array Selectors keyed by 'products', 'result_count',
+ *               'pagination', 'ordering' and 'no_results'.
+ */
+function get_archive_selectors(): array {
+	return (array) apply_filters(
+		'wff_archive_selectors',
+		[
+			'products'     => 'ul.products',
+			'result_count' => '.woocommerce-result-count',
+			'pagination'   => '.woocommerce-pagination',
+			'ordering'     => '.woocommerce-ordering select.orderby',
+			'no_results'   => '.woocommerce-no-products-found',
+		]
+	);
+}
+
+/**
+ * Get the URL of a results page for the current filter state.
+ *
+ * Used by the server-rendered pagination links. The first page
+ * drops the arg so unpaginated URLs stay canonical.
+ *
+ * @param int $page Page number.
+ * @return string Page URL.
+ */
+function get_filter_page_url( int $page ): string {
+	if ( $page <= 1 ) {
+		return remove_query_arg( 'wff_page' );
+	}
+
+	return add_query_arg( 'wff_page', $page );
+}
+
+/**
+ * Get a shopper's saved filter presets.
+ *
+ * Pro feature — presets of logged-in shoppers are kept in user meta.
+ * Guests keep theirs in localStorage.
+ *
+ * @param int $user_id User ID.
+ * @return array List of presets, each with id, name and filters.
+ */
+function get_filter_presets( int $user_id ): array {
+	$presets = get_user_meta( $user_id, 'wff_filter_presets', true );
+
+	return is_array( $presets ) ? sanitize_filter_presets( $presets ) : [];
+}
+
+/**
+ * Replace a shopper's saved filter presets.
+ *
+ * @param int   $user_id User ID.
+ * @param array $presets Presets as sent by the frontend.
+ * @return array The presets as stored, after sanitizing.
+ */
+function save_filter_presets( int $user_id, array $presets ): array {
+	$presets = sanitize_filter_presets( $presets );
+	update_user_meta( $user_id, 'wff_filter_presets', $presets );
+
+	return $presets;
+}
+
+/**
+ * Sanitize a list of filter presets.
+ *
+ * Presets without an ID or name are dropped. The list is capped
+ * (20 by default, filterable via wff_max_filter_presets) so user
+ * meta can't grow without bounds.
+ *
+ * @param array $presets Raw presets, each with id, name and filters.
+ * @return array Sanitized presets.
+ */
+function sanitize_filter_presets( array $presets ): array {
+	$max       = max( 1, (int) apply_filters( 'wff_max_filter_presets', 20 ) );
+	$sanitized = [];
+
+	foreach ( $presets as $preset ) {
+		if ( ! is_array( $preset ) || ! is_scalar( $preset['id'] ?? null ) || ! is_scalar( $preset['name'] ?? null ) ) {
+			continue;
+		}
+
+		$id   = sanitize_key( (string) $preset['id'] );
+		$name = mb_substr( trim( sanitize_text_field( (string) $preset['name'] ) ), 0, 50 );
+		if ( '' === $id || '' === $name ) {
+			continue;
+		}
+
+		$sanitized[] = [
+			'id'      => $id,
+			'name'    => $name,
+			'filters' => sanitize_preset_filters( is_array( $preset['filters'] ?? null ) ? $preset['filters'] : [] ),
+		];
+
+		if ( count( $sanitized ) >= $max ) {
+			break;
+		}
+	}
+
+	return $sanitized;
+}
+
+/**
+ * Sanitize the filters of a saved preset.
+ *
+ * Presets store the filter values in the format the frontend's
+ * setFilters() takes, with every key present, so applying a preset
+ * replaces the whole filter state.
+ *
+ * @param array $filters Raw filter values.
+ * @return array Sanitized filter values.
+ */
+function sanitize_preset_filters( array $filters ): array {
+	$attributes = [];
+	if ( is_array( $filters['attributes'] ?? null ) ) {
+		foreach ( $filters['attributes'] as $taxonomy => $terms ) {
+			$taxonomy = sanitize_key( (string) $taxonomy );
+			$terms    = array_values( array_filter( array_map( 'absint', (array) $terms ) ) );
+			if ( $terms && taxonomy_exists( $taxonomy ) ) {
+				$attributes[ $taxonomy ] = $terms;
+			}
+		}
+	}
+
+	$scalar = function ( string $key ) use ( $filters ) {
+		return isset( $filters[ $key ] ) && is_scalar( $filters[ $key ] ) ? $filters[ $key ] : null;
+	};
+
+	$min_rating = absint( $scalar( 'min_rating' ) ?? 0 );
+	$min_price  = $scalar( 'min_price' );
+	$max_price  = $scalar( 'max_price' );
+
+	return [
+		'categories' => array_values( array_filter( array_map( 'absint', (array) ( $filters['categories'] ?? [] ) ) ) ),
+		'attributes' => $attributes,
+		'search'     => mb_substr( trim( sanitize_text_field( (string) ( $scalar( 'search' ) ?? '' ) ) ), 0, 100 ),
+		'in_stock'   => rest_sanitize_boolean( $scalar( 'in_stock' ) ?? false ),
+		'on_sale'    => rest_sanitize_boolean( $scalar( 'on_sale' ) ?? false ),
+		'min_rating' => $min_rating >= 1 && $min_rating <= 5 ? $min_rating : null,
+		'min_price'  => is_numeric( $min_price ) ? (float) $min_price : null,
+		'max_price'  => is_numeric( $max_price ) ? (float) $max_price : null,
+		'sort'       => sanitize_key( (string) ( $scalar( 'sort' ) ?? '' ) ),
+	];
+}
+
+/**
+ * Format product data for JSON response.
+ *
+ * Returns minimal data needed for frontend rendering.
+ * Keeping response small improves transfer speed.
+ *
+ * The list view also shows a short description, the SKU and the
+ * stock quantity; those are only added when $details is true.
+ *
+ * @param \WC_Product $product Product object.
+ * @param bool        $details Whether to add list view details.
+ * @return array Formatted product data.
+ */
+function format_product_for_response( \WC_Product $product, bool $details = false ): array {
+	$image_id = $product->get_image_id();
+
+	$data = [
+		'id'               => $product->get_id(),
+		'name'             => $product->get_name(),
+		'slug'             => $product->get_slug(),
+		'permalink'        => $product->get_permalink(),
+		'price'            => [
+			'regular' => $product->get_regular_price(),
+			'sale'    => $product->get_sale_price(),
+			'html'    => $product->get_price_html(),
+		],
+		'image'            => $image_id ? [
+			'src'    => wp_get_attachment_image_url( $image_id, 'woocommerce_thumbnail' ),
+			'srcset' => wp_get_attachment_image_srcset( $image_id, 'woocommerce_thumbnail' ),
+			'alt'    => get_post_meta( $image_id, '_wp_attachment_image_alt', true ),
+		] : null,
+		'rating'           => [
+			'average' => (float) $product->get_average_rating(),
+			'count'   => (int) $product->get_rating_count(),
+		],
+		'on_sale'          => $product->is_on_sale(),
+		'in_stock'         => $product->is_in_stock(),
+		// Cards add simple, purchasable products to the cart directly.
+		// Others link to the product page with WooCommerce's button
+		// text, e.g. "Select options" for variable products.
+		'type'             => $product->get_type(),
+		'purchasable'      => $product->is_purchasable() && $product->is_in_stock(),
+		'add_to_cart_text' => $product->add_to_cart_text(),
+	];
+
+	if ( $details ) {
+		// Plain text, so JS can set it with textContent.
+		$description = wp_trim_words( strip_shortcodes( $product->get_short_description() ), 30 );
+
+		$data['short_description'] = html_entity_decode( $description, ENT_QUOTES, 'UTF-8' );
+		$data['sku']               = $product->get_sku();
+		// Null when stock isn't tracked for the product.
+		$data['stock_quantity']    = $product->managing_stock() ? $product->get_stock_quantity() : null;
+	}
+
+	return $data;
+}
+
+/**
+ * Render a product with the theme's WooCommerce loop template.
+ *
+ * Used by the 'html' render mode for full theme parity. Sets up the
+ * $post and $product globals content-product.php expects, and restores
+ * them afterwards.
+ *
+ * @param \WC_Product $product Product object.
+ * @return string Loop item HTML (usually an <li class="product">).
+ */
+function render_product_loop_item( \WC_Product $product ): string {
+	global $post;
+
+	$previous_post    = $post;
+	$previous_product = $GLOBALS['product'] ?? null;
+
+	// phpcs:disable WordPress.WP.GlobalVariablesOverride.Prohibited -- Required by WooCommerce loop templates.
+	$post               = get_post( $product->get_id() );
+	$GLOBALS['product'] = $product;
+	setup_postdata( $post );
+
+	ob_start();
+	wc_get_template_part( 'content', 'product' );
+	$html = (string) ob_get_clean();
+
+	$post               = $previous_post;
+	$GLOBALS['product'] = $previous_product;
+	// phpcs:enable
+
+	if ( $previous_post ) {
+		setup_postdata( $previous_post );
+	}
+
+	return $html;
+}
+
+/**
+ * Get the product card render mode.
+ *
+ * 'json' (default) renders cards from product JSON in the browser.
+ * 'html' renders the theme's content-product.php on the server, so
+ * cards match the theme's own shop loop exactly.
+ *
+ * Usage:
+ *   add_filter( 'wff_product_card_mode', fn() => 'html' );
+ *
+ * @return string 'json' or 'html'.
+ */
+function get_product_card_mode(): string {
+	return 'html' === apply_filters( 'wff_product_card_mode', 'json' ) ? 'html' : 'json';
+}
+
+/**
+ * Get the path of a plugin template, allowing theme overrides.
+ *
+ * Themes override a template by placing a copy in a
+ * `woo-fast-filter/` folder inside the (child) theme.
+ *
+ * @param string $name Template file name, e.g. 'product-card.php'.
+ * @return string Absolute template path.
+ */
+function get_template_path( string $name ): string {
+	$theme_file = locate_template( 'woo-fast-filter/' . $name );
+	$path       = $theme_file ? $theme_file : WFF_PLUGIN_DIR . 'templates/' . $name;
+
+	return (string) apply_filters( 'wff_template_path', $path, $name );
+}
+
+/**
+ * Get the path of the theme's client-side card template, if any.
+ *
+ * Unlike other templates there is no plugin default: without a theme
+ * file, cards are built by createProductCard() in JS. The file is
+ * output inside a <template> element and filled from product JSON;
+ * see fillCardTemplate() in assets/js/frontend.js for the bindings.
+ *
+ * @return string Absolute path, or empty string when not provided.
+ */
+function get_card_template_path(): string {
+	return (string) apply_filters(
+		'wff_card_template_path',
+		locate_template( 'woo-fast-filter/card-template.php' )
+	);
+}
+
+/**
+ * Normalize filter parameters.
+ *
+ * Sorts term lists and attribute taxonomies, so the same selection
+ * made in a different order gives the same params.
+ *
+ * @param array $params Sanitized filter parameters.
+ * @return array Normalized parameters.
+ */
+function normalize_filter_params( array $params ): array {
+	if ( isset( $params['categories'] ) ) {
+		sort( $params['categories'] );
+	}
+	if ( isset( $params['attributes'] ) ) {
+		ksort( $params['attributes'] );
+		foreach ( $params['attributes'] as &$terms ) {
+			sort( $terms );
+		}
+		unset( $terms );
+	}
+	if ( isset( $params['attribute_match'] ) ) {
+		ksort( $params['attribute_match'] );
+	}
+
+	return $params;
+}
+
+/**
+ * Generate cache key from filter parameters.
+ *
+ * Creates a unique, consistent key for caching query results.
+ *
+ * @param array $params Sanitized filter parameters.
+ * @return string Cache key.
+ */
+function generate_cache_key( array $params ): string {
+	return 'wff_products_' . md5( wp_json_encode( normalize_filter_params( $params ) ) );
 }
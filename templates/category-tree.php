@@ -0,0 +1,79 @@
+<?php
+/**
+ * Template for one level of the category filter tree.
+ *
+ * Called through render_category_tree(), once per level, so the
+ * tree can be any depth. Branches are collapsed unless they contain
+ * a selected category. JS keeps parent checkboxes in sync with their
+ * children (checked, unchecked or indeterminate).
+ *
+ * Themes can override this file by copying it to
+ * yourtheme/woo-fast-filter/category-tree.php. Keep the wff-tree-*
+ * classes and the checkbox markup, which the JS relies on.
+ *
+ * Available variables:
+ *  - $categories       (array) Categories for this level, from get_filter_categories().
+ *  - $selected         (int[]) Selected category IDs.
+ *  - $include_children (bool)  Whether a selected category includes its descendants.
+ *  - $parent_checked   (bool)  Whether the parent category is checked.
+ *  - $depth            (int)   Nesting level, 0 for top-level categories.
+ *  - $max_terms        (int)   Top-level categories shown before "Show more", 0 for all.
+ *  - $show_all_terms   (bool)  Whether categories past $max_terms start visible.
+ *  - $id_prefix        (string) Block instance ID, prefixed to element IDs.
+ *
+ * @package WooFastFilter
+ */
+
+declare(strict_types=1);
+
+namespace WooFastFilter;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+?>
+<ul class="wff-tree<?php echo $depth > 0 ? ' wff-children' : ''; ?>">
+	<?php foreach ( $categories as $index => $category ) : ?>
+		<?php
+		$is_overflow  = 0 === $depth && $max_terms > 0 && $index >= $max_terms;
+		$is_checked   = in_array( $category['id'], $selected, true ) || ( $include_children && $parent_checked );
+		$has_children = ! empty( $category['children'] );
+		$is_expanded  = $has_children && array_intersect( get_category_descendant_ids( $category ), $selected );
+		$children_id  = $id_prefix . '-category-children-' . $category['id'];
+		?>
+		<li class="wff-tree-item<?php echo $is_overflow ? ' wff-term-overflow' : ''; ?>" <?php echo $is_overflow && ! $show_all_terms ? 'hidden' : ''; ?>>
+			<div class="wff-tree-row">
+				<label class="wff-checkbox-label">
+					<input type="checkbox"
+						name="categories[]"
+						value="<?php echo esc_attr( (string) $category['id'] ); ?>"
+						class="wff-checkbox"
+						<?php checked( $is_checked ); ?>
+					/>
+					<span class="wff-checkbox-text"><?php echo esc_html( $category['name'] ); ?></span>
+					<?php // Pro feature: live term counts (disabled in Free). ?>
+					<?php if ( is_pro_active() ) : ?>
+						<span class="wff-count">(<?php echo esc_html( (string) $category['count'] ); ?>)</span>
+					<?php endif; ?>
+				</label>
+				<?php if ( $has_children ) : ?>
+					<button type="button"
+						class="wff-tree-toggle"
+						aria-expanded="<?php echo esc_attr( $is_expanded ? 'true' : 'false' ); ?>"
+						aria-controls="<?php echo esc_attr( $children_id ); ?>"
+						aria-label="<?php /* translators: %s: category name. */ echo esc_attr( sprintf( __( 'Subcategories of %s', 'woo-fast-filter' ), $category['name'] ) ); ?>">
+						<svg class="wff-chevron" width="12" height="12" viewBox="0 0 12 12" aria-hidden="true">
+							<path d="M3 5l3 3 3-3" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+						</svg>
+					</button>
+				<?php endif; ?>
+			</div>
+			<?php if ( $has_children ) : ?>
+				<div id="<?php echo esc_attr( $children_id ); ?>" class="wff-tree-branch" <?php echo $is_expanded ? '' : 'hidden'; ?>>
+					<?php render_category_tree( $category['children'], $selected, $include_children, $is_checked, $depth + 1, 0, $id_prefix ); ?>
+				</div>
+			<?php endif; ?>
+		</li>
+	<?php endforeach; ?>
+</ul>
@@ -7,6 +7,8 @@
  *
  * Available variables:
  *  - $attributes (array) Block attributes from Gutenberg.
+ *  - $sync_url   (bool)  Whether this block owns the filter state in the
+ *                        query string (the first block on the page).
  *
  * @package WooFastFilter
  */
@@ -22,49 +24,168 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 // Block attributes.
 // FREE FEATURE FREEZE — v1.0
-// Free version: layout, style, and autoApply are locked to defaults.
-// These are already enforced in render_filter_block(), but we guard
-// here too in case the template is loaded directly.
+// Free version: layout, style, autoApply, paginationMode, includeChildren,
+// filterGroups, resultsTarget and archiveMode are locked to defaults. These
+// are already enforced in render_filter_block(), but we guard here too in
+// case the template is loaded directly.
 if ( is_pro_active() ) {
-	$layout     = esc_attr( $attributes['layout'] ?? 'sidebar' );
-	$style      = esc_attr( $attributes['style'] ?? 'clean' );
-	$auto_apply = ! empty( $attributes['autoApply'] );
+	$layout           = esc_attr( $attributes['layout'] ?? 'sidebar' );
+	$style            = esc_attr( $attributes['style'] ?? 'clean' );
+	$auto_apply       = ! empty( $attributes['autoApply'] );
+	$pagination_mode  = in_array( $attributes['paginationMode'] ?? '', [ 'numbers', 'load_more', 'infinite' ], true )
+		? $attributes['paginationMode']
+		: 'numbers';
+	$include_children = (bool) ( $attributes['includeChildren'] ?? true );
+	$group_config     = is_array( $attributes['filterGroups'] ?? null ) ? $attributes['filterGroups'] : [];
+	// ID of the element that shows the results, e.g. a block's HTML anchor.
+	$results_target   = sanitize_html_class( ltrim( (string) ( $attributes['resultsTarget'] ?? '' ), '#' ) );
+	$archive_mode     = ! empty( $attributes['archiveMode'] );
 } else {
-	// Free: hard-coded. Pro unlocks layout, style, autoApply.
-	$layout     = 'sidebar';
-	$style      = 'clean';
-	$auto_apply = false;
+	// Free: hard-coded. Pro unlocks layout, style, autoApply, paginationMode,
+	// includeChildren, filterGroups, resultsTarget, archiveMode.
+	$layout           = 'sidebar';
+	$style            = 'clean';
+	$auto_apply       = false;
+	$pagination_mode  = 'numbers';
+	$include_children = true;
+	$group_config     = [];
+	$results_target   = '';
+	$archive_mode     = false;
 }
 
+// Archive mode only applies where the theme renders a shop loop.
+$archive_mode = $archive_mode && ( is_shop() || is_product_taxonomy() );
+
+// Instance ID, so several blocks on one page don't share element IDs.
+$instance_id = wp_unique_id( 'wff-' );
+$sync_url    = $sync_url ?? true;
+
 // showActiveFilters is available in Free.
 $show_active = ! empty( $attributes['showActiveFilters'] );
 
 // Get filter data.
-$categories  = get_filter_categories();
-$filter_attributes = get_filter_attributes();
-$price_range = get_price_range();
+$categories    = get_filter_categories();
+$filter_groups = get_filter_groups( $group_config );
+$price_range   = get_price_range();
+
+// Render the first page server-side so visitors and crawlers see
+// products immediately. Query args from a shared link or a no-JS
+// form submit are honored; JS hydrates this markup instead of
+// refetching it. Blocks that don't own the query string start unfiltered.
+$card_mode      = get_product_card_mode();
+$request_params = $sync_url ? get_request_filter_params() : sanitize_filter_params( [] );
+
+if ( 'html' === $card_mode ) {
+	$request_params['render'] = 'html';
+}
+
+// Include subcategories and match modes are block settings, not URL args.
+$request_params = apply_block_query_settings( $request_params, $include_children, $filter_groups );
+
+// Page size and grid/list view, as the shopper last chose them. The
+// block that owns the query string has its page size from there,
+// which falls back to the saved one. The list view needs card markup
+// this plugin controls.
+$preferences = get_results_preferences();
+$list_view   = ! $archive_mode && 'list' === $preferences['view'] && 'json' === $card_mode;
+
+if ( ! $archive_mode ) {
+	if ( ! $sync_url ) {
+		$request_params['per_page'] = $preferences['per_page'];
+	}
+
+	if ( $list_view ) {
+		$request_params['details'] = true;
+	}
+}
+
+if ( $archive_mode ) {
+	// The theme's loop lists the products, already filtered through
+	// the woocommerce_product_query hook. Pagination comes from it too.
+	global $wp_query;
+
+	$archive    = get_archive_constraint();
+	$pagination = [
+		'total'        => (int) $wp_query->found_posts,
+		'total_pages'  => (int) $wp_query->max_num_pages,
+		'current_page' => max( 1, (int) get_query_var( 'paged' ) ),
+		'per_page'     => (int) $wp_query->get( 'posts_per_page' ),
+	];
+} else {
+	$results    = ( new Query_Builder( $request_params ) )->execute();
+	$pagination = $results['pagination'];
+}
+
+$selected_categories = $request_params['categories'] ?? [];
+$selected_attributes = $request_params['attributes'] ?? [];
+$selected_rating     = $request_params['min_rating'] ?? 0;
+
+// Prices step by the store's currency precision. The bounds are
+// snapped outwards to the step so both ends stay selectable.
+$price_step     = get_price_step();
+$price_decimals = wc_get_price_decimals();
+$price_min      = round( floor( round( $price_range['min'] / $price_step, 6 ) ) * $price_step, $price_decimals );
+$price_max      = round( ceil( round( $price_range['max'] / $price_step, 6 ) ) * $price_step, $price_decimals );
+$price_span     = max( $price_max - $price_min, $price_step );
+
+$current_min_price = isset( $request_params['min_price'] ) ? max( $price_min, $request_params['min_price'] ) : $price_min;
+$current_max_price = isset( $request_params['max_price'] ) ? min( $price_max, $request_params['max_price'] ) : $price_max;
+
+// Symbol before or after the price inputs, following the store's currency position.
+$currency_after = in_array( get_option( 'woocommerce_currency_pos', 'left' ), [ 'right', 'right_space' ], true );
+
+$histogram_peak = ! empty( $price_range['histogram'] ) ? max( array_column( $price_range['histogram'], 'count' ) ) : 0;
+
+$current_sort = 'price' === $request_params['orderby']
+	? 'price-' . strtolower( $request_params['order'] )
+	: $request_params['orderby'];
+
+$sort_options = [
+	'menu_order' => __( 'Default sorting', 'woo-fast-filter' ),
+	'popularity' => __( 'Popularity', 'woo-fast-filter' ),
+	'rating'     => __( 'Average rating', 'woo-fast-filter' ),
+	'date'       => __( 'Latest', 'woo-fast-filter' ),
+	'price-asc'  => __( 'Price: low to high', 'woo-fast-filter' ),
+	'price-desc' => __( 'Price: high to low', 'woo-fast-filter' ),
+];
 
 $wrapper_classes = sprintf(
-	'wff-wrapper wff-layout-%s wff-style-%s',
+	'wff-wrapper wff-layout-%s wff-style-%s%s',
 	$layout,
-	$style
+	$style,
+	$archive_mode ? ' wff-archive-mode' : ''
 );
 ?>
 <div class="<?php echo esc_attr( $wrapper_classes ); ?>"
 	data-auto-apply="<?php echo esc_attr( $auto_apply ? 'true' : 'false' ); ?>"
 	data-show-active="<?php echo esc_attr( $show_active ? 'true' : 'false' ); ?>"
-	data-layout="<?php echo esc_attr( $layout ); ?>">
+	data-layout="<?php echo esc_attr( $layout ); ?>"
+	data-pagination-mode="<?php echo esc_attr( $pagination_mode ); ?>"
+	data-include-children="<?php echo esc_attr( $include_children ? 'true' : 'false' ); ?>"
+	data-sync-url="<?php echo esc_attr( $sync_url ? 'true' : 'false' ); ?>"
+	data-results-target="<?php echo esc_attr( $results_target ); ?>"
+	data-per-page="<?php echo esc_attr( (string) $pagination['per_page'] ); ?>"
+	data-view="<?php echo esc_attr( $list_view ? 'list' : 'grid' ); ?>"
+	<?php if ( $archive_mode ) : ?>
+		data-archive-mode="true"
+		data-archive-taxonomy="<?php echo esc_attr( $archive['taxonomy'] ?? '' ); ?>"
+		data-archive-term="<?php echo esc_attr( (string) ( $archive['term'] ?? '' ) ); ?>"
+		data-pagination="<?php echo esc_attr( wp_json_encode( $pagination ) ); ?>"
+		<?php // Page link patterns, as WooCommerce's pagination template builds them. ?>
+		data-page-url="<?php echo esc_url( str_replace( 999999999, '%#%', get_pagenum_link( 999999999, false ) ) ); ?>"
+		data-first-page-url="<?php echo esc_url( get_pagenum_link( 1, false ) ); ?>"
+	<?php endif; ?>>
 
 	<?php // Mobile filter toggle button. ?>
-	<button class="wff-mobile-toggle" aria-label="<?php esc_attr_e( 'Toggle filters', 'woo-fast-filter' ); ?>" aria-expanded="false">
+	<button class="wff-mobile-toggle" aria-label="<?php esc_attr_e( 'Toggle filters', 'woo-fast-filter' ); ?>" aria-expanded="false" aria-controls="<?php echo esc_attr( $instance_id ); ?>-panel">
 		<svg width="18" height="18" viewBox="0 0 18 18" fill="none" aria-hidden="true">
 			<path d="M1 3h16M4 9h10M7 15h4" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
 		</svg>
 		<span><?php esc_html_e( 'Filter', 'woo-fast-filter' ); ?></span>
 	</button>
 
-	<?php // Filter panel. ?>
-	<div class="wff-panel" role="search" aria-label="<?php esc_attr_e( 'Product filters', 'woo-fast-filter' ); ?>">
+	<?php // Filter panel. JS turns it into a modal dialog while open as a drawer. ?>
+	<div id="<?php echo esc_attr( $instance_id ); ?>-panel" class="wff-panel" role="search" aria-label="<?php esc_attr_e( 'Product filters', 'woo-fast-filter' ); ?>">
 		<div class="wff-panel-header">
 			<h3 class="wff-panel-title"><?php esc_html_e( 'Filters', 'woo-fast-filter' ); ?></h3>
 			<button class="wff-panel-close" aria-label="<?php esc_attr_e( 'Close filters', 'woo-fast-filter' ); ?>">&times;</button>
@@ -84,153 +205,337 @@ $wrapper_classes = sprintf(
 				</div>
 			<?php endif; ?>
 
-			<form class="wff-form" aria-label="<?php esc_attr_e( 'Filter products', 'woo-fast-filter' ); ?>">
-				<?php // Category filter. ?>
-				<?php if ( ! empty( $categories ) ) : ?>
-					<fieldset class="wff-filter-group wff-collapsible" data-filter="categories">
-						<legend class="wff-group-title" role="button" aria-expanded="true">
-							<?php esc_html_e( 'Categories', 'woo-fast-filter' ); ?>
-							<svg class="wff-chevron" width="12" height="12" viewBox="0 0 12 12" aria-hidden="true">
-								<path d="M3 5l3 3 3-3" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
-							</svg>
-						</legend>
-						<div class="wff-group-content">
-							<?php foreach ( $categories as $category ) : ?>
+			<?php // Pro feature — saved filter presets. Chips are rendered by JS, so the area stays hidden without it. ?>
+			<?php if ( is_feature_enabled( 'saved_presets' ) ) : ?>
+				<div class="wff-presets" hidden>
+					<ul class="wff-preset-list" aria-label="<?php esc_attr_e( 'Saved filters', 'woo-fast-filter' ); ?>"></ul>
+					<button type="button" class="wff-preset-save" aria-disabled="true">
+						<?php esc_html_e( 'Save these filters', 'woo-fast-filter' ); ?>
+					</button>
+					<form class="wff-preset-form" hidden>
+						<label for="<?php echo esc_attr( $instance_id ); ?>-preset-name" class="wff-sr-only"><?php esc_html_e( 'Preset name', 'woo-fast-filter' ); ?></label>
+						<input type="text"
+							id="<?php echo esc_attr( $instance_id ); ?>-preset-name"
+							class="wff-preset-name"
+							maxlength="50"
+							placeholder="<?php esc_attr_e( 'Name, e.g. My size', 'woo-fast-filter' ); ?>"
+							required
+						/>
+						<button type="submit" class="wff-preset-confirm"><?php esc_html_e( 'Save', 'woo-fast-filter' ); ?></button>
+						<button type="button" class="wff-preset-cancel"><?php esc_html_e( 'Cancel', 'woo-fast-filter' ); ?></button>
+					</form>
+				</div>
+			<?php endif; ?>
+
+			<?php // Plain GET form so filtering still works without JS. ?>
+			<form id="<?php echo esc_attr( $instance_id ); ?>-form" class="wff-form" method="get" aria-label="<?php esc_attr_e( 'Filter products', 'woo-fast-filter' ); ?>">
+				<?php // Filter groups, in the order and with the labels set in the block. ?>
+				<?php foreach ( $filter_groups as $group ) : ?>
+					<?php $group_content_id = $instance_id . '-group-' . sanitize_html_class( str_replace( ':', '-', $group['id'] ) ); ?>
+					<?php if ( 'search' === $group['type'] ) : ?>
+						<?php // Keyword search with typeahead suggestions. ?>
+						<div class="wff-search">
+							<label for="<?php echo esc_attr( $instance_id ); ?>-search-input" class="wff-sr-only"><?php echo esc_html( $group['label'] ); ?></label>
+							<input type="search"
+								id="<?php echo esc_attr( $instance_id ); ?>-search-input"
+								name="wff_search"
+								class="wff-search-input"
+								value="<?php echo esc_attr( $request_params['search'] ?? '' ); ?>"
+								placeholder="<?php echo esc_attr( $group['label'] ); ?>"
+								autocomplete="off"
+								role="combobox"
+								aria-autocomplete="list"
+								aria-expanded="false"
+								aria-controls="<?php echo esc_attr( $instance_id ); ?>-search-suggestions"
+							/>
+							<ul id="<?php echo esc_attr( $instance_id ); ?>-search-suggestions" class="wff-suggestions" role="listbox" aria-label="<?php esc_attr_e( 'Search suggestions', 'woo-fast-filter' ); ?>" hidden></ul>
+						</div>
+
+					<?php elseif ( 'categories' === $group['type'] && ! empty( $categories ) ) : ?>
+						<fieldset class="wff-filter-group wff-collapsible" data-filter="categories">
+							<legend class="wff-group-title" role="button" tabindex="0" aria-controls="<?php echo esc_attr( $group_content_id ); ?>" aria-expanded="<?php echo esc_attr( $group['collapsed'] ? 'false' : 'true' ); ?>">
+								<?php echo esc_html( $group['label'] ); ?>
+								<svg class="wff-chevron" width="12" height="12" viewBox="0 0 12 12" aria-hidden="true">
+									<path d="M3 5l3 3 3-3" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+								</svg>
+							</legend>
+							<div id="<?php echo esc_attr( $group_content_id ); ?>" class="wff-group-content" <?php echo $group['collapsed'] ? 'hidden' : ''; ?>>
+								<?php render_category_tree( $categories, $selected_categories, $include_children, false, 0, $group['max_terms'], $instance_id ); ?>
+								<?php render_show_more_button( $categories, $selected_categories, $group['max_terms'] ); ?>
+							</div>
+						</fieldset>
+
+					<?php elseif ( 'attribute' === $group['type'] ) : ?>
+						<?php
+						$attribute = $group['attribute'];
+
+						// Swatch and pill groups keep the checkbox input (visually
+						// hidden), so JS treats them exactly like a checkbox list.
+						$display    = $attribute['display'] ?? 'checkbox';
+						$is_swatch  = 'color' === $display || 'image' === $display;
+						$is_compact = 'checkbox' !== $display;
+
+						// Terms past the group's limit stay visible while one is selected.
+						$show_all_terms = has_selected_overflow( $attribute['terms'], $selected_attributes[ $attribute['taxonomy'] ] ?? [], $group['max_terms'] );
+						?>
+						<fieldset class="wff-filter-group wff-collapsible"
+							data-filter="attribute"
+							data-display="<?php echo esc_attr( $display ); ?>"
+							data-match="<?php echo esc_attr( $group['match'] ); ?>"
+							data-taxonomy="<?php echo esc_attr( $attribute['taxonomy'] ); ?>">
+							<legend class="wff-group-title" role="button" tabindex="0" aria-controls="<?php echo esc_attr( $group_content_id ); ?>" aria-expanded="<?php echo esc_attr( $group['collapsed'] ? 'false' : 'true' ); ?>">
+								<span class="wff-group-label">
+									<?php echo esc_html( $group['label'] ); ?>
+									<span class="wff-match-mode">
+										<?php echo 'all' === $group['match'] ? esc_html__( 'Match all', 'woo-fast-filter' ) : esc_html__( 'Match any', 'woo-fast-filter' ); ?>
+									</span>
+								</span>
+								<svg class="wff-chevron" width="12" height="12" viewBox="0 0 12 12" aria-hidden="true">
+									<path d="M3 5l3 3 3-3" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+								</svg>
+							</legend>
+							<div id="<?php echo esc_attr( $group_content_id ); ?>" class="wff-group-content<?php echo $is_compact ? ' wff-swatches' : ''; ?>" <?php echo $group['collapsed'] ? 'hidden' : ''; ?>>
+								<?php foreach ( $attribute['terms'] as $term_index => $term ) : ?>
+									<?php $is_overflow = $group['max_terms'] > 0 && $term_index >= $group['max_terms']; ?>
+									<label class="wff-checkbox-label<?php echo $is_compact ? ' wff-swatch-label wff-swatch-label--' . esc_attr( $display ) : ''; ?><?php echo $is_overflow ? ' wff-term-overflow' : ''; ?>"
+										<?php echo $is_swatch ? 'title="' . esc_attr( $term['name'] ) . '"' : ''; ?>
+										<?php echo $is_overflow && ! $show_all_terms ? 'hidden' : ''; ?>>
+										<input type="checkbox"
+											name="attributes[<?php echo esc_attr( $attribute['taxonomy'] ); ?>][]"
+											value="<?php echo esc_attr( (string) $term['id'] ); ?>"
+											class="wff-checkbox<?php echo $is_compact ? ' wff-swatch-input' : ''; ?>"
+											<?php checked( in_array( $term['id'], $selected_attributes[ $attribute['taxonomy'] ] ?? [], true ) ); ?>
+										/>
+										<?php if ( $is_swatch ) : ?>
+											<?php // Terms without a stored swatch show their initial. ?>
+											<span class="wff-swatch<?php echo empty( $term['swatch'] ) ? ' wff-swatch--empty' : ''; ?>" aria-hidden="true"
+												<?php if ( 'color' === $display && ! empty( $term['swatch'] ) ) : ?>
+													style="background-color: <?php echo esc_attr( $term['swatch'] ); ?>;"
+												<?php endif; ?>
+											>
+												<?php if ( 'image' === $display && ! empty( $term['swatch'] ) ) : ?>
+													<img src="<?php echo esc_url( $term['swatch'] ); ?>" alt="" loading="lazy" />
+												<?php elseif ( empty( $term['swatch'] ) ) : ?>
+													<?php echo esc_html( mb_substr( $term['name'], 0, 1 ) ); ?>
+												<?php endif; ?>
+											</span>
+										<?php endif; ?>
+										<span class="wff-checkbox-text<?php echo $is_swatch ? ' wff-sr-only' : ''; ?>"><?php echo esc_html( $term['name'] ); ?></span>
+										<?php // Pro feature: live term counts (disabled in Free). ?>
+										<?php if ( is_pro_active() ) : ?>
+											<span class="wff-count<?php echo $is_swatch ? ' wff-sr-only' : ''; ?>">(<?php echo esc_html( (string) $term['count'] ); ?>)</span>
+										<?php endif; ?>
+									</label>
+								<?php endforeach; ?>
+								<?php render_show_more_button( $attribute['terms'], $selected_attributes[ $attribute['taxonomy'] ] ?? [], $group['max_terms'] ); ?>
+							</div>
+						</fieldset>
+
+					<?php elseif ( 'status' === $group['type'] ) : ?>
+						<fieldset class="wff-filter-group wff-collapsible" data-filter="status">
+							<legend class="wff-group-title" role="button" tabindex="0" aria-controls="<?php echo esc_attr( $group_content_id ); ?>" aria-expanded="<?php echo esc_attr( $group['collapsed'] ? 'false' : 'true' ); ?>">
+								<?php echo esc_html( $group['label'] ); ?>
+								<svg class="wff-chevron" width="12" height="12" viewBox="0 0 12 12" aria-hidden="true">
+									<path d="M3 5l3 3 3-3" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+								</svg>
+							</legend>
+							<div id="<?php echo esc_attr( $group_content_id ); ?>" class="wff-group-content" <?php echo $group['collapsed'] ? 'hidden' : ''; ?>>
 								<label class="wff-checkbox-label">
 									<input type="checkbox"
-										name="categories[]"
-										value="<?php echo esc_attr( (string) $category['id'] ); ?>"
+										name="in_stock"
+										value="1"
 										class="wff-checkbox"
+										<?php checked( ! empty( $request_params['in_stock'] ) ); ?>
 									/>
-									<span class="wff-checkbox-text"><?php echo esc_html( $category['name'] ); ?></span>
-									<?php // Pro feature: live term counts (disabled in Free). ?>
-									<?php if ( is_pro_active() ) : ?>
-										<span class="wff-count">(<?php echo esc_html( (string) $category['count'] ); ?>)</span>
-									<?php endif; ?>
+									<span class="wff-checkbox-text"><?php esc_html_e( 'In stock only', 'woo-fast-filter' ); ?></span>
 								</label>
-								<?php if ( ! empty( $category['children'] ) ) : ?>
-									<div class="wff-children">
-										<?php foreach ( $category['children'] as $child ) : ?>
-											<label class="wff-checkbox-label">
-												<input type="checkbox"
-													name="categories[]"
-													value="<?php echo esc_attr( (string) $child['id'] ); ?>"
-													class="wff-checkbox"
-												/>
-												<span class="wff-checkbox-text"><?php echo esc_html( $child['name'] ); ?></span>
-												<?php // Pro feature: live term counts (disabled in Free). ?>
-												<?php if ( is_pro_active() ) : ?>
-													<span class="wff-count">(<?php echo esc_html( (string) $child['count'] ); ?>)</span>
-												<?php endif; ?>
-											</label>
-										<?php endforeach; ?>
-									</div>
-								<?php endif; ?>
-							<?php endforeach; ?>
-						</div>
-					</fieldset>
-				<?php endif; ?>
-
-				<?php // Attribute filters. ?>
-				<?php foreach ( $filter_attributes as $attribute ) : ?>
-					<fieldset class="wff-filter-group wff-collapsible"
-						data-filter="attribute"
-						data-taxonomy="<?php echo esc_attr( $attribute['taxonomy'] ); ?>">
-						<legend class="wff-group-title" role="button" aria-expanded="true">
-							<?php echo esc_html( $attribute['name'] ); ?>
-							<svg class="wff-chevron" width="12" height="12" viewBox="0 0 12 12" aria-hidden="true">
-								<path d="M3 5l3 3 3-3" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
-							</svg>
-						</legend>
-						<div class="wff-group-content">
-							<?php foreach ( $attribute['terms'] as $term ) : ?>
 								<label class="wff-checkbox-label">
 									<input type="checkbox"
-										name="attributes[<?php echo esc_attr( $attribute['taxonomy'] ); ?>][]"
-										value="<?php echo esc_attr( (string) $term['id'] ); ?>"
+										name="on_sale"
+										value="1"
 										class="wff-checkbox"
+										<?php checked( ! empty( $request_params['on_sale'] ) ); ?>
 									/>
-									<span class="wff-checkbox-text"><?php echo esc_html( $term['name'] ); ?></span>
-									<?php // Pro feature: live term counts (disabled in Free). ?>
-									<?php if ( is_pro_active() ) : ?>
-										<span class="wff-count">(<?php echo esc_html( (string) $term['count'] ); ?>)</span>
-									<?php endif; ?>
+									<span class="wff-checkbox-text"><?php esc_html_e( 'On sale', 'woo-fast-filter' ); ?></span>
 								</label>
-							<?php endforeach; ?>
-						</div>
-					</fieldset>
-				<?php endforeach; ?>
+							</div>
+						</fieldset>
 
-				<?php // Price filter. ?>
-				<?php if ( $price_range['max'] > 0 ) : ?>
-					<fieldset class="wff-filter-group wff-collapsible" data-filter="price">
-						<legend class="wff-group-title" role="button" aria-expanded="true">
-							<?php esc_html_e( 'Price', 'woo-fast-filter' ); ?>
-							<svg class="wff-chevron" width="12" height="12" viewBox="0 0 12 12" aria-hidden="true">
-								<path d="M3 5l3 3 3-3" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
-							</svg>
-						</legend>
-						<div class="wff-group-content">
-							<div class="wff-price-range">
-								<div class="wff-price-inputs">
-									<label class="wff-price-label">
-										<span class="wff-sr-only"><?php esc_html_e( 'Minimum price', 'woo-fast-filter' ); ?></span>
-										<span class="wff-price-currency"><?php echo esc_html( get_woocommerce_currency_symbol() ); ?></span>
-										<input type="number"
-											name="min_price"
-											class="wff-price-input"
-											min="<?php echo esc_attr( (string) floor( $price_range['min'] ) ); ?>"
-											max="<?php echo esc_attr( (string) ceil( $price_range['max'] ) ); ?>"
-											value="<?php echo esc_attr( (string) floor( $price_range['min'] ) ); ?>"
-											placeholder="<?php esc_attr_e( 'Min', 'woo-fast-filter' ); ?>"
-											step="1"
-										/>
-									</label>
-									<span class="wff-price-separator">&mdash;</span>
-									<label class="wff-price-label">
-										<span class="wff-sr-only"><?php esc_html_e( 'Maximum price', 'woo-fast-filter' ); ?></span>
-										<span class="wff-price-currency"><?php echo esc_html( get_woocommerce_currency_symbol() ); ?></span>
-										<input type="number"
-											name="max_price"
-											class="wff-price-input"
-											min="<?php echo esc_attr( (string) floor( $price_range['min'] ) ); ?>"
-											max="<?php echo esc_attr( (string) ceil( $price_range['max'] ) ); ?>"
-											value="<?php echo esc_attr( (string) ceil( $price_range['max'] ) ); ?>"
-											placeholder="<?php esc_attr_e( 'Max', 'woo-fast-filter' ); ?>"
-											step="1"
+					<?php elseif ( 'rating' === $group['type'] ) : ?>
+						<?php // "Any rating" has an empty value, which the server ignores. ?>
+						<fieldset class="wff-filter-group wff-collapsible" data-filter="rating">
+							<legend class="wff-group-title" role="button" tabindex="0" aria-controls="<?php echo esc_attr( $group_content_id ); ?>" aria-expanded="<?php echo esc_attr( $group['collapsed'] ? 'false' : 'true' ); ?>">
+								<?php echo esc_html( $group['label'] ); ?>
+								<svg class="wff-chevron" width="12" height="12" viewBox="0 0 12 12" aria-hidden="true">
+									<path d="M3 5l3 3 3-3" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+								</svg>
+							</legend>
+							<div id="<?php echo esc_attr( $group_content_id ); ?>" class="wff-group-content" <?php echo $group['collapsed'] ? 'hidden' : ''; ?>>
+								<label class="wff-checkbox-label wff-rating-label">
+									<input type="radio"
+										name="min_rating"
+										value=""
+										class="wff-radio wff-rating-input"
+										<?php checked( 0, $selected_rating ); ?>
+									/>
+									<span class="wff-checkbox-text wff-rating-text"><?php esc_html_e( 'Any rating', 'woo-fast-filter' ); ?></span>
+								</label>
+								<?php for ( $rating = 4; $rating >= 1; $rating-- ) : ?>
+									<label class="wff-checkbox-label wff-rating-label">
+										<input type="radio"
+											name="min_rating"
+											value="<?php echo esc_attr( (string) $rating ); ?>"
+											class="wff-radio wff-rating-input"
+											<?php checked( $rating, $selected_rating ); ?>
 										/>
+										<span class="wff-stars" aria-hidden="true"><?php
+											for ( $star = 1; $star <= 5; $star++ ) {
+												echo $star <= $rating ? '&#9733;' : '&#9734;';
+											}
+										?></span>
+										<span class="wff-checkbox-text wff-rating-text">
+											<?php
+											/* translators: %d: minimum star rating. */
+											echo esc_html( sprintf( _n( '%d star & up', '%d stars & up', $rating, 'woo-fast-filter' ), $rating ) );
+											?>
+										</span>
 									</label>
-								</div>
-								<div class="wff-price-slider">
-									<input type="range"
-										class="wff-range wff-range-min"
-										min="<?php echo esc_attr( (string) floor( $price_range['min'] ) ); ?>"
-										max="<?php echo esc_attr( (string) ceil( $price_range['max'] ) ); ?>"
-										value="<?php echo esc_attr( (string) floor( $price_range['min'] ) ); ?>"
-										step="1"
-										aria-label="<?php esc_attr_e( 'Minimum price', 'woo-fast-filter' ); ?>"
-									/>
-									<input type="range"
-										class="wff-range wff-range-max"
-										min="<?php echo esc_attr( (string) floor( $price_range['min'] ) ); ?>"
-										max="<?php echo esc_attr( (string) ceil( $price_range['max'] ) ); ?>"
-										value="<?php echo esc_attr( (string) ceil( $price_range['max'] ) ); ?>"
-										step="1"
-										aria-label="<?php esc_attr_e( 'Maximum price', 'woo-fast-filter' ); ?>"
-									/>
+								<?php endfor; ?>
+							</div>
+						</fieldset>
+
+					<?php elseif ( 'price' === $group['type'] && $price_range['max'] > 0 ) : ?>
+						<fieldset class="wff-filter-group wff-collapsible" data-filter="price">
+							<legend class="wff-group-title" role="button" tabindex="0" aria-controls="<?php echo esc_attr( $group_content_id ); ?>" aria-expanded="<?php echo esc_attr( $group['collapsed'] ? 'false' : 'true' ); ?>">
+								<?php echo esc_html( $group['label'] ); ?>
+								<svg class="wff-chevron" width="12" height="12" viewBox="0 0 12 12" aria-hidden="true">
+									<path d="M3 5l3 3 3-3" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+								</svg>
+							</legend>
+							<div id="<?php echo esc_attr( $group_content_id ); ?>" class="wff-group-content" <?php echo $group['collapsed'] ? 'hidden' : ''; ?>>
+								<div class="wff-price-range">
+									<div class="wff-price-inputs">
+										<label class="wff-price-label">
+											<span class="wff-sr-only"><?php esc_html_e( 'Minimum price', 'woo-fast-filter' ); ?></span>
+											<?php if ( ! $currency_after ) : ?>
+												<span class="wff-price-currency"><?php echo esc_html( get_woocommerce_currency_symbol() ); ?></span>
+											<?php endif; ?>
+											<input type="number"
+												name="min_price"
+												class="wff-price-input"
+												min="<?php echo esc_attr( wc_format_decimal( $price_min, $price_decimals ) ); ?>"
+												max="<?php echo esc_attr( wc_format_decimal( $price_max, $price_decimals ) ); ?>"
+												value="<?php echo esc_attr( wc_format_decimal( $current_min_price, $price_decimals ) ); ?>"
+												placeholder="<?php esc_attr_e( 'Min', 'woo-fast-filter' ); ?>"
+												step="<?php echo esc_attr( (string) $price_step ); ?>"
+											/>
+											<?php if ( $currency_after ) : ?>
+												<span class="wff-price-currency wff-price-currency-after"><?php echo esc_html( get_woocommerce_currency_symbol() ); ?></span>
+											<?php endif; ?>
+										</label>
+										<span class="wff-price-separator">&mdash;</span>
+										<label class="wff-price-label">
+											<span class="wff-sr-only"><?php esc_html_e( 'Maximum price', 'woo-fast-filter' ); ?></span>
+											<?php if ( ! $currency_after ) : ?>
+												<span class="wff-price-currency"><?php echo esc_html( get_woocommerce_currency_symbol() ); ?></span>
+											<?php endif; ?>
+											<input type="number"
+												name="max_price"
+												class="wff-price-input"
+												min="<?php echo esc_attr( wc_format_decimal( $price_min, $price_decimals ) ); ?>"
+												max="<?php echo esc_attr( wc_format_decimal( $price_max, $price_decimals ) ); ?>"
+												value="<?php echo esc_attr( wc_format_decimal( $current_max_price, $price_decimals ) ); ?>"
+												placeholder="<?php esc_attr_e( 'Max', 'woo-fast-filter' ); ?>"
+												step="<?php echo esc_attr( (string) $price_step ); ?>"
+											/>
+											<?php if ( $currency_after ) : ?>
+												<span class="wff-price-currency wff-price-currency-after"><?php echo esc_html( get_woocommerce_currency_symbol() ); ?></span>
+											<?php endif; ?>
+										</label>
+									</div>
+									<?php // Pro feature: price histogram (disabled in Free). ?>
+									<?php if ( $histogram_peak > 0 ) : ?>
+										<div class="wff-price-histogram" aria-hidden="true">
+											<?php foreach ( $price_range['histogram'] as $bucket ) : ?>
+												<?php $in_range = $bucket['max'] >= $current_min_price && $bucket['min'] <= $current_max_price; ?>
+												<span class="wff-histogram-bar<?php echo $in_range ? ' is-in-range' : ''; ?>"
+													data-min="<?php echo esc_attr( (string) $bucket['min'] ); ?>"
+													data-max="<?php echo esc_attr( (string) $bucket['max'] ); ?>"
+													style="height: <?php echo esc_attr( (string) round( $bucket['count'] / $histogram_peak * 100, 2 ) ); ?>%;"
+													title="<?php echo esc_attr( sprintf( /* translators: 1: number of products, 2: lowest price, 3: highest price. */ _n( '%1$d product, %2$s – %3$s', '%1$d products, %2$s – %3$s', $bucket['count'], 'woo-fast-filter' ), $bucket['count'], format_price_text( $bucket['min'] ), format_price_text( $bucket['max'] ) ) ); ?>"
+												></span>
+											<?php endforeach; ?>
+										</div>
+									<?php endif; ?>
+									<?php
+									// One slider with two thumbs. Each thumb's range ends at
+									// the other thumb, following the ARIA multi-thumb slider
+									// pattern. The number inputs above hold the submitted values.
+									$thumbs = [
+										'min' => [
+											'label'     => __( 'Minimum price', 'woo-fast-filter' ),
+											'value'     => $current_min_price,
+											'value_min' => $price_min,
+											'value_max' => $current_max_price,
+										],
+										'max' => [
+											'label'     => __( 'Maximum price', 'woo-fast-filter' ),
+											'value'     => $current_max_price,
+											'value_min' => $current_min_price,
+											'value_max' => $price_max,
+										],
+									];
+									?>
+									<div class="wff-price-slider"
+										data-min="<?php echo esc_attr( wc_format_decimal( $price_min, $price_decimals ) ); ?>"
+										data-max="<?php echo esc_attr( wc_format_decimal( $price_max, $price_decimals ) ); ?>"
+										data-step="<?php echo esc_attr( (string) $price_step ); ?>"
+										data-decimals="<?php echo esc_attr( (string) $price_decimals ); ?>">
+										<div class="wff-slider-track">
+											<div class="wff-slider-fill" style="left: <?php echo esc_attr( (string) round( ( $current_min_price - $price_min ) / $price_span * 100, 2 ) ); ?>%; right: <?php echo esc_attr( (string) round( ( $price_max - $current_max_price ) / $price_span * 100, 2 ) ); ?>%;"></div>
+										</div>
+										<?php foreach ( $thumbs as $thumb_type => $thumb ) : ?>
+											<div class="wff-slider-thumb wff-slider-thumb-<?php echo esc_attr( $thumb_type ); ?>"
+												role="slider"
+												tabindex="0"
+												data-thumb="<?php echo esc_attr( $thumb_type ); ?>"
+												aria-label="<?php echo esc_attr( $thumb['label'] ); ?>"
+												aria-orientation="horizontal"
+												aria-valuemin="<?php echo esc_attr( wc_format_decimal( $thumb['value_min'], $price_decimals ) ); ?>"
+												aria-valuemax="<?php echo esc_attr( wc_format_decimal( $thumb['value_max'], $price_decimals ) ); ?>"
+												aria-valuenow="<?php echo esc_attr( wc_format_decimal( $thumb['value'], $price_decimals ) ); ?>"
+												aria-valuetext="<?php echo esc_attr( format_price_text( (float) $thumb['value'] ) ); ?>"
+												style="left: <?php echo esc_attr( (string) round( ( $thumb['value'] - $price_min ) / $price_span * 100, 2 ) ); ?>%;"
+											></div>
+										<?php endforeach; ?>
+									</div>
 								</div>
 							</div>
-						</div>
-					</fieldset>
-				<?php endif; ?>
+						</fieldset>
+					<?php endif; ?>
+				<?php endforeach; ?>
 
 				<?php // Apply button (only when auto-apply is off). ?>
+				<?php // Only the block that owns the query string submits it without JS; ?>
+				<?php // other blocks' buttons are enabled by JS. ?>
 				<?php if ( ! $auto_apply ) : ?>
 					<div class="wff-actions">
-						<button type="submit" class="wff-apply-btn">
+						<button type="submit" class="wff-apply-btn"<?php echo $sync_url ? '' : ' disabled'; ?>>
 							<?php esc_html_e( 'Apply filters', 'woo-fast-filter' ); ?>
 						</button>
 					</div>
+				<?php elseif ( ! $sync_url ) : ?>
+					<?php // A disabled default button keeps Enter from submitting the form. ?>
+					<button type="submit" hidden disabled></button>
+				<?php else : ?>
+					<?php // Auto-apply needs JS; keep a submit button for no-JS visitors. ?>
+					<noscript>
+						<div class="wff-actions">
+							<button type="submit" class="wff-apply-btn">
+								<?php esc_html_e( 'Apply filters', 'woo-fast-filter' ); ?>
+							</button>
+						</div>
+					</noscript>
 				<?php endif; ?>
 			</form>
 		</div>
@@ -239,36 +544,134 @@ $wrapper_classes = sprintf(
 	<?php // Overlay for mobile. ?>
 	<div class="wff-overlay" aria-hidden="true"></div>
 
-	<?php // Product results area. ?>
-	<div class="wff-results">
-		<div class="wff-results-header">
-			<span class="wff-results-count"></span>
-			<div class="wff-sort">
-				<label for="wff-sort-select" class="wff-sr-only"><?php esc_html_e( 'Sort by', 'woo-fast-filter' ); ?></label>
-				<select id="wff-sort-select" class="wff-sort-select">
-					<option value="menu_order"><?php esc_html_e( 'Default sorting', 'woo-fast-filter' ); ?></option>
-					<option value="popularity"><?php esc_html_e( 'Popularity', 'woo-fast-filter' ); ?></option>
-					<option value="rating"><?php esc_html_e( 'Average rating', 'woo-fast-filter' ); ?></option>
-					<option value="date"><?php esc_html_e( 'Latest', 'woo-fast-filter' ); ?></option>
-					<option value="price-asc"><?php esc_html_e( 'Price: low to high', 'woo-fast-filter' ); ?></option>
-					<option value="price-desc"><?php esc_html_e( 'Price: high to low', 'woo-fast-filter' ); ?></option>
-				</select>
+	<?php // Announces result counts after filtering; filled by JS. ?>
+	<div class="wff-announcer wff-sr-only" role="status" aria-live="polite" aria-atomic="true"></div>
+
+	<?php // Archive mode updates the theme's loop instead of rendering results. ?>
+	<?php if ( ! $archive_mode ) : ?>
+		<?php // Product results area. ?>
+		<?php // data-pagination marks the first page as server-rendered for JS hydration. ?>
+		<?php // With a results target set, JS moves this element into the target. ?>
+		<div class="wff-results" data-pagination="<?php echo esc_attr( wp_json_encode( $pagination ) ); ?>">
+			<div class="wff-results-header">
+				<span class="wff-results-count">
+					<?php
+					echo esc_html(
+						sprintf(
+							/* translators: %s: number of products found. */
+							_n( '%s product', '%s products', $pagination['total'], 'woo-fast-filter' ),
+							number_format_i18n( $pagination['total'] )
+						)
+					);
+					?>
+				</span>
+				<div class="wff-results-controls">
+					<?php // Page size and view are saved per shopper by JS. Like the sort ?>
+					<?php // order, the page size is submitted with the filter form without JS. ?>
+					<div class="wff-per-page">
+						<label for="<?php echo esc_attr( $instance_id ); ?>-per-page"><?php esc_html_e( 'Show', 'woo-fast-filter' ); ?></label>
+						<select id="<?php echo esc_attr( $instance_id ); ?>-per-page" class="wff-per-page-select" name="wff_per_page" form="<?php echo esc_attr( $instance_id ); ?>-form">
+							<?php foreach ( get_per_page_options() as $size ) : ?>
+								<option value="<?php echo esc_attr( (string) $size ); ?>" <?php selected( $pagination['per_page'], $size ); ?>><?php echo esc_html( number_format_i18n( $size ) ); ?></option>
+							<?php endforeach; ?>
+						</select>
+					</div>
+					<?php if ( 'json' === $card_mode ) : ?>
+						<div class="wff-view-toggle" role="group" aria-label="<?php esc_attr_e( 'View', 'woo-fast-filter' ); ?>">
+							<button type="button" class="wff-view-btn<?php echo $list_view ? '' : ' is-active'; ?>" data-view="grid" aria-pressed="<?php echo esc_attr( $list_view ? 'false' : 'true' ); ?>" aria-label="<?php esc_attr_e( 'Grid view', 'woo-fast-filter' ); ?>">
+								<svg width="16" height="16" viewBox="0 0 16 16" aria-hidden="true">
+									<path d="M2 2h5v5H2zM9 2h5v5H9zM2 9h5v5H2zM9 9h5v5H9z" fill="currentColor"/>
+								</svg>
+							</button>
+							<button type="button" class="wff-view-btn<?php echo $list_view ? ' is-active' : ''; ?>" data-view="list" aria-pressed="<?php echo esc_attr( $list_view ? 'true' : 'false' ); ?>" aria-label="<?php esc_attr_e( 'List view', 'woo-fast-filter' ); ?>">
+								<svg width="16" height="16" viewBox="0 0 16 16" aria-hidden="true">
+									<path d="M2 2h3v3H2zM7 2.75h7v1.5H7zM2 6.5h3v3H2zM7 7.25h7v1.5H7zM2 11h3v3H2zM7 11.75h7v1.5H7z" fill="currentColor"/>
+								</svg>
+							</button>
+						</div>
+					<?php endif; ?>
+					<div class="wff-sort">
+						<label for="<?php echo esc_attr( $instance_id ); ?>-sort-select" class="wff-sr-only"><?php esc_html_e( 'Sort by', 'woo-fast-filter' ); ?></label>
+						<?php // Tied to the filter form so a no-JS submit keeps the sort order. ?>
+						<select id="<?php echo esc_attr( $instance_id ); ?>-sort-select" class="wff-sort-select" name="orderby" form="<?php echo esc_attr( $instance_id ); ?>-form">
+							<?php foreach ( $sort_options as $value => $label ) : ?>
+								<option value="<?php echo esc_attr( $value ); ?>" <?php selected( $current_sort, $value ); ?>><?php echo esc_html( $label ); ?></option>
+							<?php endforeach; ?>
+						</select>
+					</div>
+				</div>
 			</div>
-		</div>
 
-		<div class="wff-products-grid" aria-live="polite"></div>
+			<?php // Shown by JS when a request fails; earlier results stay below it. ?>
+			<div class="wff-error" role="alert" hidden>
+				<p><?php esc_html_e( 'Products could not be loaded. Check your connection and try again.', 'woo-fast-filter' ); ?></p>
+				<button type="button" class="wff-error-retry">
+					<?php esc_html_e( 'Try again', 'woo-fast-filter' ); ?>
+				</button>
+			</div>
 
-		<div class="wff-loading" hidden>
-			<div class="wff-spinner"></div>
-		</div>
+			<div class="wff-products-grid<?php echo 'html' === $card_mode ? ' wff-products-grid--theme' : ''; ?><?php echo $list_view ? ' wff-products-grid--list' : ''; ?>" tabindex="-1">
+				<?php if ( 'html' === $card_mode ) : ?>
+					<?php // Theme loop markup, same wrapper JS builds in getCardContainer(). ?>
+					<ul class="products columns-<?php echo esc_attr( (string) wc_get_default_products_per_row() ); ?>">
+						<?php
+						foreach ( $results['products'] as $product_data ) {
+							echo $product_data['html']; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Rendered by WooCommerce templates.
+						}
+						?>
+					</ul>
+				<?php else : ?>
+					<?php
+					$card_template_file = get_template_path( 'product-card.php' );
+					foreach ( $results['products'] as $product_data ) {
+						include $card_template_file;
+					}
+					?>
+				<?php endif; ?>
+			</div>
+
+			<div class="wff-loading" hidden>
+				<div class="wff-spinner"></div>
+			</div>
+
+			<div class="wff-no-results" <?php echo empty( $results['products'] ) ? '' : 'hidden'; ?>>
+				<p><?php esc_html_e( 'No products found.', 'woo-fast-filter' ); ?></p>
+				<button type="button" class="wff-no-results-reset">
+					<?php esc_html_e( 'Clear filters', 'woo-fast-filter' ); ?>
+				</button>
+			</div>
 
-		<div class="wff-no-results" hidden>
-			<p><?php esc_html_e( 'No products found.', 'woo-fast-filter' ); ?></p>
-			<button type="button" class="wff-no-results-reset">
-				<?php esc_html_e( 'Clear filters', 'woo-fast-filter' ); ?>
-			</button>
+			<?php // Plain links for no-JS visitors; JS replaces them with buttons. ?>
+			<?php // The links page through the query string, so only its owner gets them. ?>
+			<nav class="wff-pagination" aria-label="<?php esc_attr_e( 'Products pagination', 'woo-fast-filter' ); ?>">
+				<?php if ( $sync_url && $pagination['total_pages'] > 1 ) : ?>
+					<?php
+					$current_page = $pagination['current_page'];
+					$start_page   = max( 1, $current_page - 2 );
+					$end_page     = min( $pagination['total_pages'], $start_page + 4 );
+					$start_page   = max( 1, $end_page - 4 );
+					?>
+					<?php if ( $current_page > 1 ) : ?>
+						<a class="wff-page-btn" href="<?php echo esc_url( get_filter_page_url( $current_page - 1 ) ); ?>" aria-label="<?php esc_attr_e( 'Previous page', 'woo-fast-filter' ); ?>">&lsaquo;</a>
+					<?php endif; ?>
+					<?php for ( $page_number = $start_page; $page_number <= $end_page; $page_number++ ) : ?>
+						<?php if ( $page_number === $current_page ) : ?>
+							<span class="wff-page-btn is-active" aria-current="page" aria-label="<?php /* translators: %d: page number. */ echo esc_attr( sprintf( __( 'Page %d', 'woo-fast-filter' ), $page_number ) ); ?>"><?php echo esc_html( (string) $page_number ); ?></span>
+						<?php else : ?>
+							<a class="wff-page-btn" href="<?php echo esc_url( get_filter_page_url( $page_number ) ); ?>" aria-label="<?php /* translators: %d: page number. */ echo esc_attr( sprintf( __( 'Page %d', 'woo-fast-filter' ), $page_number ) ); ?>"><?php echo esc_html( (string) $page_number ); ?></a>
+						<?php endif; ?>
+					<?php endfor; ?>
+					<?php if ( $current_page < $pagination['total_pages'] ) : ?>
+						<a class="wff-page-btn" href="<?php echo esc_url( get_filter_page_url( $current_page + 1 ) ); ?>" aria-label="<?php esc_attr_e( 'Next page', 'woo-fast-filter' ); ?>">&rsaquo;</a>
+					<?php endif; ?>
+				<?php endif; ?>
+			</nav>
 		</div>
 
-		<div class="wff-pagination"></div>
-	</div>
+		<?php // Theme-provided card template, filled from product JSON in JS. ?>
+		<?php $card_template_path = get_card_template_path(); ?>
+		<?php if ( $card_template_path ) : ?>
+			<template class="wff-card-template"><?php include $card_template_path; ?></template>
+		<?php endif; ?>
+	<?php endif; ?>
 </div>
@@ -0,0 +1,99 @@
+<?php
+/**
+ * Template for a single product card in the results grid.
+ *
+ * Used for the server-rendered first page. Markup must stay in sync
+ * with createProductCard() in assets/js/frontend.js, which renders
+ * the cards for every subsequent AJAX request. The add to cart link
+ * needs the wff-add-to-cart class and data-product-id attribute.
+ *
+ * Themes can override this file by copying it to
+ * yourtheme/woo-fast-filter/product-card.php. Provide a matching
+ * yourtheme/woo-fast-filter/card-template.php (or a JS renderer)
+ * so AJAX-rendered cards use the same markup.
+ *
+ * Available variables:
+ *  - $product_data (array) Product data from format_product_for_response(),
+ *                          with list view details in list view.
+ *
+ * @package WooFastFilter
+ */
+
+declare(strict_types=1);
+
+namespace WooFastFilter;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$rating_average  = $product_data['rating']['average'];
+$can_add_to_cart = 'simple' === $product_data['type'] && $product_data['purchasable'];
+?>
+<div class="wff-product-card">
+	<a class="wff-product-link" href="<?php echo esc_url( $product_data['permalink'] ); ?>">
+		<div class="wff-product-image">
+			<?php if ( ! empty( $product_data['image']['src'] ) ) : ?>
+				<img src="<?php echo esc_url( $product_data['image']['src'] ); ?>"
+					<?php if ( ! empty( $product_data['image']['srcset'] ) ) : ?>
+						srcset="<?php echo esc_attr( $product_data['image']['srcset'] ); ?>"
+					<?php endif; ?>
+					alt="<?php echo esc_attr( $product_data['image']['alt'] ? $product_data['image']['alt'] : $product_data['name'] ); ?>"
+					loading="lazy" />
+			<?php endif; ?>
+			<?php if ( $product_data['on_sale'] ) : ?>
+				<span class="wff-product-badge wff-badge-sale"><?php esc_html_e( 'Sale', 'woo-fast-filter' ); ?></span>
+			<?php elseif ( ! $product_data['in_stock'] ) : ?>
+				<span class="wff-product-badge wff-badge-out"><?php esc_html_e( 'Sold out', 'woo-fast-filter' ); ?></span>
+			<?php endif; ?>
+		</div>
+
+		<h3 class="wff-product-name"><?php echo esc_html( $product_data['name'] ); ?></h3>
+
+		<?php if ( ! empty( $product_data['price']['html'] ) ) : ?>
+			<div class="wff-product-price"><?php echo wp_kses_post( $product_data['price']['html'] ); ?></div>
+		<?php endif; ?>
+
+		<?php if ( $rating_average > 0 ) : ?>
+			<div class="wff-product-rating">
+				<?php // Same filled/empty star rendering as renderStars() in JS. ?>
+				<span class="wff-stars"><?php
+					for ( $star = 1; $star <= 5; $star++ ) {
+						echo $star <= round( $rating_average ) ? '&#9733;' : '&#9734;';
+					}
+				?></span>
+				<span>(<?php echo esc_html( (string) $product_data['rating']['count'] ); ?>)</span>
+			</div>
+		<?php endif; ?>
+
+		<?php // List view details, only present when requested (details param). ?>
+		<?php if ( isset( $product_data['short_description'] ) ) : ?>
+			<div class="wff-product-details">
+				<?php if ( '' !== $product_data['short_description'] ) : ?>
+					<p class="wff-product-excerpt"><?php echo esc_html( $product_data['short_description'] ); ?></p>
+				<?php endif; ?>
+				<?php if ( '' !== $product_data['sku'] ) : ?>
+					<span class="wff-product-sku"><?php /* translators: %s: product SKU. */ echo esc_html( sprintf( __( 'SKU: %s', 'woo-fast-filter' ), $product_data['sku'] ) ); ?></span>
+				<?php endif; ?>
+				<?php if ( null !== $product_data['stock_quantity'] ) : ?>
+					<span class="wff-product-stock"><?php /* translators: %d: number of items in stock. */ echo esc_html( sprintf( __( '%d in stock', 'woo-fast-filter' ), $product_data['stock_quantity'] ) ); ?></span>
+				<?php endif; ?>
+			</div>
+		<?php endif; ?>
+	</a>
+
+	<div class="wff-product-actions">
+		<?php if ( $can_add_to_cart ) : ?>
+			<?php // A plain ?add-to-cart link like WooCommerce's; JS adds through the Store API instead. ?>
+			<a class="wff-card-action wff-add-to-cart" href="<?php echo esc_url( remove_query_arg( 'added-to-cart', add_query_arg( 'add-to-cart', (string) $product_data['id'] ) ) ); ?>" data-product-id="<?php echo esc_attr( (string) $product_data['id'] ); ?>" rel="nofollow">
+				<?php echo esc_html( $product_data['add_to_cart_text'] ); ?>
+			</a>
+			<span class="wff-cart-message wff-sr-only" role="status"></span>
+		<?php else : ?>
+			<a class="wff-card-action wff-select-options" href="<?php echo esc_url( $product_data['permalink'] ); ?>">
+				<?php echo esc_html( $product_data['add_to_cart_text'] ); ?>
+			</a>
+		<?php endif; ?>
+	</div>
+</div>
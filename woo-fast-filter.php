@@ -67,6 +67,20 @@ final class Plugin {
 	 */
 	private ?Cache $cache = null;
 
+	/**
+	 * Zero-result report storage.
+	 *
+	 * @var Zero_Results|null
+	 */
+	private ?Zero_Results $zero_results = null;
+
+	/**
+	 * Number of filter blocks rendered so far in this request.
+	 *
+	 * @var int
+	 */
+	private int $rendered_blocks = 0;
+
 	/**
 	 * Get plugin instance.
 	 *
@@ -97,7 +111,9 @@ final class Plugin {
 		require_once WFF_PLUGIN_DIR . 'includes/helpers.php';
 		require_once WFF_PLUGIN_DIR . 'includes/class-cache.php';
 		require_once WFF_PLUGIN_DIR . 'includes/class-query-builder.php';
+		require_once WFF_PLUGIN_DIR . 'includes/class-zero-results.php';
 		require_once WFF_PLUGIN_DIR . 'includes/class-rest-controller.php';
+		require_once WFF_PLUGIN_DIR . 'includes/class-admin.php';
 	}
 
 	/**
@@ -121,6 +137,9 @@ final class Plugin {
 		// Enqueue frontend assets.
 		add_action( 'wp_enqueue_scripts', [ $this, 'enqueue_frontend_assets' ] );
 
+		// Pro feature — archive mode filters the theme's shop loop.
+		add_action( 'woocommerce_product_query', [ $this, 'filter_archive_query' ], 10, 2 );
+
 		// Pro feature — cache invalidation hooks.
 		// Only registered when caching is active (Pro).
 		// In Free, caching is disabled so there's nothing to invalidate.
@@ -170,7 +189,13 @@ final class Plugin {
 	 */
 	public function init_components(): void {
 		$this->cache           = new Cache();
-		$this->rest_controller = new REST_Controller( $this->cache );
+		$this->zero_results    = new Zero_Results();
+		$this->rest_controller = new REST_Controller( $this->cache, $this->zero_results );
+
+		// Pro feature — zero-result report screen.
+		if ( is_admin() && is_feature_enabled( 'analytics' ) ) {
+			( new Admin( $this->zero_results ) )->register_hooks();
+		}
 	}
 
 	/**
@@ -217,11 +242,12 @@ final class Plugin {
 			true
 		);
 
-		// Register edit.js — needs the full Gutenberg component stack.
+		// Register edit.js — needs the full Gutenberg component stack,
+		// plus wp-api-fetch for the live preview data.
 		wp_register_script(
 			'wff-block-edit',
 			$block_url . '/edit.js',
-			[ 'wp-element', 'wp-block-editor', 'wp-components', 'wp-i18n' ],
+			[ 'wp-element', 'wp-block-editor', 'wp-components', 'wp-i18n', 'wp-api-fetch' ],
 			WFF_VERSION,
 			true
 		);
@@ -255,11 +281,17 @@ final class Plugin {
 	 * The block HTML is generated once and cached by the browser.
 	 *
 	 * FREE FEATURE FREEZE — v1.0
-	 * Free version enforces fixed values for layout, style, and autoApply.
+	 * Free version enforces fixed values for layout, style, autoApply,
+	 * paginationMode, includeChildren, filterGroups, resultsTarget, and
+	 * archiveMode.
 	 * Only showActiveFilters is user-configurable in Free.
 	 * Pro unlocks all attributes via is_pro_active().
 	 * Do not expose additional attributes in Free without Pro gating.
 	 *
+	 * A page can hold several filter blocks. Only the first one reads
+	 * and writes the filter state in the query string; the others start
+	 * unfiltered and keep their state in memory.
+	 *
 	 * @param array $attributes Block attributes.
 	 * @return string Rendered HTML.
 	 */
@@ -285,12 +317,47 @@ final class Plugin {
 			);
 		}
 
+		$sync_url = 0 === $this->rendered_blocks++;
+
 		// Load the template.
 		ob_start();
 		include WFF_PLUGIN_DIR . 'templates/filter-block.php';
 		return ob_get_clean();
 	}
 
+	/**
+	 * Apply filters from the query string to the shop's main query.
+	 *
+	 * Pro feature — backs archive mode, where the theme's own loop lists
+	 * the products. Shared links and no-JS form submits then render the
+	 * filtered page. Free, and shops without an archive mode block,
+	 * leave the main query untouched. The block's own query settings
+	 * apply as in its AJAX results.
+	 *
+	 * @param \WP_Query $query    Main product query.
+	 * @param \WC_Query $wc_query WooCommerce's query handler.
+	 * @return void
+	 */
+	public function filter_archive_query( \WP_Query $query, \WC_Query $wc_query ): void {
+		$attributes = is_pro_active() ? get_archive_mode_block() : null;
+		if ( null === $attributes ) {
+			return;
+		}
+
+		$params = apply_block_query_settings(
+			get_request_filter_params(),
+			(bool) ( $attributes['includeChildren'] ?? true ),
+			get_filter_groups( is_array( $attributes['filterGroups'] ?? null ) ? $attributes['filterGroups'] : [] )
+		);
+		( new Query_Builder( $params ) )->apply_to_query( $query );
+
+		// WooCommerce's price filter reads the same min_price/max_price
+		// args, but without converting them from the shopper's currency.
+		if ( isset( $params['min_price'] ) || isset( $params['max_price'] ) ) {
+			remove_filter( 'posts_clauses', [ $wc_query, 'price_filter_post_clauses' ], 10 );
+		}
+	}
+
 	/**
 	 * Enqueue frontend assets.
 	 *
@@ -301,7 +368,7 @@ final class Plugin {
 	 */
 	public function enqueue_frontend_assets(): void {
 		// Only load on WooCommerce pages.
-		if ( ! is_shop() && ! is_product_category() && ! is_product_tag() && ! has_block( 'woo-fast-filter/product-filter' ) ) {
+		if ( ! is_shop() && ! is_product_taxonomy() && ! has_block( 'woo-fast-filter/product-filter' ) ) {
 			return;
 		}
 
@@ -328,26 +395,78 @@ final class Plugin {
 			'wff-frontend',
 			'wffConfig',
 			[
-				'restUrl'   => esc_url_raw( rest_url( 'woo-fast-filter/v1' ) ),
-				'nonce'     => wp_create_nonce( 'wp_rest' ),
-				'currency'  => [
-					// Decode HTML entities so JS can use the raw symbol.
-					// WooCommerce returns entities like &#36; for $, which
-					// display as literal text when set via textContent in JS.
-					'symbol'   => html_entity_decode( get_woocommerce_currency_symbol(), ENT_QUOTES, 'UTF-8' ),
-					'position' => get_option( 'woocommerce_currency_pos' ),
-				],
-				'i18n'      => [
-					'loading'       => __( 'Loading...', 'woo-fast-filter' ),
-					'noProducts'    => __( 'No products found', 'woo-fast-filter' ),
-					'filterButton'  => __( 'Filter', 'woo-fast-filter' ),
-					'clearAll'      => __( 'Clear all', 'woo-fast-filter' ),
-					'apply'         => __( 'Apply filters', 'woo-fast-filter' ),
-					'sale'          => __( 'Sale', 'woo-fast-filter' ),
-					'soldOut'       => __( 'Sold out', 'woo-fast-filter' ),
-					'product'       => __( 'product', 'woo-fast-filter' ),
-					'products'      => __( 'products', 'woo-fast-filter' ),
-					'removeFilter'  => __( 'Remove filter:', 'woo-fast-filter' ),
+				'restUrl'          => esc_url_raw( rest_url( 'woo-fast-filter/v1' ) ),
+				'nonce'            => wp_create_nonce( 'wp_rest' ),
+				// Add to cart from product cards, through the Store API.
+				'storeApiUrl'      => esc_url_raw( rest_url( 'wc/store/v1' ) ),
+				'storeApiNonce'    => wp_create_nonce( 'wc_store_api' ),
+				'cartUrl'          => wc_get_cart_url(),
+				// Pro feature — live facet counts. False in Free.
+				'liveCounts'       => is_feature_enabled( 'live_counts' ),
+				// Pro feature — saved filter presets. Kept in user meta for
+				// logged-in shoppers, in localStorage for guests.
+				'savedPresets'     => is_feature_enabled( 'saved_presets' ),
+				'loggedIn'         => is_user_logged_in(),
+				// Pro feature — analytics events and zero-result reporting.
+				'analytics'        => is_feature_enabled( 'analytics' ),
+				// Client-side response cache lifetime in seconds. 0 disables it.
+				'cacheTtl'         => (int) apply_filters( 'wff_client_cache_ttl', 5 * MINUTE_IN_SECONDS ),
+				// Seconds before a request is abandoned, and how often failed
+				// requests (network errors, timeouts, 5xx) are retried.
+				'requestTimeout'   => (int) apply_filters( 'wff_request_timeout', 10 ),
+				'requestRetries'   => (int) apply_filters( 'wff_request_retries', 2 ),
+				// 'html' renders cards with the theme's content-product.php.
+				'cardMode'         => get_product_card_mode(),
+				'columns'          => wc_get_default_products_per_row(),
+				// Theme shop loop elements updated in archive mode (Pro).
+				'archiveSelectors' => get_archive_selectors(),
+				// Used by window.wff.formatPrice() for every price the
+				// filter UI formats itself.
+				'currency'         => get_currency_settings(),
+				'i18n'             => [
+					'loading'           => __( 'Loading...', 'woo-fast-filter' ),
+					'noProducts'        => __( 'No products found', 'woo-fast-filter' ),
+					'loadError'         => __( 'Products could not be loaded. Check your connection and try again.', 'woo-fast-filter' ),
+					'tryAgain'          => __( 'Try again', 'woo-fast-filter' ),
+					'filterButton'      => __( 'Filter', 'woo-fast-filter' ),
+					'clearAll'          => __( 'Clear all', 'woo-fast-filter' ),
+					'apply'             => __( 'Apply filters', 'woo-fast-filter' ),
+					'sale'              => __( 'Sale', 'woo-fast-filter' ),
+					'soldOut'           => __( 'Sold out', 'woo-fast-filter' ),
+					'product'           => __( 'product', 'woo-fast-filter' ),
+					'products'          => __( 'products', 'woo-fast-filter' ),
+					'removeFilter'      => __( 'Remove filter:', 'woo-fast-filter' ),
+					/* translators: %d: number of products found. */
+					'productFound'      => __( '%d product found', 'woo-fast-filter' ),
+					/* translators: %d: number of products found. */
+					'productsFound'     => __( '%d products found', 'woo-fast-filter' ),
+					'pagination'        => __( 'Products pagination', 'woo-fast-filter' ),
+					/* translators: %d: page number. */
+					'page'              => __( 'Page %d', 'woo-fast-filter' ),
+					'previousPage'      => __( 'Previous page', 'woo-fast-filter' ),
+					'nextPage'          => __( 'Next page', 'woo-fast-filter' ),
+					'loadMore'          => __( 'Load more', 'woo-fast-filter' ),
+					'searchTag'         => __( 'Search:', 'woo-fast-filter' ),
+					'suggestProducts'   => __( 'Products', 'woo-fast-filter' ),
+					'suggestCategories' => __( 'Categories', 'woo-fast-filter' ),
+					'addToCart'         => __( 'Add to cart', 'woo-fast-filter' ),
+					'adding'            => __( 'Adding...', 'woo-fast-filter' ),
+					'addedToCart'       => __( 'Added to cart', 'woo-fast-filter' ),
+					'addToCartError'    => __( 'Could not add to cart', 'woo-fast-filter' ),
+					'viewCart'          => __( 'View cart', 'woo-fast-filter' ),
+					/* translators: %s: product SKU. */
+					'sku'               => __( 'SKU: %s', 'woo-fast-filter' ),
+					/* translators: %d: number of items in stock. */
+					'stockQuantity'     => __( '%d in stock', 'woo-fast-filter' ),
+					/* translators: %s: preset name. */
+					'renamePreset'      => __( 'Rename %s', 'woo-fast-filter' ),
+					/* translators: %s: preset name. */
+					'deletePreset'      => __( 'Delete %s', 'woo-fast-filter' ),
+					'resultCountSingle' => __( 'Showing the single result', 'woo-fast-filter' ),
+					/* translators: %d: total number of results. */
+					'resultCountAll'    => __( 'Showing all %d results', 'woo-fast-filter' ),
+					/* translators: 1: first result, 2: last result, 3: total number of results. */
+					'resultCountRange'  => __( 'Showing %1$d–%2$d of %3$d results', 'woo-fast-filter' ),
 				],
 			]
 		);